@@ -1,11 +1,42 @@
 const fs = require('fs');
 const express = require('express');
+const { db } = require('../../../modules/dbInstance');
+const { getExplanations } = require('../../../modules/priceExplanations');
+const {
+  validatePriceLock,
+  setPriceLock,
+  clearPriceLock,
+  getPriceLocks,
+  getPriceLock,
+  getPriceLockAudit,
+} = require('../../../modules/priceLocks');
 
 const router = express.Router();
 
 const PRICELIST_PATH = './files/pricelist.json';
 const ITEM_LIST_PATH = './files/item_list.json';
 
+// Get all active price locks.
+router.get('/locks', async (req, res) => {
+  try {
+    return res.status(200).json(await getPriceLocks(db));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to load price locks.' });
+  }
+});
+
+// Get the lock history of every SKU, newest first.
+router.get('/locks/audit', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  try {
+    return res.status(200).json(await getPriceLockAudit(db, { limit }));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to load the price lock audit.' });
+  }
+});
+
 // Get item price by SKU.
 router.get('/:sku', async (req, res) => {
   let item_found = false;
@@ -39,6 +70,78 @@ router.get('/:sku', async (req, res) => {
   });
 });
 
+// Get the most recent pricing decisions for a SKU, newest first.
+router.get('/:sku/explain', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+  try {
+    const rows = await getExplanations(db, req.params.sku, limit);
+    if (rows.length === 0) {
+      return res.sendStatus(404);
+    }
+    return res
+      .status(200)
+      .json(rows.map((row) => ({ ...row.explanation, createdAt: row.created_at })));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to load price explanations.' });
+  }
+});
+
+// Get the active lock of a SKU.
+router.get('/:sku/lock', async (req, res) => {
+  try {
+    const lock = await getPriceLock(db, req.params.sku);
+    return lock ? res.status(200).json(lock) : res.sendStatus(404);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to load the price lock.' });
+  }
+});
+
+// Get the lock history of a SKU, newest first.
+router.get('/:sku/lock/audit', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  try {
+    return res.status(200).json(await getPriceLockAudit(db, { sku: req.params.sku, limit }));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to load the price lock audit.' });
+  }
+});
+
+// Lock the buy and/or sell price of a SKU.
+// Body: { name, buy?: { keys, metal }, sell?: { keys, metal }, expiresAt?, note?, actor }
+router.put('/:sku/lock', async (req, res) => {
+  const input = { ...req.body, sku: req.params.sku };
+  try {
+    validatePriceLock(input);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    return res.status(200).json(await setPriceLock(db, input));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to save the price lock.' });
+  }
+});
+
+// Remove the lock of a SKU. Body or query: { actor }
+router.delete('/:sku/lock', async (req, res) => {
+  const actor = req.body?.actor || req.query.actor;
+  if (!actor) {
+    return res.status(400).json({ error: 'Clearing a lock needs the name of who cleared it.' });
+  }
+  try {
+    return (await clearPriceLock(db, req.params.sku, actor))
+      ? res.sendStatus(200)
+      : res.sendStatus(404);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Failed to clear the price lock.' });
+  }
+});
+
 // Get pricelist.
 router.get('/', (req, res) => {
   // Read pricelist into memory and send.
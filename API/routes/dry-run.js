@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+
+// This will be set by the main application
+let runDryRun = null;
+let running = false;
+
+// Allow the main application to provide the dry run function
+function setDryRunProvider(dryRunProvider) {
+  runDryRun = dryRunProvider;
+}
+
+// Runs a full pricing pass without writing, inserting or emitting anything and returns
+// the diff against the current pricelist. Use ?status=changed (or new, unchanged, skipped)
+// to only return items with that status.
+router.get('/', async (req, res) => {
+  if (!runDryRun) {
+    return res.status(503).json({
+      error: 'Dry run provider not available',
+    });
+  }
+  if (running) {
+    return res.status(409).json({
+      error: 'A dry run is already in progress',
+    });
+  }
+
+  running = true;
+  try {
+    const report = await runDryRun();
+    if (req.query.status) {
+      report.items = report.items.filter((item) => item.status === req.query.status);
+    }
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Dry run failed',
+      message: error.message,
+    });
+  } finally {
+    running = false;
+  }
+});
+
+module.exports = {
+  router,
+  setDryRunProvider,
+};
@@ -0,0 +1,21 @@
+const express = require('express');
+const { getSCMStats } = require('../../modules/steamMarketFetcher');
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      stats: getSCMStats(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to get SCM stats',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = {
+  router,
+};
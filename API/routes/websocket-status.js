@@ -46,6 +46,7 @@ router.get('/', (req, res) => {
         timeSinceLastMessage: timeSinceLastMessage,
         isConnected: stats.isConnected,
       },
+      repricer: stats.repricer ?? null,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -12,6 +12,7 @@ app.use(
     extended: true,
   })
 );
+app.use(express.json());
 
 const config = getBaseConfigManager().getConfig();
 
@@ -19,10 +20,14 @@ const config = getBaseConfigManager().getConfig();
 const items_endpoint = require('./routes/api/items.js');
 const { router: websocketStatus } = require('./routes/websocket-status.js');
 const { router: schemaStatus, setSchemaManager } = require('./routes/schema-status.js');
+const { router: dryRun } = require('./routes/dry-run.js');
+const { router: scmStatus } = require('./routes/scm-status.js');
 
 app.use('/items', items_endpoint);
 app.use('/websocket-status', websocketStatus);
 app.use('/schema-status', schemaStatus);
+app.use('/dry-run', dryRun);
+app.use('/scm-status', scmStatus);
 
 const port = config.pricerPort || 3456;
 
@@ -0,0 +1,14 @@
+-- Per-source key prices and the consensus computed from them
+CREATE TABLE IF NOT EXISTS tf2.key_price_sources (
+  id SERIAL PRIMARY KEY,
+  source TEXT NOT NULL,
+  buy_metal NUMERIC,
+  sell_metal NUMERIC,
+  weight NUMERIC,
+  buy_used BOOLEAN NOT NULL DEFAULT false,
+  sell_used BOOLEAN NOT NULL DEFAULT false,
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE INDEX IF NOT EXISTS key_price_sources_created_at_idx ON tf2.key_price_sources (created_at);
@@ -0,0 +1,22 @@
+-- Append-only archive of bptf websocket listing events, partitioned by day.
+-- Daily partitions are created and dropped by the autopricer (see listingHistory in config.json).
+CREATE TABLE IF NOT EXISTS tf2.listing_history (
+  event_time TIMESTAMPTZ NOT NULL,
+  event TEXT NOT NULL,
+  name TEXT NOT NULL,
+  sku TEXT,
+  intent TEXT NOT NULL,
+  steamid TEXT NOT NULL,
+  currencies JSON,
+  listed_at BIGINT,
+  dropped TEXT
+)
+PARTITION BY
+  RANGE (event_time);
+
+-- Why the pricer left a listing event out, NULL for the events it priced from.
+ALTER TABLE tf2.listing_history ADD COLUMN IF NOT EXISTS dropped TEXT;
+
+CREATE TABLE IF NOT EXISTS tf2.listing_history_default PARTITION OF tf2.listing_history DEFAULT;
+
+CREATE INDEX IF NOT EXISTS listing_history_sku_event_time_idx ON tf2.listing_history (sku, event_time);
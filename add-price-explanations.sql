@@ -0,0 +1,10 @@
+-- Audit trail of pricing decisions, one row per item per pricing pass
+CREATE TABLE IF NOT EXISTS tf2.price_explanations (
+  id SERIAL PRIMARY KEY,
+  sku TEXT NOT NULL,
+  name TEXT NOT NULL,
+  explanation JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE INDEX IF NOT EXISTS price_explanations_sku_created_at_idx ON tf2.price_explanations (sku, created_at DESC);
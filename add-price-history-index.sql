@@ -0,0 +1,2 @@
+-- Lets a pricing pass load the recent price history of every SKU in one query
+CREATE INDEX IF NOT EXISTS price_history_sku_timestamp_idx ON tf2.price_history (sku, timestamp DESC);
@@ -0,0 +1,29 @@
+-- Manual price overrides: a fixed buy and/or sell price per SKU, optionally until a date
+CREATE TABLE IF NOT EXISTS tf2.price_locks (
+  sku TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  buy JSONB,
+  sell JSONB,
+  expires_at TIMESTAMP,
+  note TEXT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  published_at TIMESTAMP
+);
+
+-- Who set, changed or cleared each lock, and when
+CREATE TABLE IF NOT EXISTS tf2.price_lock_audit (
+  id SERIAL PRIMARY KEY,
+  sku TEXT NOT NULL,
+  name TEXT,
+  action TEXT NOT NULL,
+  buy JSONB,
+  sell JSONB,
+  expires_at TIMESTAMP,
+  note TEXT,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE INDEX IF NOT EXISTS price_lock_audit_sku_idx ON tf2.price_lock_audit (sku, created_at DESC);
@@ -0,0 +1,21 @@
+-- Prices rejected by the swing check, held for manual or automatic approval
+CREATE TABLE IF NOT EXISTS tf2.price_quarantine (
+  id SERIAL PRIMARY KEY,
+  sku TEXT NOT NULL,
+  name TEXT NOT NULL,
+  proposed JSONB NOT NULL,
+  proposed_buy_metal NUMERIC NOT NULL,
+  proposed_sell_metal NUMERIC NOT NULL,
+  previous JSONB,
+  avg_buy_metal NUMERIC,
+  avg_sell_metal NUMERIC,
+  reason TEXT,
+  confirmations INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'pending',
+  resolved_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS price_quarantine_pending_sku_idx ON tf2.price_quarantine (sku) WHERE status = 'pending';
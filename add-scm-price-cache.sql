@@ -0,0 +1,9 @@
+-- Steam Community Market prices, cached by modules/steamMarketFetcher.js. A NULL price means
+-- SCM had no listing of the item when it was fetched.
+CREATE TABLE IF NOT EXISTS tf2.scm_prices (
+  market_hash_name TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  price NUMERIC,
+  fetched_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  PRIMARY KEY (market_hash_name, currency)
+);
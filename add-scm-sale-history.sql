@@ -0,0 +1,15 @@
+-- SCM sale medians, cached by modules/steamMarketFetcher.js: the 24 hour median and volume of
+-- priceoverview, and the median and volume of the sale history over `days` days. A NULL
+-- median means the item had no sales in that window.
+ALTER TABLE tf2.scm_prices ADD COLUMN IF NOT EXISTS median_price NUMERIC;
+ALTER TABLE tf2.scm_prices ADD COLUMN IF NOT EXISTS volume INTEGER;
+
+CREATE TABLE IF NOT EXISTS tf2.scm_sale_history (
+  market_hash_name TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  days INTEGER NOT NULL,
+  median NUMERIC,
+  volume INTEGER NOT NULL DEFAULT 0,
+  fetched_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  PRIMARY KEY (market_hash_name, currency, days)
+);
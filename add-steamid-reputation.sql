@@ -0,0 +1,14 @@
+-- Computed reputation scores and manual overrides per steamid
+CREATE TABLE IF NOT EXISTS tf2.steamid_reputation (
+  steamid TEXT PRIMARY KEY,
+  score NUMERIC NOT NULL,
+  listings INTEGER NOT NULL DEFAULT 0,
+  avg_lifetime_sec NUMERIC,
+  quick_deletes INTEGER NOT NULL DEFAULT 0,
+  outliers INTEGER NOT NULL DEFAULT 0,
+  outlier_samples INTEGER NOT NULL DEFAULT 0,
+  trades INTEGER NOT NULL DEFAULT 0,
+  override_score NUMERIC,
+  override_note TEXT,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
@@ -0,0 +1,16 @@
+-- Listings of painted, spelled and strange part variants, kept apart from tf2.listings so they
+-- don't skew the price of the clean item. `sku` is the clean item's SKU.
+CREATE TABLE IF NOT EXISTS tf2.variant_listings (
+  name character varying NOT NULL,
+  sku character varying NOT NULL,
+  variant TEXT NOT NULL,
+  attributes TEXT[] NOT NULL,
+  paint BIGINT,
+  currencies json NOT NULL,
+  intent character varying NOT NULL,
+  steamid character varying NOT NULL,
+  updated bigint NOT NULL,
+  PRIMARY KEY (name, variant, intent, steamid)
+);
+
+CREATE INDEX IF NOT EXISTS variant_listings_sku_idx ON tf2.variant_listings (sku);
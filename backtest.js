@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Replays archived listing history through the pricing pipeline and reports the hypothetical
+// fills, spread and profit a config would have produced.
+//
+// Usage: node backtest.js --from 2024-01-01 --to 2024-01-08 [--cadence 15] [--warmup 24]
+//          [--max-stock 1] [--sku 5021;6,263;6] [--config alt-config.json]
+//          [--item-list alt-item-list.json] [--baseline]
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { skus: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    switch (arg) {
+      case '--from':
+        args.from = new Date(value);
+        i++;
+        break;
+      case '--to':
+        args.to = new Date(value);
+        i++;
+        break;
+      case '--cadence':
+        args.cadenceMinutes = Number(value);
+        i++;
+        break;
+      case '--warmup':
+        args.warmupHours = Number(value);
+        i++;
+        break;
+      case '--max-stock':
+        args.maxStock = Number(value);
+        i++;
+        break;
+      case '--sku':
+        args.skus.push(...value.split(',').filter(Boolean));
+        i++;
+        break;
+      case '--config':
+        args.configPath = path.resolve(value);
+        i++;
+        break;
+      case '--item-list':
+        args.itemListPath = path.resolve(value);
+        i++;
+        break;
+      case '--baseline':
+        args.baseline = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.log(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const to = args.to || new Date();
+const from = args.from || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+  console.log('❌ --from and --to must be valid dates, with --from before --to.');
+  process.exit(1);
+}
+for (const key of ['cadenceMinutes', 'warmupHours', 'maxStock']) {
+  if (args[key] !== undefined && !(args[key] > 0)) {
+    console.log(`❌ ${key} must be a positive number.`);
+    process.exit(1);
+  }
+}
+
+const configPath = args.configPath || path.resolve(__dirname, 'config.json');
+const itemListPath = args.itemListPath || path.resolve(__dirname, 'files/item_list.json');
+for (const file of [configPath, itemListPath]) {
+  if (!fs.existsSync(file)) {
+    console.log(`❌ ${file} not found!`);
+    process.exit(1);
+  }
+}
+
+// The config manager is a singleton, so it has to be pointed at the config under test
+// before anything else (the database instance, Methods) reads from it.
+const { validateConfig } = require('./modules/configValidation');
+const config = validateConfig(configPath);
+require('./modules/baseConfigManager').getBaseConfigManager(configPath);
+
+const methods = require('./methods');
+const { db } = require('./modules/dbInstance');
+const createItemListManager = require('./modules/itemList');
+const { getBptfPrices } = require('./modules/bptfPriceFetcher');
+const { runBacktest } = require('./modules/backtest');
+const { loadReputation, createScoreLookup } = require('./modules/reputation');
+
+const Methods = new methods();
+const REPORT_PATH = path.resolve(__dirname, 'logs/backtest-report.json');
+
+// Compare against today's bptf prices, which is only an approximation of the baseline the
+// live pricer had at the time.
+async function createBaselineLookup() {
+  const Schema = require('@tf2autobot/tf2-schema');
+  const schemaPath = path.resolve(__dirname, 'schema.json');
+  if (!fs.existsSync(schemaPath)) {
+    throw new Error('--baseline needs a cached schema.json, run the pricer once first.');
+  }
+  const schemaManager = new Schema({ apiKey: config.steamAPIKey });
+  schemaManager.setSchema(JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+  const prices = await getBptfPrices();
+
+  return (sku, keyMetal) => {
+    try {
+      const { pricetfItem } = Methods.getItemPriceFromExternalPricelist(
+        sku,
+        prices,
+        keyMetal,
+        schemaManager
+      );
+      if (
+        !pricetfItem ||
+        (pricetfItem.buy.keys === 0 && pricetfItem.buy.metal === 0) ||
+        (pricetfItem.sell.keys === 0 && pricetfItem.sell.metal === 0)
+      ) {
+        return null;
+      }
+      return pricetfItem;
+    } catch {
+      return null;
+    }
+  };
+}
+
+async function main() {
+  const { getItemProfile, getItemBounds } = createItemListManager(itemListPath, config);
+  const deps = {
+    Methods,
+    getItemProfile,
+    getItemBounds,
+    prioritySteamIds: config.trustedSteamIDs,
+  };
+  // Listings are weighted by today's reputation scores.
+  if (config.reputation.enabled) {
+    deps.getSteamIdScore = createScoreLookup(await loadReputation(db), config.trustedSteamIDs);
+    deps.reputation = config.reputation;
+  }
+
+  const report = await runBacktest({
+    db,
+    deps,
+    from,
+    to,
+    cadenceMinutes: args.cadenceMinutes,
+    warmupHours: args.warmupHours,
+    maxStock: args.maxStock,
+    skus: args.skus,
+    getBaseline: args.baseline ? await createBaselineLookup() : undefined,
+  });
+
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+
+  for (const item of report.items) {
+    console.log(
+      `${item.name} (${item.sku}): ${item.buys} buys, ${item.sells} sells, ` +
+        `spread ${item.quotedSpread} ref, profit ${item.estimatedProfit} ref`
+    );
+  }
+  console.log('\n📊 Backtest totals');
+  console.log(`Items: ${report.items.length}`);
+  console.log(`Fills: ${report.totals.buys} buys, ${report.totals.sells} sells`);
+  console.log(`Realised profit: ${report.totals.realisedProfit} ref`);
+  console.log(`Unrealised profit: ${report.totals.unrealisedProfit} ref`);
+  console.log(`Estimated profit: ${report.totals.estimatedProfit} ref`);
+  console.log(`\nFull report written to ${REPORT_PATH}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('❌ Backtest failed:', err.message);
+    process.exit(1);
+  });
@@ -10,6 +10,8 @@ const Methods = new methods();
 const { validateConfig } = require('./modules/configValidation');
 const CONFIG_PATH = path.resolve(__dirname, 'config.json');
 const config = validateConfig(CONFIG_PATH);
+// Run a single pricing pass without writing or emitting anything, then exit.
+const DRY_RUN = process.argv.includes('--dry-run');
 const PriceWatcher = require('./modules/PriceWatcher'); //outdated price logging
 const SCHEMA_PATH = './schema.json';
 // Paths to the pricelist and item list files.
@@ -17,10 +19,17 @@ const PRICELIST_PATH = './files/pricelist.json';
 const ITEM_LIST_PATH = './files/item_list.json';
 const { listen, socketIO, setSchemaManager } = require('./API/server.js');
 const { setWebSocketStatsProvider } = require('./API/routes/websocket-status.js');
-const { startPriceWatcher } = require('./modules/index');
+const { setDryRunProvider } = require('./API/routes/dry-run.js');
+const { createReportEntry, buildReport, saveReport } = require('./modules/dryRunReport');
+const { startPriceWatcher, configManager } = require('./modules/index');
 const scheduleTasks = require('./modules/scheduler');
-const { getBptfPrices, getAllPricedItemNamesWithEffects } = require('./modules/bptfPriceFetcher');
+const {
+  getBptfPrices,
+  getBptfItemPrice,
+  getAllPricedItemNamesWithEffects,
+} = require('./modules/bptfPriceFetcher');
 const EmitQueue = require('./modules/emitQueue');
+const Repricer = require('./modules/repricer');
 const emitQueue = new EmitQueue(socketIO, 5); // 5ms between emits
 emitQueue.start();
 
@@ -32,10 +41,76 @@ const {
   checkKeyPriceStability,
 } = require('./modules/keyPriceUtils');
 
+const {
+  getKeyPriceConsensus,
+  saveKeyPriceSources,
+  cleanupOldKeyPriceSources,
+} = require('./modules/keyPriceConsensus');
+
 const { updateMovingAverages, updateListingStats } = require('./modules/listingAverages');
 
+const { createPricingPipeline } = require('./modules/pricingPipeline');
+const {
+  loadPricingSnapshot,
+  createPassTimings,
+  formatTimings,
+} = require('./modules/pricingSnapshot');
+const {
+  KILLSTREAK_TIERS,
+  killstreakTier,
+  killstreakBaseSku,
+  getKillstreakVariants,
+  getKillstreakPremiums,
+  deriveKillstreakPrice,
+} = require('./modules/killstreaks');
+const {
+  isUnusualSku,
+  getListedUnusualSkus,
+  loadUnusualMarket,
+  priceUnusual,
+} = require('./modules/unusualPricer');
+const {
+  insertVariantListingsBatch,
+  deleteVariantListing,
+  deleteOldVariantListings,
+  getVariantPremiums,
+  getListedPaintedVariants,
+  deriveVariantPrice,
+} = require('./modules/variants');
+const { sourceConfidence, unusualConfidence, scorePrice } = require('./modules/priceConfidence');
+const { createFallbackChain } = require('./modules/fallbackChain');
+const { getFallbackSkus, fallbackSince } = require('./modules/fallbackPromotion');
+const { configureSCMClient } = require('./modules/steamMarketFetcher');
+
+const {
+  createExplanation,
+  saveExplanations,
+  cleanupOldExplanations,
+} = require('./modules/priceExplanations');
+
+const { maintainListingHistory, archiveListingEvents } = require('./modules/listingHistory');
+
+const { refreshReputation, loadReputation, createScoreLookup } = require('./modules/reputation');
+
+const {
+  quarantinePrice,
+  supersedeQuarantined,
+  takeApprovedPrices,
+  cleanupOldQuarantine,
+} = require('./modules/priceQuarantine');
+
+const {
+  expirePriceLocks,
+  getActiveLocks,
+  getPriceLock,
+  takeUnpublishedLocks,
+  isFullLock,
+  applyPriceLock,
+  lockedItem,
+  describeLock,
+} = require('./modules/priceLocks');
+
 const {
-  getListings,
   insertListing,
   insertListingsBatch,
   deleteRemovedListing,
@@ -80,13 +155,22 @@ const excludedListingDescriptions = config.excludedListingDescriptions;
 // Blocked attributes that we want to ignore. (Paints, parts, etc.)
 const blockedAttributes = config.blockedAttributes;
 
-const fallbackOntoPricesTf = config.fallbackOntoPricesTf;
-
 const updatedSkus = new Set();
 
+// Reprices items within seconds of their listings changing, between full pricing passes.
+const repricer = new Repricer(repriceItems, {
+  debounceMs: config.incrementalRepricing.debounceSeconds * 1000,
+  maxWaitMs: config.incrementalRepricing.maxWaitSeconds * 1000,
+  minIntervalMs: config.incrementalRepricing.minIntervalSeconds * 1000,
+  maxBatchSize: config.incrementalRepricing.maxBatchSize,
+});
+
 // Create database instance for pg-promise.
 const { db, pgp } = require('./modules/dbInstance');
 
+// SCM prices are cached in the database, see modules/steamMarketFetcher.js.
+configureSCMClient({ db, options: config.scmCache });
+
 if (fs.existsSync(SCHEMA_PATH)) {
   // A cached schema exists.
 
@@ -124,24 +208,69 @@ schemaManager.on('schema', function (schema) {
 var keyobj;
 var external_pricelist;
 
-const updateKeyObject = async () => {
-  // Always use backpack.tf for key price
-  const key_item = await Methods.getKeyFromExternalAPI(
+// Updates the key price every item is priced with. With publish off the key's own pricelist
+// entry is left alone, as checkKeyPriceStability maintains it after start-up.
+const updateKeyObject = async ({ dryRun = false, publish = true } = {}) => {
+  // Start from the backpack.tf key price
+  let key_item = await Methods.getKeyFromExternalAPI(
     external_pricelist,
-    external_pricelist['5021;6']?.value || 0,
+    getBptfItemPrice(external_pricelist, '5021;6')?.value || 0,
     schemaManager
   );
 
-  console.log(`Key item fetched: ${JSON.stringify(key_item)}`);
+  if (config.keyPriceConsensus.enabled) {
+    try {
+      const consensus = await getKeyPriceConsensus({
+        db,
+        externalPricelist: external_pricelist,
+        pollDataPath: configManager.getPollDataPath(),
+        options: config.keyPriceConsensus,
+        cacheOnly: dryRun,
+      });
+      for (const source of consensus.sources) {
+        console.log(
+          `[KeyPrice] ${source.source}: buy=${source.buy}, sell=${source.sell}` +
+            (source.error ? ` (${source.error})` : '')
+        );
+      }
+      if (!dryRun) {
+        await saveKeyPriceSources(pgp, db, consensus);
+      }
+      key_item = {
+        ...key_item,
+        buy: { keys: 0, metal: consensus.buy },
+        sell: { keys: 0, metal: consensus.sell },
+      };
+    } catch (err) {
+      console.error('[KeyPrice] Consensus failed, using the backpack.tf key price:', err.message);
+    }
+  }
 
-  await new Promise((res) => setTimeout(res, 1000)); // Wait 1 second
+  // A locked key price is also the price everything else is converted with.
+  try {
+    const keyLock = await getPriceLock(db, '5021;6');
+    if (keyLock) {
+      key_item = applyPriceLock(key_item, keyLock, key_item.sell.metal);
+      console.log(`[KeyPrice] Key price locked by ${keyLock.created_by}.`);
+    }
+  } catch (err) {
+    console.error('[KeyPrice] Failed to load the key price lock:', err.message);
+  }
 
-  Methods.addToPricelist(key_item, PRICELIST_PATH);
+  console.log(`Key item fetched: ${JSON.stringify(key_item)}`);
 
   keyobj = {
     metal: key_item.sell.metal,
   };
 
+  if (dryRun || !publish) {
+    return;
+  }
+
+  await new Promise((res) => setTimeout(res, 1000)); // Wait 1 second
+
+  Methods.addToPricelist(key_item, PRICELIST_PATH);
+
   socketIO.emit('price', key_item);
 };
 
@@ -150,194 +279,265 @@ const { initBptfWebSocket } = require('./websocket/bptfWebSocket');
 // Load item names and bounds from item_list.json
 const createItemListManager = require('./modules/itemList');
 const itemListManager = createItemListManager(ITEM_LIST_PATH, config);
-const { watchItemList, getAllowedItemNames, getItemBounds, allowAllItems } = itemListManager;
+const {
+  watchItemList,
+  getAllowedItemNames,
+  getItemBounds,
+  getItemProfile,
+  getMinListings,
+  allowAllItems,
+} = itemListManager;
 watchItemList();
 
-async function getPricableItems(db) {
-  const rows = await db.any(`
-    SELECT sku FROM listing_stats
-    WHERE current_buy_count > 3 AND current_sell_count > 3
-  `);
-  return rows.map((r) => r.sku);
+// Reputation scores of steamids, reloaded from the database at the start of every pass.
+let getSteamIdScore = createScoreLookup(new Map(), prioritySteamIds);
+
+async function reloadReputation() {
+  try {
+    getSteamIdScore = createScoreLookup(await loadReputation(db), prioritySteamIds);
+  } catch (err) {
+    console.error('[Reputation] Failed to load scores:', err.message);
+  }
 }
 
-async function emitDefaultBptfPricesForUnpriceableItems() {
-  // 1. Get all item names
-  const allItemNames = getAllPricedItemNamesWithEffects(external_pricelist, schemaManager);
+// Manual price locks, reloaded at the start of every pass. Expired locks are removed first,
+// except in a dry run, which doesn't write anything.
+let priceLocks = new Map();
 
-  // 2. Read current pricelist
-  const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
-  const pricedSkus = new Set(pricelist.items.map((i) => i.sku));
+async function reloadPriceLocks({ dryRun = false } = {}) {
+  try {
+    if (!dryRun) {
+      for (const lock of await expirePriceLocks(db)) {
+        console.log(`[PriceLock] Lock on ${lock.name} (${lock.sku}) expired.`);
+      }
+    }
+    priceLocks = await getActiveLocks(db);
+  } catch (err) {
+    console.error('[PriceLock] Failed to load price locks:', err.message);
+  }
+}
 
-  // 3. Get SKUs with 3+ buy and 3+ sell listings
-  const pricableSkus = new Set(await getPricableItems(db));
+// Replaces the locked sides of an item about to be published.
+const withPriceLock = (item) => applyPriceLock(item, priceLocks.get(item.sku), keyobj.metal);
 
-  // 4. Filter out items already in pricelist or with enough listings
-  const unpriceableNames = allItemNames.filter((name) => {
-    const sku = schemaManager.schema.getSkuFromName(name);
-    return sku && !pricedSkus.has(sku) && !pricableSkus.has(sku);
+// Listing based pricing over the data loaded for a pass, see modules/pricingSnapshot.js.
+const createPassPipeline = (snapshot) =>
+  createPricingPipeline({
+    Methods,
+    getKeyMetal: () => keyobj.metal,
+    getItemProfile,
+    getItemBounds,
+    prioritySteamIds,
+    getSteamIdScore: config.reputation.enabled ? (steamid) => getSteamIdScore(steamid) : undefined,
+    reputation: config.reputation,
+    getSellPriceHistory: snapshot.getSellPriceHistory,
+    getRecentPrices: snapshot.getRecentPrices,
+    getPreviousPrice: snapshot.getPreviousPrice,
   });
 
-  // 5. For each, get BPTF price, adjust, and emit
-  for (const name of unpriceableNames) {
-    const sku = schemaManager.schema.getSkuFromName(name);
-    if (!sku) {
-      continue;
-    }
-    const data = Methods.getItemPriceFromExternalPricelist(
-      sku,
-      external_pricelist,
-      keyobj.metal,
-      schemaManager
-    );
-    const pricetfItem = data.pricetfItem;
-    if (
-      !pricetfItem ||
-      (pricetfItem.buy.keys === 0 && pricetfItem.buy.metal === 0) ||
-      (pricetfItem.sell.keys === 0 && pricetfItem.sell.metal === 0)
-    ) {
-      continue; // skip if no valid price
-    }
+// Fallback prices for items their listings can't price, see modules/fallbackChain.js.
+// getLastPrice resolves the current pricelist entry of a SKU. A dry run only uses SCM prices
+// that are already cached, so it neither spends the SCM rate limit nor writes the cache.
+const createPassFallbacks = (getLastPrice, { dryRun = false } = {}) =>
+  createFallbackChain({
+    getSCMPrice: async (sku) => {
+      // SCM lists every unusual of an item under one name, whatever its effect.
+      const name = parseSku(sku)?.effect ? null : toMarketHashName(sku, schemaManager.schema);
+      if (!name) {
+        return null;
+      }
+      return getSCMPriceObject({
+        name,
+        keyMetal: keyobj.metal,
+        currency: 'USD',
+        pricing: config.scmPricing,
+        cacheOnly: dryRun,
+      });
+    },
+    getBptfPrice: (sku) => {
+      try {
+        return Methods.getItemPriceFromExternalPricelist(
+          sku,
+          external_pricelist,
+          keyobj.metal,
+          schemaManager
+        ).pricetfItem;
+      } catch {
+        return null;
+      }
+    },
+    getLastPrice,
+    getKeyMetal: () => keyobj.metal,
+    getOptions: () => config.fallbacks,
+  });
 
-    // Adjust prices: +25% sell, -25% buy
-    const adjust = (val, percent) => Math.max(0, Math.round((val + percent * val) * 100) / 100);
+// SKUs with enough listings to be priced under the least demanding pricing profile, optionally
+// only out of `skus`. The pipeline holds each item to its own profile's minListings.
+async function getPriceableItems(db, skus = null) {
+  const minListings = getMinListings();
+  const rows = await db.any(
+    `
+    SELECT sku FROM listing_stats
+    WHERE current_buy_count >= $2 AND current_sell_count >= $3
+      AND ($1::text[] IS NULL OR sku = ANY($1))
+  `,
+    [skus, minListings.buy, minListings.sell]
+  );
+  return rows.map((r) => r.sku);
+}
 
-    const buy = {
-      keys: pricetfItem.buy.keys,
-      metal: adjust(pricetfItem.buy.metal, -0.25),
-    };
-    const sell = {
-      keys: pricetfItem.sell.keys,
-      metal: adjust(pricetfItem.sell.metal, 0.25),
-    };
+// Killstreak variants of the items priced on bptf, generated again for every bptf price fetch.
+let killstreakVariants = { source: null, variants: [] };
 
-    // Auto bots expect: { name, sku, source, time, buy, sell }
-    const item = {
-      name,
-      sku,
-      source: 'bptf',
-      time: Math.floor(Date.now() / 1000),
-      buy,
-      sell,
+function getKillstreakVariantsOf(allItemNames) {
+  if (killstreakVariants.source !== external_pricelist) {
+    killstreakVariants = {
+      source: external_pricelist,
+      variants: getKillstreakVariants(schemaManager.schema, allItemNames),
     };
+    console.log(`Generated ${killstreakVariants.variants.length} killstreak variants.`);
+  }
+  return killstreakVariants.variants;
+}
 
-    emitQueue.enqueue(item);
+// Killstreak variants to price in a pass: those with updated listings of their own and, to
+// derive their price again, those whose base item is priced in the pass or that have no price
+// of their own yet.
+function getKillstreakNamesToPrice(allItemNames, skusToPrice) {
+  const variants = getKillstreakVariantsOf(allItemNames);
+  const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
+  const pricedSkus = new Set(pricelist.items.map((i) => i.sku));
+  const derive = config.killstreakPricing.enabled;
+  return variants
+    .filter(
+      (v) =>
+        skusToPrice.has(v.sku) ||
+        (derive &&
+          (skusToPrice.has(v.baseSku) || (!pricedSkus.has(v.sku) && pricedSkus.has(v.baseSku))))
+    )
+    .map((v) => v.name);
+}
+
+// Whether an item is a killstreak variant without enough listings to be priced from them.
+function needsDerivedPrice(name, sku, snapshot) {
+  if (!config.killstreakPricing.enabled || !killstreakTier(sku)) {
+    return false;
   }
-  console.log(
-    `Emitted default BPTF prices for ${unpriceableNames.length} items not in pricelist and with <3 buy/sell listings.`
+  const { minListings } = getItemProfile(name);
+  return (
+    snapshot.getListings(name, 'buy').length < minListings.buy ||
+    snapshot.getListings(name, 'sell').length < minListings.sell
   );
 }
 
-const KILLSTREAK_TIERS = {
-  1: 'Killstreak',
-  2: 'Specialized Killstreak',
-  3: 'Professional Killstreak',
-};
-
-async function getKsItemNamesToPrice(db, allItemNames) {
-  console.log(`Getting killstreak items with enough listings...`);
-  const rows = await db.any(`
-    SELECT sku FROM listing_stats
-    WHERE (sku LIKE '%;kt-1' OR sku LIKE '%;kt-2' OR sku LIKE '%;kt-3')
-      AND current_buy_count > 3 AND current_sell_count > 3
-  `);
-  console.log(`Found ${rows.length} killstreak items with enough listings.`);
-
-  // Build a map from baseSku (defindex + qualities except kt/effect) to name
-  const baseSkuToName = new Map();
-  for (const name of allItemNames) {
-    const sku = schemaManager.schema.getSkuFromName(name);
-    if (!sku) {
-      continue;
-    }
-    // Remove killstreak and effect parts for base matching
-    const parts = sku.split(';');
-    const baseParts = [
-      parts[0],
-      ...parts.slice(1).filter((p) => !p.startsWith('kt-') && !p.startsWith('u')),
-    ];
-    const baseSku = baseParts.join(';');
-    baseSkuToName.set(baseSku, name);
+// The [buy, sell] of a killstreak variant, from the price of its base item and the premium of
+// its tier.
+function deriveKillstreakVariant(sku, explain, prices, premiums) {
+  const tier = killstreakTier(sku);
+  const baseSku = killstreakBaseSku(sku);
+  const base = prices.get(baseSku);
+  if (!base) {
+    throw new Error(
+      `| UPDATING PRICES |: ${explain.name} doesn't have enough listings and its base item ${baseSku} has no price to derive one from.`
+    );
+  }
+  const premium = premiums.get(tier);
+  if (!premium) {
+    throw new Error(
+      `| UPDATING PRICES |: ${explain.name} doesn't have enough listings and too few ${KILLSTREAK_TIERS[tier]} variants are priced from listings to know the kit premium.`
+    );
   }
+  explain.derived = {
+    type: 'killstreak',
+    baseSku,
+    base: { buy: base.buy, sell: base.sell },
+    premium,
+  };
+  return deriveKillstreakPrice(base, premium, keyobj.metal);
+}
 
-  const ksNames = [];
-  for (const { sku } of rows) {
-    console.log(`Processing SKU: ${sku}`);
-    // Parse the SKU
-    const parts = sku.split(';');
-    const defindex = parts[0];
-    let ksTier = null;
-    let isStrange = false;
-    let isAustralium = false;
-    let isFestivized = false;
-    let qualities = [];
-
-    for (const part of parts.slice(1)) {
-      if (part.startsWith('kt-')) {
-        ksTier = Number(part.split('-')[1]);
-      } else if (part === '11') {
-        isStrange = true;
-        qualities.push(part);
-      } else if (part === 'australium') {
-        isAustralium = true;
-        qualities.push(part);
-      } else if (part === 'festivized') {
-        isFestivized = true;
-        qualities.push(part);
-      } else if (!part.startsWith('u')) {
-        qualities.push(part);
+// Painted variants of the items priced in a pass, with the names to price them under, whose
+// paint has a premium on both sides.
+async function getPaintedVariantsToPrice(pricedItems, premiums) {
+  const bases = new Map(
+    pricedItems.filter((i) => !i.derived && i.sku !== '5021;6').map((i) => [i.sku, i])
+  );
+  const variants = await getListedPaintedVariants(db, [...bases.keys()]);
+  return variants
+    .filter((v) => {
+      const premium = premiums.get(v.paint);
+      return premium && premium.buy !== null && premium.sell !== null;
+    })
+    .map((v) => {
+      try {
+        const item = schemaManager.schema.getItemObjectFromName(bases.get(v.baseSku).name);
+        const name = schemaManager.schema.getName({ ...item, paint: v.decimal }, false);
+        return schemaManager.schema.getSkuFromName(name) === v.sku ? { ...v, name } : null;
+      } catch {
+        return null;
       }
-    }
-
-    // Build baseSku for lookup (defindex + all qualities except kt/effect)
-    const baseParts = [defindex, ...qualities];
-    const baseSku = baseParts.join(';');
-    let baseName = baseSkuToName.get(baseSku);
-
-    if (!baseName) {
-      console.warn(`Base name not found for baseSku ${baseSku} (from KS SKU ${sku}), skipping.`);
-      continue;
-    }
+    })
+    .filter(Boolean);
+}
 
-    // Remove "Strange" if present for baseName, will re-add if needed
-    let displayName = baseName
-      .replace(/^Strange\s+/i, '')
-      .replace(/^Festivized\s+/i, '')
-      .replace(/^Australium\s+/i, '');
+function derivePaintedVariant(variant, explain, prices, premiums) {
+  const base = prices.get(variant.baseSku);
+  const premium = premiums.get(variant.paint);
+  explain.derived = {
+    type: 'paint',
+    baseSku: variant.baseSku,
+    base: { buy: base.buy, sell: base.sell },
+    premium: {
+      buy: premium.buy,
+      sell: premium.sell,
+      samples: premium.samples.buy + premium.samples.sell,
+    },
+  };
+  return deriveVariantPrice(base, premium, keyobj.metal);
+}
 
-    // Compose KS name in correct order
-    let ksName = '';
-    if (isStrange) {
-      ksName += 'Strange ';
-    }
-    if (isFestivized) {
-      ksName += 'Festivized ';
+/**
+ * Runs a pricing pass over every item that should be priced.
+ * In dry run mode nothing is written, inserted or emitted: the pass prices every item with
+ * enough listings rather than only recently updated ones, and returns a diff report against the
+ * current pricelist instead.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Simulate the pass and return a report.
+ * @returns {Promise<object|undefined>} - The dry run report, if dryRun is set.
+ */
+const calculateAndEmitPrices = async ({ dryRun = false } = {}) => {
+  const timings = createPassTimings();
+  // Pruned once per pass, the listings of every item are then loaded together.
+  if (!dryRun) {
+    const deleted = await deleteOldListings(db);
+    console.log(`Deleted ${deleted} old listings.`);
+    if (config.variantPricing.enabled) {
+      const deletedVariants = await deleteOldVariantListings(db);
+      console.log(`Deleted ${deletedVariants} old variant listings.`);
     }
-    ksName += KILLSTREAK_TIERS[ksTier] + ' ';
-    if (isAustralium) {
-      ksName += 'Australium ';
-    }
-    ksName += displayName;
-
-    ksNames.push(ksName.trim());
-    console.log(`Added killstreak item name: ${ksName}`);
   }
-  console.log(`Found ${ksNames.length} killstreak item names to price.`);
-  return ksNames;
-}
-
-const calculateAndEmitPrices = async () => {
-  await deleteOldListings(db);
+  timings.mark('prune');
+  if (config.reputation.enabled) {
+    await reloadReputation();
+  }
 
   let itemNames;
   if (config.priceAllItems) {
-    const pricableSkus = await getPricableItems(db);
-    console.log(`Priceable SKUs from DB:`, pricableSkus.length);
-    console.log(`Key (5021;6) is priceable:`, pricableSkus.includes('5021;6'));
+    const priceableSkus = await getPriceableItems(db);
+    console.log(`Priceable SKUs from DB:`, priceableSkus.length);
+    console.log(`Key (5021;6) is priceable:`, priceableSkus.includes('5021;6'));
 
-    const pricableSkuSet = new Set(pricableSkus);
-    const skusToPrice = new Set(Array.from(updatedSkus).filter((sku) => pricableSkuSet.has(sku)));
+    const priceableSkuSet = new Set(priceableSkus);
+    // Items on fallback prices are priced from listings as soon as they have enough of them.
+    const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
+    const promotableSkus = getFallbackSkus(pricelist.items).filter((sku) =>
+      priceableSkuSet.has(sku)
+    );
+    const skusToPrice = dryRun
+      ? priceableSkuSet
+      : new Set([...updatedSkus, ...promotableSkus].filter((sku) => priceableSkuSet.has(sku)));
     console.log(`Updated SKUs:`, Array.from(updatedSkus));
+    console.log(`Fallback priced SKUs with enough listings to promote:`, promotableSkus.length);
     console.log(`SKUs to price (updated + priceable):`, Array.from(skusToPrice));
 
     // Get all item names as usual
@@ -345,7 +545,7 @@ const calculateAndEmitPrices = async () => {
 
     console.log(`Getting killstreak items`);
 
-    const ksNames = await getKsItemNamesToPrice(db, allItemNames);
+    const ksNames = getKillstreakNamesToPrice(allItemNames, skusToPrice);
 
     console.log(`Found ${ksNames.length} killstreak items to price.`);
 
@@ -359,7 +559,7 @@ const calculateAndEmitPrices = async () => {
     if (
       !itemNames.includes(keyName) &&
       allItemNames.includes(keyName) &&
-      pricableSkuSet.has('5021;6')
+      priceableSkuSet.has('5021;6')
     ) {
       itemNames.push(keyName);
       console.log('Added keys to pricing queue (sufficient listings, forced inclusion)');
@@ -371,86 +571,385 @@ const calculateAndEmitPrices = async () => {
 
     console.log(`Item names is ${itemNames.length} items after killstreak. `);
 
-    updatedSkus.clear();
+    // Unusuals rarely have enough listings to be priceable, those with updated listings are
+    // priced from comparables.
+    if (config.unusualPricing.enabled) {
+      const listedUnusuals = new Set(await getListedUnusualSkus(db));
+      const unusualNames = allItemNames.filter((name) => {
+        const sku = schemaManager.schema.getSkuFromName(name);
+        return listedUnusuals.has(sku) && !skusToPrice.has(sku) && (dryRun || updatedSkus.has(sku));
+      });
+      console.log(`Found ${unusualNames.length} unusuals to price from comparables.`);
+      itemNames = [...itemNames, ...unusualNames];
+    }
+
+    // Leave the updated SKUs for the next real pass.
+    if (!dryRun) {
+      updatedSkus.clear();
+    }
   } else {
     itemNames = Array.from(getAllowedItemNames());
   }
 
-  const limit = pLimit(15); // Limit concurrency to 15, adjust as needed
-  const priceHistoryEntries = [];
-  const itemsToWrite = [];
+  timings.mark('select');
 
-  console.log(`About to price ${itemNames.length} items. `);
+  return dryRun
+    ? priceAndEmitItems(itemNames, { dryRun, timings })
+    : runPricingPass(() => priceAndEmitItems(itemNames, { timings }));
+};
 
-  await Promise.allSettled(
-    itemNames.map((name) =>
-      limit(async () => {
-        try {
-          let sku = schemaManager.schema.getSkuFromName(name);
-          let arr = await determinePrice(name, sku);
-          let result = await finalisePrice(arr, name, sku);
+// Reprices items whose listings changed, see modules/repricer.js.
+async function repriceItems(items) {
+  let names = items.map((i) => i.name);
+  if (config.priceAllItems) {
+    const priceableSkus = new Set(
+      await getPriceableItems(
+        db,
+        items.map((i) => i.sku)
+      )
+    );
+    names = items
+      .filter(
+        (i) => priceableSkus.has(i.sku) || (config.unusualPricing.enabled && isUnusualSku(i.sku))
+      )
+      .map((i) => i.name);
+    // Derived killstreak prices follow the new price of their base item.
+    if (config.killstreakPricing.enabled) {
+      const variants = killstreakVariants.variants.filter(
+        (v) => priceableSkus.has(v.baseSku) && !names.includes(v.name)
+      );
+      names.push(...variants.map((v) => v.name));
+    }
+  }
+  // Already up to date for the next full pass.
+  for (const { sku } of items) {
+    updatedSkus.delete(sku);
+  }
+  if (names.length === 0) {
+    return;
+  }
+  console.log(`[Repricer] Repricing ${names.length} items with changed listings.`);
+  await runPricingPass(() => priceAndEmitItems(names));
+}
 
-          // Special handling for keys - log more details
-          if (sku === '5021;6') {
-            console.log(`Key processing: name=${name}, sku=${sku}`);
-            console.log(`Key arr result:`, arr);
-            console.log(`Key finalise result:`, result);
-          }
+// Passes that publish prices run one at a time, as each of them rewrites pricelist.json.
+let pricingPass = Promise.resolve();
 
-          let item = result?.item;
-          if (!result || !result.item) {
-            if (sku === '5021;6') {
-              console.warn(`Key processing failed: no result or item from finalisePrice`);
-            }
-            return;
-          }
-          if (
-            (item.buy.keys === 0 && item.buy.metal === 0) ||
-            (item.sell.keys === 0 && item.sell.metal === 0)
-          ) {
-            if (sku === '5021;6') {
-              console.warn(
-                `Key processing failed: zero prices - buy: ${JSON.stringify(item.buy)}, sell: ${JSON.stringify(item.sell)}`
-              );
-            }
-            return;
-          }
-          // If the item is key add to the right place and skip it.
-          if (sku === '5021;6') {
-            const buyPrice = item.buy.metal;
-            const sellPrice = item.sell.metal;
-            const timestamp = Math.floor(Date.now() / 1000);
-            console.log(
-              `Inserting key price: buy=${buyPrice}, sell=${sellPrice}, timestamp=${timestamp}`
-            );
-            await insertKeyPrice(db, keyobj, buyPrice, sellPrice, timestamp);
-            console.log(`Key price insertion completed`);
-            return;
-          }
-          itemsToWrite.push(item);
-          priceHistoryEntries.push(result.priceHistory);
-          emitQueue.enqueue(item);
-        } catch (e) {
-          console.log("Couldn't create a price for " + name + ' due to: ' + e.message);
-        }
-      })
-    )
-  );
+function runPricingPass(pass) {
+  const run = pricingPass.then(pass);
+  pricingPass = run.catch(() => {});
+  return run;
+}
 
-  // Batch write pricelist at the end
+// Writes priced items to pricelist.json in one go, replacing the entries of their SKUs.
+function writePricelistItems(items) {
   try {
     // Read current pricelist
     const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
     // Remove items with the same SKU as those we're updating
-    const updatedSkus = new Set(itemsToWrite.map((i) => i.sku));
+    const updatedSkus = new Set(items.map((i) => i.sku));
     const filtered = pricelist.items.filter((i) => !updatedSkus.has(i.sku));
     // Add new/updated items
-    pricelist.items = [...filtered, ...itemsToWrite];
+    pricelist.items = [...filtered, ...items];
     // Write back to file
     fs.writeFileSync(PRICELIST_PATH, JSON.stringify(pricelist, null, 2), 'utf8');
   } catch (err) {
     console.error('Failed to batch write pricelist:', err);
   }
+}
+
+// The unusual market of a pass, see modules/unusualPricer.js.
+function loadCurrentUnusualMarket() {
+  return loadUnusualMarket({
+    db,
+    externalPricelist: external_pricelist,
+    pollDataPath: configManager.getPollDataPath(),
+    keyMetal: keyobj.metal,
+    options: config.unusualPricing,
+  });
+}
+
+// Prices the named items and publishes the results, or only reports them in a dry run. The
+// listings, price history and current prices of all items are loaded up front, after which
+// the items are priced in memory.
+const priceAndEmitItems = async (
+  itemNames,
+  { dryRun = false, timings = createPassTimings() } = {}
+) => {
+  timings.mark('queued');
+  await reloadPriceLocks({ dryRun });
+
+  const skuByName = new Map();
+  for (const name of itemNames) {
+    try {
+      const sku = schemaManager.schema.getSkuFromName(name);
+      if (sku) {
+        skuByName.set(name, sku);
+      }
+    } catch {
+      // Reported when the item is priced.
+    }
+  }
+  const snapshot = await loadPricingSnapshot(db, {
+    names: itemNames,
+    skus: [...skuByName.values()],
+    pricelistPath: PRICELIST_PATH,
+  });
+  const pipeline = createPassPipeline(snapshot);
+  const fallbacks = createPassFallbacks(snapshot.getPreviousPrice, { dryRun });
+  const unusualMarket =
+    config.unusualPricing.enabled && [...skuByName.values()].some(isUnusualSku)
+      ? await loadCurrentUnusualMarket()
+      : null;
+  timings.mark('load');
+
+  const limit = pLimit(15); // Limit concurrency to 15, adjust as needed
+  const priceHistoryEntries = [];
+  const itemsToWrite = [];
+  const explanations = [];
+  const reportEntries = [];
+  const pricedItems = [];
+  const derivedNames = new Set(
+    itemNames.filter((name) => needsDerivedPrice(name, skuByName.get(name), snapshot))
+  );
+  // Record why an item did or did not get a new price in the dry run report.
+  const report = (name, sku, next, reason) => {
+    if (dryRun) {
+      reportEntries.push(
+        createReportEntry({
+          name,
+          sku,
+          previous: snapshot.prices.get(sku),
+          next,
+          reason,
+          keyMetal: keyobj.metal,
+        })
+      );
+    }
+  };
+
+  console.log(`About to price ${itemNames.length} items. `);
+
+  // Prices one item, from the [buy, sell] that getPrice(sku, explain) comes up with.
+  const priceItem = async (name, getPrice) => {
+    let sku;
+    let explain;
+    try {
+      sku = schemaManager.schema.getSkuFromName(name);
+      explain = createExplanation(name, sku);
+      explanations.push(explain);
+      let arr = await getPrice(sku, explain);
+      let result = await pipeline.finalisePrice(arr, name, sku, explain);
+      const finalised = result?.item || result?.rejected?.item;
+      if (finalised && explain.derived) {
+        finalised.derived = {
+          type: explain.derived.type,
+          baseSku: explain.derived.baseSku,
+          premium: { buy: explain.derived.premium.buy, sell: explain.derived.premium.sell },
+        };
+      }
+      if (finalised && explain.unusual?.price) {
+        finalised.band = explain.unusual.band;
+      }
+      const previous = snapshot.prices.get(sku);
+      if (finalised && explain.fallback) {
+        finalised.fallback = {
+          source: explain.fallback.source,
+          since: fallbackSince(previous, finalised.time),
+        };
+        if (explain.fallback.pricedAt) {
+          finalised.fallback.pricedAt = explain.fallback.pricedAt;
+        }
+      } else if (result?.item && previous?.fallback && !dryRun) {
+        console.log(
+          `Promoted ${name} (${sku}) from the ${previous.fallback.source} fallback to listing-based pricing.`
+        );
+      }
+      if (finalised) {
+        finalised.confidence = scorePrice(explain, finalised, keyobj.metal);
+        explain.confidence = finalised.confidence;
+      }
+
+      // Special handling for keys - log more details
+      if (sku === '5021;6') {
+        console.log(`Key processing: name=${name}, sku=${sku}`);
+        console.log(`Key arr result:`, arr);
+        console.log(`Key finalise result:`, result);
+      }
+
+      // Prices rejected by the swing check are quarantined, and published once enough
+      // consecutive runs have proposed the same price.
+      if (
+        result?.rejected &&
+        !dryRun &&
+        config.priceQuarantine.enabled &&
+        !isFullLock(priceLocks.get(sku))
+      ) {
+        try {
+          const { approved, confirmations } = await quarantinePrice(
+            db,
+            result.rejected,
+            config.priceQuarantine
+          );
+          if (approved) {
+            result = { item: result.rejected.item, priceHistory: result.rejected.priceHistory };
+            explain.outcome = 'priced';
+            explain.reason = `Price swing approved automatically after ${confirmations} consecutive runs.`;
+            explain.final = { buy: result.item.buy, sell: result.item.sell };
+          } else {
+            explain.reason += ` Quarantined for review (${confirmations} consecutive runs).`;
+            result.reason = explain.reason;
+          }
+        } catch (err) {
+          console.error(`Failed to quarantine the price of ${name}:`, err.message);
+        }
+      }
+
+      // Locked sides replace the computed price. A lock on both sides is published even
+      // when the item couldn't be priced. The key's lock is applied by updateKeyObject.
+      const lock = sku === '5021;6' ? null : priceLocks.get(sku);
+      if (lock && (result?.item || isFullLock(lock))) {
+        result = result?.item
+          ? { ...result, item: applyPriceLock(result.item, lock, keyobj.metal) }
+          : { item: lockedItem(lock) };
+        explain.lock = describeLock(lock);
+        explain.outcome = 'priced';
+        const sides = isFullLock(lock)
+          ? 'Buy and sell prices'
+          : lock.buy
+            ? 'Buy price'
+            : 'Sell price';
+        explain.reason = `${sides} locked by ${lock.created_by}.`;
+        explain.final = { buy: result.item.buy, sell: result.item.sell };
+      }
+
+      let item = result?.item;
+      if (!result || !result.item) {
+        if (sku === '5021;6') {
+          console.warn(`Key processing failed: no result or item from finalisePrice`);
+        }
+        report(name, sku, null, result?.reason || 'Price could not be finalised.');
+        return;
+      }
+      if (
+        (item.buy.keys === 0 && item.buy.metal === 0) ||
+        (item.sell.keys === 0 && item.sell.metal === 0)
+      ) {
+        if (sku === '5021;6') {
+          console.warn(
+            `Key processing failed: zero prices - buy: ${JSON.stringify(item.buy)}, sell: ${JSON.stringify(item.sell)}`
+          );
+        }
+        explain.outcome = 'failed';
+        explain.reason = 'Missing buy and/or sell side.';
+        report(name, sku, null, explain.reason);
+        return;
+      }
+      pricedItems.push(item);
+      if (dryRun) {
+        report(name, sku, item, explain.derived ? 'Derived from the base item.' : 'Priced.');
+        return;
+      }
+      // If the item is key add to the right place and skip it.
+      if (sku === '5021;6') {
+        const buyPrice = item.buy.metal;
+        const sellPrice = item.sell.metal;
+        const timestamp = Math.floor(Date.now() / 1000);
+        console.log(
+          `Inserting key price: buy=${buyPrice}, sell=${sellPrice}, timestamp=${timestamp}`
+        );
+        await insertKeyPrice(db, keyobj, buyPrice, sellPrice, timestamp);
+        console.log(`Key price insertion completed`);
+        return;
+      }
+      itemsToWrite.push(item);
+      if (result.priceHistory) {
+        priceHistoryEntries.push(result.priceHistory);
+      }
+      emitQueue.enqueue(item);
+    } catch (e) {
+      console.log("Couldn't create a price for " + name + ' due to: ' + e.message);
+      if (explain) {
+        explain.outcome = 'failed';
+        explain.reason = e.message;
+      }
+      report(name, sku, null, e.message);
+    }
+  };
+
+  await Promise.allSettled(
+    itemNames
+      .filter((name) => !derivedNames.has(name))
+      .map((name) =>
+        limit(() =>
+          priceItem(name, (sku, explain) =>
+            determinePrice(name, sku, { explain, snapshot, pipeline, fallbacks, unusualMarket })
+          )
+        )
+      )
+  );
+
+  // Killstreak variants without enough listings of their own are derived last, from this
+  // pass's prices of their base items and of the variants priced from listings.
+  if (derivedNames.size > 0) {
+    const prices = new Map(snapshot.prices);
+    pricedItems.forEach((item) => prices.set(item.sku, item));
+    const premiums = getKillstreakPremiums(prices, keyobj.metal, config.killstreakPricing);
+    await Promise.allSettled(
+      [...derivedNames].map((name) =>
+        limit(() =>
+          priceItem(name, async (sku, explain) =>
+            deriveKillstreakVariant(sku, explain, prices, premiums)
+          )
+        )
+      )
+    );
+  }
+
+  // Painted variants seen in listings follow the new price of their clean item, plus the
+  // premium of their paint.
+  if (config.variantPricing.enabled && config.variantPricing.pricePaintedVariants) {
+    const prices = new Map(snapshot.prices);
+    pricedItems.forEach((item) => prices.set(item.sku, item));
+    const premiums = await getVariantPremiums(db, prices, keyobj.metal, config.variantPricing);
+    const painted = await getPaintedVariantsToPrice(pricedItems, premiums);
+    await Promise.allSettled(
+      painted.map((variant) =>
+        limit(() =>
+          priceItem(variant.name, async (sku, explain) =>
+            derivePaintedVariant(variant, explain, prices, premiums)
+          )
+        )
+      )
+    );
+  }
+
+  timings.mark('price');
+
+  if (dryRun) {
+    return buildReport(reportEntries, keyobj.metal, timings.summary());
+  }
+
+  try {
+    await saveExplanations(pgp, db, explanations);
+  } catch (err) {
+    console.error('Failed to save price explanations:', err);
+  }
+
+  // Items priced within the swing limits again no longer need a quarantine decision.
+  if (config.priceQuarantine.enabled) {
+    try {
+      await supersedeQuarantined(
+        db,
+        itemsToWrite.map((i) => i.sku)
+      );
+    } catch (err) {
+      console.error('Failed to update quarantined prices:', err.message);
+    }
+  }
+
+  // Batch write pricelist at the end
+  writePricelistItems(itemsToWrite);
 
   // After all items processed, batch insert price history:
   if (priceHistoryEntries.length > 0) {
@@ -464,8 +963,78 @@ const calculateAndEmitPrices = async () => {
     }));
     await db.none(pgp.helpers.insert(values, cs) + ' ON CONFLICT DO NOTHING');
   }
+  timings.mark('write');
+
+  const { listings, historySkus } = snapshot.counts;
+  console.log(
+    `[Pricing] ${itemNames.length} items in ${formatTimings(timings.summary())}, ` +
+      `from ${listings} listings and the price history of ${historySkus} SKUs.`
+  );
 };
 
+// Publishes quarantined prices approved on the /quarantine page.
+async function publishApprovedPrices() {
+  let approved;
+  try {
+    approved = await takeApprovedPrices(db);
+  } catch (err) {
+    console.error('Failed to load approved prices:', err.message);
+    return;
+  }
+  for (const entry of approved) {
+    const item = withPriceLock({ ...entry.proposed, time: Math.floor(Date.now() / 1000) });
+    Methods.addToPricelist(item, PRICELIST_PATH);
+    emitQueue.enqueue(item);
+    try {
+      await db.none('INSERT INTO price_history (sku, buy_metal, sell_metal) VALUES ($1, $2, $3)', [
+        entry.sku,
+        entry.proposed_buy_metal,
+        entry.proposed_sell_metal,
+      ]);
+    } catch (err) {
+      console.error(`Failed to record the approved price of ${entry.name}:`, err.message);
+    }
+    console.log(`Published approved price for ${entry.name} (${entry.sku}).`);
+  }
+}
+
+// Publishes locks set or changed on the /locks page or through the API since the last call.
+async function publishPriceLocks() {
+  let locks;
+  try {
+    locks = await takeUnpublishedLocks(db);
+  } catch (err) {
+    console.error('[PriceLock] Failed to load changed price locks:', err.message);
+    return;
+  }
+  if (locks.length === 0) {
+    return;
+  }
+  await reloadPriceLocks();
+  const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
+  const current = new Map(pricelist.items.map((i) => [i.sku, i]));
+  for (const lock of locks) {
+    const time = Math.floor(Date.now() / 1000);
+    let item;
+    if (current.has(lock.sku)) {
+      item = applyPriceLock({ ...current.get(lock.sku), time }, lock, keyobj.metal);
+    } else if (isFullLock(lock)) {
+      item = lockedItem(lock);
+    } else {
+      console.log(
+        `[PriceLock] ${lock.name} (${lock.sku}) isn't priced yet, its lock applies once it is.`
+      );
+      continue;
+    }
+    if (lock.sku === '5021;6') {
+      keyobj = { metal: item.sell.metal };
+    }
+    Methods.addToPricelist(item, PRICELIST_PATH);
+    emitQueue.enqueue(item);
+    console.log(`[PriceLock] Published locked price for ${lock.name} (${lock.sku}).`);
+  }
+}
+
 // When the schema manager is ready we proceed.
 schemaManager.init(async function (err) {
   if (err) {
@@ -473,6 +1042,14 @@ schemaManager.init(async function (err) {
     process.exit(1);
   }
 
+  // CLI dry run: price everything once, write the report and exit.
+  if (DRY_RUN) {
+    external_pricelist = await getBptfPrices();
+    await updateKeyObject({ dryRun: true });
+    saveReport(await calculateAndEmitPrices({ dryRun: true }));
+    process.exit(0);
+  }
+
   // Start watching pricelist.json for “old” entries
   // pricelist.json lives in ./files/pricelist.json relative to this file:
   const pricelistPath = path.resolve(__dirname, './files/pricelist.json');
@@ -483,7 +1060,7 @@ schemaManager.init(async function (err) {
   external_pricelist = await getBptfPrices(); //await Methods.getExternalPricelist();
   // Update key object.
   await updateKeyObject();
-  console.log(`Key object initialised to bptf base: ${JSON.stringify(keyobj)}`);
+  console.log(`Key object initialised: ${JSON.stringify(keyobj)}`);
   // Get external pricelist.
   //external_pricelist = await Methods.getExternalPricelist();
   // Calculate and emit prices on start up.
@@ -512,6 +1089,39 @@ schemaManager.init(async function (err) {
     calculateAndEmitPrices,
     cleanupOldKeyPrices: async (db) => {
       await cleanupOldKeyPrices(db);
+      await cleanupOldKeyPriceSources(db);
+    },
+    refreshKeyPrice: async () => {
+      if (config.keyPriceConsensus.enabled) {
+        try {
+          await updateKeyObject({ publish: false });
+        } catch (err) {
+          console.error('[KeyPrice] Failed to refresh the key price:', err.message);
+        }
+      }
+    },
+    cleanupOldExplanations: async (db) => {
+      await cleanupOldExplanations(db);
+      await cleanupOldQuarantine(db);
+    },
+    publishApprovedPrices: async () => {
+      if (config.priceQuarantine.enabled) {
+        await publishApprovedPrices();
+      }
+    },
+    publishPriceLocks,
+    maintainListingHistory: async (db) => {
+      if (config.listingHistory.enabled) {
+        await maintainListingHistory(db, config.listingHistory);
+      }
+    },
+    refreshReputation: async (db, pgp) => {
+      if (config.reputation.enabled) {
+        await refreshReputation(pgp, db, {
+          ...config.reputation,
+          pollDataPath: configManager.getPollDataPath(),
+        });
+      }
     },
     checkKeyPriceStability: async () => {
       await checkKeyPriceStability({
@@ -532,176 +1142,134 @@ schemaManager.init(async function (err) {
   });
   console.log('Scheduled tasks started.');
 
+  // Listing changes received until now are repriced on the first tick.
+  if (config.incrementalRepricing.enabled) {
+    repricer.start();
+    console.log('Incremental repricing started.');
+  }
+
   startPriceWatcher();
   console.log('PriceWatcher started.');
 
-  // After main pricing, fallback for unpriced items
+  // After main pricing, fallback for unpriced items. Their prices are written to
+  // pricelist.json like those of a pricing pass, so they are promoted once they have enough
+  // listings.
   async function fallbackForUnpricedItems() {
+    await reloadPriceLocks();
     const allItemNames = getAllPricedItemNamesWithEffects(external_pricelist, schemaManager);
     const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
     const pricedSkus = new Set(pricelist.items.map((i) => i.sku));
-    const pricableSkus = new Set(await getPricableItems(db));
+    const prices = new Map(pricelist.items.map((i) => [i.sku, i]));
+    const fallbacks = createPassFallbacks(async (sku) => prices.get(sku));
+    const priceableSkus = new Set(await getPriceableItems(db));
     const unpricedNames = allItemNames.filter((name) => {
       const sku = schemaManager.schema.getSkuFromName(name);
-      return sku && !pricedSkus.has(sku) && !pricableSkus.has(sku);
+      return sku && !pricedSkus.has(sku) && !priceableSkus.has(sku);
     });
-    const BATCH_SIZE = 10;
-    const RATE_LIMIT_DELAY = 1500; // ms between batches
-    const limit = pLimit(3); // Max 3 concurrent SCM requests
-    for (let i = 0; i < unpricedNames.length; i += BATCH_SIZE) {
-      const batch = unpricedNames.slice(i, i + BATCH_SIZE);
-      await Promise.all(
-        batch.map((name) =>
-          limit(async () => {
-            const sku = schemaManager.schema.getSkuFromName(name);
-            if (!sku) {
-              return;
-            }
-            // Prevent SCM fallback for keys
-            if (sku === '5021;6') {
-              console.warn(
-                `SCM fallback attempted for keys (${name}, ${sku}) in fallbackForUnpricedItems - this is not allowed. Skipping SCM fallback.`
-              );
-              return;
-            }
-            // Try SCM fallback
-            try {
-              const hashName = sku ? toMarketHashName(sku, schemaManager.schema) : name;
-              const scmPrice = await getSCMPriceObject({
-                name: hashName,
-                keyMetal: keyobj.metal,
-                currency: 'USD',
-                scmMarginBuy: config.scmMarginBuy ?? 0,
-                scmMarginSell: config.scmMarginSell ?? 0,
-              });
-              if (scmPrice && (scmPrice.buy.metal > 0 || scmPrice.sell.metal > 0)) {
-                const item = {
-                  name,
-                  sku,
-                  source: 'bptf',
-                  time: Math.floor(Date.now() / 1000),
-                  buy: scmPrice.buy,
-                  sell: scmPrice.sell,
-                };
-                emitQueue.enqueue(item);
-                return;
-              }
-            } catch (e) {
-              console.warn(`SCM fallback failed for ${name} (${sku}): ${e.message}`);
-            }
-            // Try BPTF fallback
-            try {
-              const data = Methods.getItemPriceFromExternalPricelist(
+    const unusualMarket = config.unusualPricing.enabled ? await loadCurrentUnusualMarket() : null;
+    const itemsToWrite = [];
+    const publish = (item) => {
+      const locked = withPriceLock(item);
+      itemsToWrite.push(locked);
+      emitQueue.enqueue(locked);
+    };
+    // SCM requests are cached and rate limited by modules/steamMarketFetcher.js.
+    const limit = pLimit(3); // Max 3 concurrent items
+    await Promise.all(
+      unpricedNames.map((name) =>
+        limit(async () => {
+          const sku = schemaManager.schema.getSkuFromName(name);
+          if (!sku) {
+            return;
+          }
+          // Keys are only priced from listings
+          if (sku === '5021;6') {
+            console.warn(
+              `Fallback attempted for keys (${name}, ${sku}) in fallbackForUnpricedItems - this is not allowed. Skipping fallback.`
+            );
+            return;
+          }
+          // Unusuals are priced from comparables before the fallback chain
+          if (unusualMarket && isUnusualSku(sku)) {
+            const unusual = priceUnusual(sku, unusualMarket, config.unusualPricing);
+            if (unusual.price) {
+              const item = {
+                name,
                 sku,
-                external_pricelist,
-                keyobj.metal,
-                schemaManager
-              );
-              const pricetfItem = data.pricetfItem;
-              if (
-                !pricetfItem ||
-                (pricetfItem.buy.keys === 0 && pricetfItem.buy.metal === 0) ||
-                (pricetfItem.sell.keys === 0 && pricetfItem.sell.metal === 0)
-              ) {
-                return; // skip if no valid price
-              }
-
-              // Adjust prices: +25% sell, -25% buy
-              const adjust = (val, percent) =>
-                Math.max(0, Math.round((val + percent * val) * 100) / 100);
-
-              const buy = {
-                keys: pricetfItem.buy.keys,
-                metal: adjust(pricetfItem.buy.metal, -0.25),
+                source: 'bptf',
+                time: Math.floor(Date.now() / 1000),
+                buy: unusual.price[0],
+                sell: unusual.price[1],
+                confidence: unusualConfidence(unusual),
+                band: unusual.band,
               };
-              const sell = {
-                keys: pricetfItem.sell.keys,
-                metal: adjust(pricetfItem.sell.metal, 0.25),
-              };
-              if (
-                pricetfItem &&
-                (pricetfItem.buy.keys > 0 ||
-                  pricetfItem.buy.metal > 0 ||
-                  pricetfItem.sell.keys > 0 ||
-                  pricetfItem.sell.metal > 0)
-              ) {
-                const item = {
-                  name,
-                  sku,
-                  source: 'bptf',
-                  time: Math.floor(Date.now() / 1000),
-                  buy: buy,
-                  sell: sell,
-                };
-                emitQueue.enqueue(item);
-              }
-            } catch (e) {
-              console.warn(`BPTF fallback failed for ${name} (${sku}): ${e.message}`);
+              publish(item);
+              return;
             }
-          })
-        )
-      );
-      if (i + BATCH_SIZE < unpricedNames.length) {
-        await new Promise((res) => setTimeout(res, RATE_LIMIT_DELAY));
-      }
-    }
+          }
+          const explain = createExplanation(name, sku);
+          const arr = await fallbacks.priceFromFallbacks(name, sku, {
+            profile: getItemProfile(name),
+            explain,
+            reason: 'Not enough listings to price it.',
+          });
+          if (arr) {
+            const { source } = explain.fallback;
+            const time = Math.floor(Date.now() / 1000);
+            const item = {
+              name,
+              sku,
+              source: 'bptf',
+              time,
+              buy: arr[0],
+              sell: arr[1],
+              fallback: { source, since: time },
+              confidence: sourceConfidence(source),
+            };
+            publish(item);
+          }
+        })
+      )
+    );
+    writePricelistItems(itemsToWrite);
     console.log(
-      `Fallback pass: emitted fallback prices for ${unpricedNames.length} items not in pricelist and with <3 buy/sell listings.`
+      `Fallback pass: priced ${itemsToWrite.length} of ${unpricedNames.length} items not in pricelist and without enough listings.`
     );
   }
 
   // Only run fallbackForUnpricedItems if both initialSeedUnpriced and priceAllItems are true
   if (config.initialSeedUnpriced && config.priceAllItems) {
-    // eslint-disable-next-line spellcheck/spell-checker
-    // Note: fallbackForUnpricedItems and emitDefaultBptfPricesForUnpriceableItems have overlapping logic.
-    // Consider refactoring to avoid duplication.
-    await fallbackForUnpricedItems();
+    await runPricingPass(fallbackForUnpricedItems);
     console.log('Fallback pass for unpriced items complete.');
   }
 });
 
-async function isPriceSwingAcceptable(prev, next, sku) {
-  // Fetch last 5 prices from DB
-  const history = await db.any(
-    'SELECT buy_metal, sell_metal FROM price_history WHERE sku = $1 ORDER BY timestamp DESC LIMIT 5',
-    [sku]
-  );
-  if (history.length === 0) {
-    return true;
-  } // No history, allow
-
-  const avgBuy = history.reduce((sum, p) => sum + Number(p.buy_metal), 0) / history.length;
-  const avgSell = history.reduce((sum, p) => sum + Number(p.sell_metal), 0) / history.length;
-
-  const nextBuy = Methods.toMetal(next.buy, keyobj.metal);
-  const nextSell = Methods.toMetal(next.sell, keyobj.metal);
-
-  const maxBuyIncrease = config.priceSwingLimits?.maxBuyIncrease ?? 0.1;
-  const maxSellDecrease = config.priceSwingLimits?.maxSellDecrease ?? 0.1;
-
-  if (nextBuy > avgBuy && (nextBuy - avgBuy) / avgBuy > maxBuyIncrease) {
-    return false;
-  }
-  if (nextSell < avgSell && (avgSell - nextSell) / avgSell > maxSellDecrease) {
-    return false;
+const determinePrice = async (
+  name,
+  sku,
+  { explain = createExplanation(name, sku), snapshot, pipeline, fallbacks, unusualMarket = null }
+) => {
+  // Pricing profile for this item, built from config.json and item_list.json.
+  const profile = getItemProfile(name);
+  explain.profile = profile;
+
+  // Unusuals are priced from their own and comparable listings, relative to bptf.
+  if (unusualMarket && isUnusualSku(sku)) {
+    const unusual = priceUnusual(sku, unusualMarket, config.unusualPricing);
+    explain.unusual = unusual;
+    if (unusual.price) {
+      return unusual.price;
+    }
   }
-  return true;
-}
-
-const determinePrice = async (name, sku) => {
-  // Delete listings based on moving averages.
-  await deleteOldListings(db);
 
-  // Try fetching listings for both name and 'The ' + name if needed
-  var buyListings = await getListings(db, name, 'buy');
-  var sellListings = await getListings(db, name, 'sell');
-
-  // If not enough listings, try with 'The ' prefix (if not already present)
-  if ((!buyListings || buyListings.rowCount === 0) && !name.startsWith('The ')) {
-    buyListings = await getListings(db, 'The ' + name, 'buy');
+  // Listings under the name, or under 'The ' + name if there are none
+  var buyListings = snapshot.getListings(name, 'buy');
+  var sellListings = snapshot.getListings(name, 'sell');
+  if (buyListings.length === 0 && !name.startsWith('The ')) {
+    buyListings = snapshot.getListings('The ' + name, 'buy');
   }
-  if ((!sellListings || sellListings.rowCount === 0) && !name.startsWith('The ')) {
-    sellListings = await getListings(db, 'The ' + name, 'sell');
+  if (sellListings.length === 0 && !name.startsWith('The ')) {
+    sellListings = snapshot.getListings('The ' + name, 'sell');
   }
 
   // Get the price of the item from the in-memory external pricelist.
@@ -718,575 +1286,173 @@ const determinePrice = async (name, sku) => {
   }
 
   var pricetfItem = data.pricetfItem;
+  explain.baseline = { buy: pricetfItem.buy, sell: pricetfItem.sell };
 
   if (
     (pricetfItem.buy.keys === 0 && pricetfItem.buy.metal === 0) ||
     (pricetfItem.sell.keys === 0 && pricetfItem.sell.metal === 0)
   ) {
-    // Prevent SCM fallback for keys
+    // Keys are only priced from listings
     if (sku === '5021;6') {
       console.warn(
-        `SCM fallback attempted for keys (${name}, ${sku}) - this is not allowed. Skipping SCM fallback.`
+        `Fallback attempted for keys (${name}, ${sku}) - this is not allowed. Skipping fallback.`
       );
       throw new Error(
-        `| UPDATING PRICES |: SCM fallback attempted for keys (${name}, ${sku}) - not allowed.`
+        `| UPDATING PRICES |: Fallback attempted for keys (${name}, ${sku}) - not allowed.`
       );
     }
-    // Try SCM fallback before BPTF fallback
-    try {
-      // Prefer SKU if available for hash name
-      const hashName = sku ? toMarketHashName(sku, schemaManager.schema) : name;
-      const scmPrice = await getSCMPriceObject({
-        name: hashName,
-        keyMetal: keyobj.metal,
-        currency: 'USD',
-      });
-      if (scmPrice && (scmPrice.buy.metal > 0 || scmPrice.sell.metal > 0)) {
-        return [scmPrice.buy, scmPrice.sell];
-      }
-    } catch (e) {
-      // SCM fallback failed, continue to BPTF fallback
-      console.warn(`SCM fallback failed for ${name} (${sku}): ${e.message}`);
+    const arr = await fallbacks.priceFromFallbacks(name, sku, {
+      profile,
+      explain,
+      reason: 'Item is not priced on bptf.',
+    });
+    if (arr) {
+      return arr;
     }
     throw new Error(
-      `| UPDATING PRICES |: Couldn't price ${name}. Item is not priced on bptf or SCM yet, make a suggestion!, therefore we can't compare our average price to its average price.`
+      `| UPDATING PRICES |: Couldn't price ${name}. Item is not priced on bptf or any fallback yet, make a suggestion!, therefore we can't compare our average price to its average price.`
     );
   }
 
   try {
-    // Check for undefined. No listings.
-    if (!buyListings || !sellListings) {
-      throw new Error(`| UPDATING PRICES |: ${name} not enough listings...`);
-    }
-    if (buyListings.rowCount === 0 || sellListings.rowCount === 0) {
+    // No listings.
+    if (buyListings.length === 0 || sellListings.length === 0) {
       throw new Error(`| UPDATING PRICES |: ${name} not enough listings...`);
     }
   } catch (e) {
-    // Prevent SCM fallback for keys
+    // Keys are only priced from listings
     if (sku === '5021;6') {
       console.warn(
-        `SCM fallback attempted for keys (${name}, ${sku}) - this is not allowed. Skipping SCM fallback.`
+        `Fallback attempted for keys (${name}, ${sku}) - this is not allowed. Skipping fallback.`
       );
       throw new Error(
-        `| UPDATING PRICES |: SCM fallback attempted for keys (${name}, ${sku}) - not allowed.`
+        `| UPDATING PRICES |: Fallback attempted for keys (${name}, ${sku}) - not allowed.`
       );
     }
-    // Try SCM fallback before BPTF fallback
-    try {
-      const hashName = sku ? toMarketHashName(sku, schemaManager.schema) : name;
-      const scmPrice = await getSCMPriceObject({
-        name: hashName,
-        keyMetal: keyobj.metal,
-        currency: 'USD',
-      });
-      if (scmPrice && (scmPrice.buy.metal > 0 || scmPrice.sell.metal > 0)) {
-        console.log(`SCM fallback used for ${name} (${sku}) due to insufficient listings.`);
-        return [scmPrice.buy, scmPrice.sell];
-      }
-    } catch (scmErr) {
-      console.warn(`SCM fallback failed for ${name} (${sku}): ${scmErr.message}`);
-    }
-    if (fallbackOntoPricesTf) {
-      const final_buyObj = {
-        keys: pricetfItem.buy.keys,
-        metal: pricetfItem.buy.metal,
-      };
-      const final_sellObj = {
-        keys: pricetfItem.sell.keys,
-        metal: pricetfItem.sell.metal,
-      };
-      // Return prices.tf price.
-      return [final_buyObj, final_sellObj];
+    const arr = await fallbacks.priceFromFallbacks(name, sku, {
+      profile,
+      explain,
+      reason: e.message,
+    });
+    if (arr) {
+      console.log(`${explain.fallback.source} fallback used for ${name} (${sku}): ${e.message}`);
+      return arr;
     }
-    // If we don't fallback onto bptf, re-throw the error.
+    // If no source of the item's fallback chain has a price, re-throw the error.
     throw e;
   }
 
-  // Sort buyListings into descending order of price.
-  var buyFiltered = buyListings.rows.sort((a, b) => {
-    let valueA = Methods.toMetal(a.currencies, keyobj.metal);
-    let valueB = Methods.toMetal(b.currencies, keyobj.metal);
-
-    return valueB - valueA;
-  });
-
-  // Sort sellListings into ascending order of price.
-  var sellFiltered = sellListings.rows.sort((a, b) => {
-    let valueA = Methods.toMetal(a.currencies, keyobj.metal);
-    let valueB = Methods.toMetal(b.currencies, keyobj.metal);
-
-    return valueA - valueB;
-  });
-
-  // We prioritise using listings from bots in our prioritySteamIds list.
-  // I.e., we move listings by those trusted steam ids to the front of the
-  // array, to be used as a priority over any others.
-
-  buyFiltered = buyListings.rows.sort((a, b) => {
-    // Custom sorting logic to prioritize specific Steam IDs
-    const aIsPrioritized = prioritySteamIds.includes(a.steamid);
-    const bIsPrioritized = prioritySteamIds.includes(b.steamid);
-
-    if (aIsPrioritized && !bIsPrioritized) {
-      return -1; // a comes first
-    } else if (!aIsPrioritized && bIsPrioritized) {
-      return 1; // b comes first
-    } else {
-      return 0; // maintain the original order (no priority)
-    }
-  });
-
-  sellFiltered = sellListings.rows.sort((a, b) => {
-    // Custom sorting logic to prioritize specific Steam IDs
-    const aIsPrioritized = prioritySteamIds.includes(a.steamid);
-    const bIsPrioritized = prioritySteamIds.includes(b.steamid);
-
-    if (aIsPrioritized && !bIsPrioritized) {
-      return -1; // a comes first
-    } else if (!aIsPrioritized && bIsPrioritized) {
-      return 1; // b comes first
-    } else {
-      return 0; // maintain the original order (no priority)
-    }
-  });
+  // Best listings first, with listings from trusted steam ids moved to the front.
+  const { buyFiltered, sellFiltered } = pipeline.sortListings(buyListings, sellListings);
 
   try {
     // If the buyFiltered or sellFiltered arrays are empty, we throw an error.
-    let arr = await getAverages(name, buyFiltered, sellFiltered, sku, pricetfItem);
+    let arr = await pipeline.getAverages(
+      name,
+      buyFiltered,
+      sellFiltered,
+      sku,
+      pricetfItem,
+      profile,
+      explain
+    );
     return arr;
   } catch (e) {
+    // Listings that can't be averaged, or whose average is too far off bptf, fall back too.
+    const arr = await fallbacks.priceFromFallbacks(name, sku, {
+      profile,
+      explain,
+      reason: e.message,
+    });
+    if (arr) {
+      return arr;
+    }
     throw new Error(e);
   }
 };
 
-// Function to calculate the Z-score for a given value.
-// The Z-score is a measure of how many standard deviations a value is from the mean.
-const calculateZScore = (value, mean, stdDev) => {
-  if (stdDev === 0) {
-    throw new Error('Standard deviation cannot be zero.');
-  }
-  return (value - mean) / stdDev;
-};
-
-const filterOutliers = (listingsArray) => {
-  // Calculate mean and standard deviation of listings.
-  const prices = listingsArray.map((listing) => Methods.toMetal(listing.currencies, keyobj.metal));
-  const mean = Methods.getRight(prices.reduce((acc, curr) => acc + curr, 0) / prices.length);
-  const stdDev = Math.sqrt(
-    prices.reduce((acc, curr) => acc + Math.pow(curr - mean, 2), 0) / prices.length
-  );
-
-  // Filter out listings that are 3 standard deviations away from the mean.
-  // To put it plainly, we're filtering out listings that are paying either
-  // too little or too much compared to the mean.
-  const filteredListings = listingsArray.filter((listing) => {
-    const zScore = calculateZScore(Methods.toMetal(listing.currencies, keyobj.metal), mean, stdDev);
-    return zScore <= 3 && zScore >= -3;
-  });
+// Dry runs on demand, against the running instance's listings and config.
+setDryRunProvider(() => calculateAndEmitPrices({ dryRun: true }));
 
-  if (filteredListings.length < 3) {
-    throw new Error('Not enough listings after filtering outliers.');
-  }
-  // Get the first 3 buy listings from the filtered listings and calculate the mean.
-  // The listings here should be free of outliers. It's also sorted in order of
-  // trusted steam ids (when applicable).
-  var filteredMean = 0;
-  for (var i = 0; i <= 2; i++) {
-    filteredMean += +Methods.toMetal(filteredListings[i].currencies, keyobj.metal);
-  }
-  filteredMean /= 3;
-
-  // Validate the mean.
-  if (!filteredMean || isNaN(filteredMean) || filteredMean === 0) {
-    throw new Error('Mean calculated is invalid.');
-  }
-
-  return filteredMean;
-};
-
-async function isSellPriceOutlier(sku, candidateSellMetal, threshold = 3) {
-  // Fetch last 10 sell prices from history
-  const history = await db.any(
-    'SELECT sell_metal FROM price_history WHERE sku = $1 ORDER BY timestamp DESC LIMIT 10',
-    [sku]
-  );
-  if (history.length < 3) {
-    return false;
-  } // Not enough data to judge
-
-  const prices = history.map((p) => Number(p.sell_metal));
-  const mean = prices.reduce((a, b) => a + b, 0) / prices.length;
-  const stdDev = Math.sqrt(prices.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / prices.length);
-
-  // If stddev is 0 (all prices the same), only allow exact match
-  if (stdDev === 0) {
-    return candidateSellMetal !== mean;
-  }
-
-  const zScore = (candidateSellMetal - mean) / stdDev;
-  return Math.abs(zScore) > threshold;
+// A CLI dry run only reads the listings already in the database, so it doesn't connect to
+// the websocket or start the servers.
+if (!DRY_RUN) {
+  startServices();
 }
 
-const getAverages = async (name, buyFiltered, sellFiltered, sku, pricetfItem) => {
-  // Initialise two objects to contain the items final buy and sell prices.
-  var final_buyObj = {
-    keys: 0,
-    metal: 0,
-  };
-  var final_sellObj = {
-    keys: 0,
-    metal: 0,
-  };
-
-  try {
-    if (buyFiltered.length < 3) {
-      throw new Error(`| UPDATING PRICES |: ${name} not enough buy listings...`);
-    } else if (buyFiltered.length > 3 && buyFiltered.length < 10) {
-      // For keys (5021;6), we need to handle the averaging differently
-      if (sku === '5021;6') {
-        // Convert each listing to pure metal first, then average
-        let totalMetal = 0;
-        for (let i = 0; i <= 2; i++) {
-          totalMetal += Methods.toMetal(buyFiltered[i].currencies, keyobj.metal);
-        }
-        final_buyObj = {
-          keys: 0,
-          metal: totalMetal / 3,
-        };
-        console.log(`DEBUG: Key buy price (3-9 listings) - keys: 0, metal: ${totalMetal / 3}`);
-      } else {
-        // For other items, average keys and metal separately
-        var totalValue = {
-          keys: 0,
-          metal: 0,
-        };
-        // If there are more than 3 buy listings, we take the first 3 and calculate the mean average price.
-        for (let i = 0; i <= 2; i++) {
-          // If the keys or metal value is undefined, we set it to 0.
-          totalValue.keys += Object.is(buyFiltered[i].currencies.keys, undefined)
-            ? 0
-            : buyFiltered[i].currencies.keys;
-          // If the metal value is undefined, we set it to 0.
-          totalValue.metal += Object.is(buyFiltered[i].currencies.metal, undefined)
-            ? 0
-            : buyFiltered[i].currencies.metal;
-        }
-        final_buyObj = {
-          keys: Math.trunc(totalValue.keys / 3),
-          metal: totalValue.metal / 3,
-        };
-      }
-    } else {
-      // Filter out outliers from set, and calculate a mean average price in terms of metal value.
-      let filteredMean = filterOutliers(buyFiltered);
-
-      // For keys (5021;6), keep the price as pure metal (keys: 0, metal: filteredMean)
-      // For other items, convert to key+metal format
-      if (sku === '5021;6') {
-        final_buyObj = {
-          keys: 0,
-          metal: filteredMean,
-        };
-        console.log(`DEBUG: Key buy price (>=10 listings) - keys: 0, metal: ${filteredMean}`);
-      } else {
-        // Calculate the maximum amount of keys that can be made with the metal value returned.
-        let keys = Math.trunc(filteredMean / keyobj.metal);
-        // Calculate the remaining metal value after the value of the keys has been removed.
-        let metal = Methods.getRight(filteredMean - keys * keyobj.metal);
-        // Create the final buy object.
-        final_buyObj = {
-          keys: keys,
-          metal: metal,
-        };
-      }
-    }
-    // Decided to pick the very first sell listing as it's ordered by the lowest sell price. I.e., the most competitive.
-    // However, I decided to prioritise 'trusted' listings by certain steam ids. This may result in a very high sell price, instead
-    // of a competitive one.
-    if (sellFiltered.length > 0) {
-      // Try trusted listings first, but skip if they're outliers
-      let picked = null;
-      for (let i = 0; i < sellFiltered.length; i++) {
-        const candidate = sellFiltered[i];
-        const candidateMetal = Methods.toMetal(candidate.currencies, keyobj.metal);
-        // Await the outlier check
-        if (!(await isSellPriceOutlier(sku, candidateMetal))) {
-          picked = candidate;
-          break;
-        }
-      }
-      // If all are outliers, fallback to the lowest price anyway (to avoid not pricing at all)
-      if (!picked) {
-        picked = sellFiltered[0];
-      }
-
-      // For keys, the listing currencies should already be in pure metal format (keys: 0, metal: X)
-      // For other items, this preserves the key+metal format from the listing
-      final_sellObj.keys = Object.is(picked.currencies.keys, undefined)
-        ? 0
-        : picked.currencies.keys;
-      final_sellObj.metal = Object.is(picked.currencies.metal, undefined)
-        ? 0
-        : picked.currencies.metal;
-
-      if (sku === '5021;6') {
-        console.log(
-          `DEBUG: Key sell price from picked listing - keys: ${final_sellObj.keys}, metal: ${final_sellObj.metal}`
-        );
-      }
-    } else {
-      throw new Error(`| UPDATING PRICES |: ${name} not enough sell listings...`);
-    }
-
-    var usePrices = false;
-    try {
-      // Will return true or false. True if we are ok with the autopricers price, false if we are not.
-      // We use prices.tf as a baseline.
-      usePrices = Methods.calculatePricingAPIDifferences(
-        pricetfItem,
-        final_buyObj,
-        final_sellObj,
-        keyobj
-      );
-    } catch (e) {
-      // Create an error object with a message detailing this difference.
-      throw new Error(`| UPDATING PRICES |: Our autopricer determined that name ${name} should sell for : ${final_sellObj.keys} keys and 
-            ${final_sellObj.metal} ref, and buy for ${final_buyObj.keys} keys and ${final_buyObj.metal} ref. Baseline
-            determined I should sell for ${pricetfItem.sell.keys} keys and ${pricetfItem.sell.metal} ref, and buy for
-            ${pricetfItem.buy.keys} keys and ${pricetfItem.buy.metal} ref. Message returned by the method: ${e.message}`);
-    }
-
-    // if-else statement probably isn't needed, but I'm just being cautious.
-    if (usePrices) {
-      // The final averages are returned here. But work is still needed to be done. We can't assume that the buy average is
-      // going to be lower than the sell average price. So we need to check for this later.
-      if (sku === '5021;6') {
-        console.log(
-          `DEBUG: Key final prices from getAverages - buy: {keys: ${final_buyObj.keys}, metal: ${final_buyObj.metal}}, sell: {keys: ${final_sellObj.keys}, metal: ${final_sellObj.metal}}`
-        );
-      }
-      return [final_buyObj, final_sellObj];
-    } else {
-      throw new Error(`| UPDATING PRICES |: ${name} pricing average generated by autopricer is too dramatically
-            different to one returned by bptf`);
-    }
-  } catch (error) {
-    // If configured, we fallback onto bptf for the price.
-    if (fallbackOntoPricesTf) {
-      const final_buyObj = {
-        keys: pricetfItem.buy.keys,
-        metal: pricetfItem.buy.metal,
-      };
-      const final_sellObj = {
-        keys: pricetfItem.sell.keys,
-        metal: pricetfItem.sell.metal,
-      };
-      if (sku === '5021;6') {
-        console.log(
-          `DEBUG: Key fallback prices from bptf - buy: {keys: ${final_buyObj.keys}, metal: ${final_buyObj.metal}}, sell: {keys: ${final_sellObj.keys}, metal: ${final_sellObj.metal}}`
-        );
-      }
-      return [final_buyObj, final_sellObj];
-    } else {
-      // We re-throw the error.
-      throw error;
-    }
-  }
-};
-
-function clamp(val, min, max) {
-  // If min is not a number, we don't clamp the value.
-  // If max is not a number, we don't clamp the value.
-  if (typeof min === 'number' && val < min) {
-    return min;
-  }
-  if (typeof max === 'number' && val > max) {
-    return max;
+function startServices() {
+  // Make sure today's listing history partitions exist before events start coming in.
+  if (config.listingHistory.enabled) {
+    maintainListingHistory(db, config.listingHistory);
   }
-  return val;
-}
 
-const finalisePrice = async (arr, name, sku) => {
-  let item = {};
-  try {
-    if (!arr) {
-      console.log(
-        `| UPDATING PRICES |:${name} couldn't be updated. CRITICAL, something went wrong in the getAverages logic.`
-      );
-      throw new Error('Something went wrong in the getAverages() logic. DEVELOPER LOOK AT THIS.');
-      // Will ensure that neither the buy, nor sell side is completely unpriced. If it is, this means we couldn't get
-      // enough listings to create a price, and we also somehow bypassed our prices.tf safety check. So instead, we
-      // just skip this item, disregarding the price.
-    } else if (
-      (arr[0].metal === 0 && arr[0].keys === 0) ||
-      (arr[1].metal === 0 && arr[1].keys === 0)
-    ) {
-      throw new Error('Missing buy and/or sell side.');
-    } else {
-      // Creating item fields/filling in details.
-      // Name of the item. Left as it was.
-      item.name = name;
-      // Add sku to item object.
-      item.sku = sku;
-      // If the source isn't provided as bptf it's ignored by tf2autobot.
-      item.source = 'bptf';
-      // Generates a UNIX timestamp of the present time, used to show a client when the prices were last updated.
-      item.time = Math.floor(Date.now() / 1000);
-
-      // We're taking the buy JSON and getting the metal price from it, then rounding down to the nearest .11.
-      arr[0].metal = Methods.getRight(arr[0].metal);
-      // We're taking the sell JSON and getting the metal price from it, then rounding down to the nearest .11.
-      arr[1].metal = Methods.getRight(arr[1].metal);
-
-      // We are taking the buy array price as a whole, and also passing in the current selling price
-      // for a key into the parsePrice method.
-      // We are taking the sell array price as a whole, and also passing in the current selling price
-      // for a key into the parsePrice method.
-      // Skip parsePrice for keys - they should always be in pure metal format
-      if (sku !== '5021;6') {
-        arr[0] = Methods.parsePrice(arr[0], keyobj.metal);
-        arr[1] = Methods.parsePrice(arr[1], keyobj.metal);
+  // Initialize the websocket and pass in dependencies
+  const bptfWebSocket = initBptfWebSocket({
+    getAllowedItemNames,
+    allowAllItems,
+    schemaManager,
+    Methods,
+    onListingUpdate: (sku, name) => {
+      updatedSkus.add(sku);
+      if (config.incrementalRepricing.enabled) {
+        repricer.schedule(sku, name);
       }
+    },
+    insertListing: (...args) => insertListing(db, updateListingStats, ...args),
+    insertListingsBatch: (listings) => insertListingsBatch(pgp, db, updateListingStats, listings),
+    deleteRemovedListing: (...args) => deleteRemovedListing(db, updateListingStats, ...args),
+    excludedSteamIds,
+    excludedListingDescriptions,
+    blockedAttributes,
+    logFile,
+    archiveListingEvents: config.listingHistory.enabled
+      ? (events) => archiveListingEvents(pgp, db, events)
+      : null,
+    insertVariantListingsBatch: config.variantPricing.enabled
+      ? (listings) => insertVariantListingsBatch(pgp, db, listings)
+      : null,
+    deleteVariantListing: (...args) => deleteVariantListing(db, ...args),
+  });
 
-      // Clamp prices to bounds if set
-      const bounds = getItemBounds().get(name) || {};
-      // Clamp the buy and sell prices to the bounds set in the config.
-      // If the bounds are not set, it will just use the default values of 0 and Infinity.
-      arr[0].keys = clamp(arr[0].keys, bounds.minBuyKeys, bounds.maxBuyKeys);
-      arr[0].metal = clamp(arr[0].metal, bounds.minBuyMetal, bounds.maxBuyMetal);
-      arr[1].keys = clamp(arr[1].keys, bounds.minSellKeys, bounds.maxSellKeys);
-      arr[1].metal = clamp(arr[1].metal, bounds.minSellMetal, bounds.maxSellMetal);
-
-      // Enforce minSellMargin from config
-      const minSellMargin = config.minSellMargin ?? 0.11;
-      var buyInMetal = Methods.toMetal(arr[0], keyobj.metal);
-      var sellInMetal = Methods.toMetal(arr[1], keyobj.metal);
-
-      if (buyInMetal >= sellInMetal) {
-        // For keys, always use pure metal format
-        if (sku === '5021;6') {
-          item.buy = {
-            keys: 0,
-            metal: Methods.getRight(arr[0].metal),
-          };
-          item.sell = {
-            keys: 0,
-            metal: Methods.getRight(arr[0].metal + minSellMargin),
-          };
-        } else {
-          item.buy = {
-            keys: arr[0].keys,
-            metal: Methods.getRight(arr[0].metal),
-          };
-          item.sell = {
-            keys: arr[0].keys,
-            metal: Methods.getRight(arr[0].metal + minSellMargin),
-          };
-        }
-      } else {
-        // For keys, always use pure metal format
-        if (sku === '5021;6') {
-          item.buy = {
-            keys: 0,
-            metal: Methods.getRight(arr[0].metal),
-          };
-          item.sell = {
-            keys: 0,
-            metal: Methods.getRight(arr[1].metal),
-          };
-        } else {
-          item.buy = {
-            keys: arr[0].keys,
-            metal: Methods.getRight(arr[0].metal),
-          };
-          item.sell = {
-            keys: arr[1].keys,
-            metal: Methods.getRight(arr[1].metal),
-          };
-        }
-      }
+  // Provide websocket stats to the API
+  setWebSocketStatsProvider(() => ({
+    ...bptfWebSocket.getStats(),
+    repricer: config.incrementalRepricing.enabled ? repricer.getStats() : null,
+  }));
 
-      // Load previous price from pricelist if available
-      const pricelist = JSON.parse(fs.readFileSync(PRICELIST_PATH, 'utf8'));
-      const prev = pricelist.items.find((i) => i.sku === sku);
-
-      // Only check if previous price exists (skip price swing check for keys)
-      if (prev && sku !== '5021;6') {
-        const prevObj = { buy: prev.buy, sell: prev.sell };
-        const nextObj = { buy: item.buy, sell: item.sell };
-        const swingOk = await isPriceSwingAcceptable(prevObj, nextObj, sku);
-        if (!swingOk) {
-          console.log(`Price swing too large for ${name} (${sku}), skipping update.`);
-          return;
-        }
-      }
+  // Add websocket health monitoring to the periodic tasks
+  setInterval(() => {
+    const stats = bptfWebSocket.getStats();
+    const timeSinceLastMessage = Math.round(stats.timeSinceLastMessage / 1000);
 
-      // Save to price history
-      return {
-        item,
-        priceHistory: {
-          sku,
-          buy: Methods.toMetal(item.buy, keyobj.metal),
-          sell: Methods.toMetal(item.sell, keyobj.metal),
-        },
-      };
+    if (timeSinceLastMessage > 300) {
+      // 5 minutes
+      console.warn(`[HEALTH] WebSocket hasn't received messages for ${timeSinceLastMessage}s`);
     }
-  } catch {
-    // If the autopricer failed to price the item, we don't update the items price.
-    return;
-  }
-};
-
-// Initialize the websocket and pass in dependencies
-const bptfWebSocket = initBptfWebSocket({
-  getAllowedItemNames,
-  allowAllItems,
-  schemaManager,
-  Methods,
-  onListingUpdate: (sku) => updatedSkus.add(sku),
-  insertListing: (...args) => insertListing(db, updateListingStats, ...args),
-  insertListingsBatch: (listings) => insertListingsBatch(pgp, db, updateListingStats, listings),
-  deleteRemovedListing: (...args) => deleteRemovedListing(db, updateListingStats, ...args),
-  excludedSteamIds,
-  excludedListingDescriptions,
-  blockedAttributes,
-  logFile,
-});
-
-// Provide websocket stats to the API
-setWebSocketStatsProvider(() => bptfWebSocket.getStats());
-
-// Add websocket health monitoring to the periodic tasks
-setInterval(() => {
-  const stats = bptfWebSocket.getStats();
-  const timeSinceLastMessage = Math.round(stats.timeSinceLastMessage / 1000);
 
-  if (timeSinceLastMessage > 300) {
-    // 5 minutes
-    console.warn(`[HEALTH] WebSocket hasn't received messages for ${timeSinceLastMessage}s`);
-  }
-
-  // Log periodic health status
-  console.log(
-    `[HEALTH] WebSocket: ${stats.messageCount} messages, last ${timeSinceLastMessage}s ago, connected: ${stats.isConnected}`
-  );
-}, 60000); // Check every minute
+    // Log periodic health status
+    console.log(
+      `[HEALTH] WebSocket: ${stats.messageCount} messages, last ${timeSinceLastMessage}s ago, connected: ${stats.isConnected}`
+    );
+  }, 60000); // Check every minute
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing websocket...');
-  bptfWebSocket.close();
-  process.exit(0);
-});
+  // Graceful shutdown handling
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, closing websocket...');
+    bptfWebSocket.close();
+    process.exit(0);
+  });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, closing websocket...');
-  bptfWebSocket.close();
-  process.exit(0);
-});
+  process.on('SIGINT', () => {
+    console.log('SIGINT received, closing websocket...');
+    bptfWebSocket.close();
+    process.exit(0);
+  });
 
-listen();
+  listen();
+}
 
 const { getSCMPriceObject, toMarketHashName } = require('./modules/scmPriceCalculator');
+const { parseSku } = require('./modules/marketHashNames');
 
 module.exports = { db };
@@ -112,6 +112,49 @@ module.exports = [
             'sellinmetal',
             'pricetfitem',
             'bptfWebSocket',
+            'relname',
+            'oid',
+            'inhrelid',
+            'inhparent',
+            'cutoff',
+            'startup',
+            'pgp',
+            'backtest',
+            'backtesting',
+            'warmup',
+            'usr',
+            'alt',
+            'steamids',
+            'int',
+            'jsonb',
+            'zscore',
+            'tukey',
+            'csv',
+            'eee',
+            'center',
+            'color',
+            'priceindex',
+            'craftability',
+            'australium',
+            'div',
+            'repricer',
+            'killstreakable',
+            'killstreaks',
+            'comparables',
+            'dc3545',
+            'fallbacks',
+            'unix',
+            'scm',
+            'priceoverview',
+            'backoff',
+            'ttl',
+            'pricehistory',
+            'festivizers',
+            'australiums',
+            'strangifiers',
+            'tradable',
+            'fff3cd',
+            'priceable',
           ],
         },
       ],
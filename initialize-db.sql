@@ -36,3 +36,145 @@ CREATE TABLE tf2.price_history (
   sell_metal NUMERIC NOT NULL,
   timestamp TIMESTAMP NOT NULL DEFAULT NOW ()
 );
+
+CREATE INDEX price_history_sku_timestamp_idx ON tf2.price_history (sku, timestamp DESC);
+
+CREATE TABLE tf2.price_explanations (
+  id SERIAL PRIMARY KEY,
+  sku TEXT NOT NULL,
+  name TEXT NOT NULL,
+  explanation JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE INDEX price_explanations_sku_created_at_idx ON tf2.price_explanations (sku, created_at DESC);
+
+CREATE TABLE tf2.listing_history (
+  event_time TIMESTAMPTZ NOT NULL,
+  event TEXT NOT NULL,
+  name TEXT NOT NULL,
+  sku TEXT,
+  intent TEXT NOT NULL,
+  steamid TEXT NOT NULL,
+  currencies JSON,
+  listed_at BIGINT,
+  dropped TEXT
+)
+PARTITION BY
+  RANGE (event_time);
+
+CREATE TABLE tf2.listing_history_default PARTITION OF tf2.listing_history DEFAULT;
+
+CREATE INDEX listing_history_sku_event_time_idx ON tf2.listing_history (sku, event_time);
+
+CREATE TABLE tf2.steamid_reputation (
+  steamid TEXT PRIMARY KEY,
+  score NUMERIC NOT NULL,
+  listings INTEGER NOT NULL DEFAULT 0,
+  avg_lifetime_sec NUMERIC,
+  quick_deletes INTEGER NOT NULL DEFAULT 0,
+  outliers INTEGER NOT NULL DEFAULT 0,
+  outlier_samples INTEGER NOT NULL DEFAULT 0,
+  trades INTEGER NOT NULL DEFAULT 0,
+  override_score NUMERIC,
+  override_note TEXT,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE TABLE tf2.key_price_sources (
+  id SERIAL PRIMARY KEY,
+  source TEXT NOT NULL,
+  buy_metal NUMERIC,
+  sell_metal NUMERIC,
+  weight NUMERIC,
+  buy_used BOOLEAN NOT NULL DEFAULT false,
+  sell_used BOOLEAN NOT NULL DEFAULT false,
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE INDEX key_price_sources_created_at_idx ON tf2.key_price_sources (created_at);
+
+CREATE TABLE tf2.price_quarantine (
+  id SERIAL PRIMARY KEY,
+  sku TEXT NOT NULL,
+  name TEXT NOT NULL,
+  proposed JSONB NOT NULL,
+  proposed_buy_metal NUMERIC NOT NULL,
+  proposed_sell_metal NUMERIC NOT NULL,
+  previous JSONB,
+  avg_buy_metal NUMERIC,
+  avg_sell_metal NUMERIC,
+  reason TEXT,
+  confirmations INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'pending',
+  resolved_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX price_quarantine_pending_sku_idx ON tf2.price_quarantine (sku) WHERE status = 'pending';
+
+CREATE TABLE tf2.price_locks (
+  sku TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  buy JSONB,
+  sell JSONB,
+  expires_at TIMESTAMP,
+  note TEXT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  published_at TIMESTAMP
+);
+
+CREATE TABLE tf2.price_lock_audit (
+  id SERIAL PRIMARY KEY,
+  sku TEXT NOT NULL,
+  name TEXT,
+  action TEXT NOT NULL,
+  buy JSONB,
+  sell JSONB,
+  expires_at TIMESTAMP,
+  note TEXT,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW ()
+);
+
+CREATE INDEX price_lock_audit_sku_idx ON tf2.price_lock_audit (sku, created_at DESC);
+
+CREATE TABLE tf2.variant_listings (
+  name character varying NOT NULL,
+  sku character varying NOT NULL,
+  variant TEXT NOT NULL,
+  attributes TEXT[] NOT NULL,
+  paint BIGINT,
+  currencies json NOT NULL,
+  intent character varying NOT NULL,
+  steamid character varying NOT NULL,
+  updated bigint NOT NULL,
+  PRIMARY KEY (name, variant, intent, steamid)
+);
+
+CREATE INDEX variant_listings_sku_idx ON tf2.variant_listings (sku);
+
+CREATE TABLE tf2.scm_prices (
+  market_hash_name TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  price NUMERIC,
+  median_price NUMERIC,
+  volume INTEGER,
+  fetched_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  PRIMARY KEY (market_hash_name, currency)
+);
+
+CREATE TABLE tf2.scm_sale_history (
+  market_hash_name TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  days INTEGER NOT NULL,
+  median NUMERIC,
+  volume INTEGER NOT NULL DEFAULT 0,
+  fetched_at TIMESTAMP NOT NULL DEFAULT NOW (),
+  PRIMARY KEY (market_hash_name, currency, days)
+);
@@ -13,6 +13,7 @@ const { getBaseConfigManager } = require('./modules/baseConfigManager');
 const CACHE_FILE_PATH = path.resolve(__dirname, 'cached-pricelist.json');
 
 const { getBptfItemPrice } = require('./modules/bptfPriceFetcher');
+const { Currency } = require('./modules/currency');
 
 // Helper function to get config
 function getConfig() {
@@ -43,8 +44,12 @@ Methods.prototype.calculateBptfBaselineDifference = function (
   let bptfBuy = bptfPrice.value;
   let bptfSell = bptfPrice.value_high || bptfPrice.value;
   if (bptfPrice.currency === 'keys') {
-    bptfBuy = bptfBuy * keyobj.metal;
-    bptfSell = bptfSell * keyobj.metal;
+    // Can't be compared before the key price is known, allow.
+    if (!(keyobj?.metal > 0)) {
+      return true;
+    }
+    bptfBuy = Currency.fromKeys(bptfBuy, keyobj.metal).toMetal();
+    bptfSell = Currency.fromKeys(bptfSell, keyobj.metal).toMetal();
   }
 
   const ourBuy = this.toMetal(final_buyObj, keyobj.metal);
@@ -64,21 +69,18 @@ Methods.prototype.calculateBptfBaselineDifference = function (
   return true;
 };
 
+// Rounds down to whole scrap.
 Methods.prototype.halfScrapToRefined = function (halfscrap) {
-  var refined = parseFloat((halfscrap / 18).toString().match(/^-?\d+(?:\.\d{0,2})?/)[0]);
-  return refined;
+  return Currency.fromHalfScrap(halfscrap, 'down').metal;
 };
 
 Methods.prototype.refinedToHalfScrap = function (refined) {
-  var halfScrap = parseFloat((refined * 18).toString().match(/^-?\d+(?:\.\d{0,2})?/)[0]);
-  return halfScrap;
+  return Currency.fromMetal(refined).scrap * 2;
 };
 
 // Rounds the metal value to the nearest scrap.
 Methods.prototype.getRight = function (v) {
-  var i = Math.floor(v),
-    f = Math.round((v - i) / 0.11);
-  return parseFloat((i + (f === 9 ? 1 : f * 0.11)).toFixed(2));
+  return Currency.fromMetal(v).metal;
 };
 
 // This method first takes the amount of keys the item costs and multiplies it by
@@ -94,23 +96,20 @@ Methods.prototype.getRight = function (v) {
 
 // This method ensures we make prices that take into account the current price of the key.
 Methods.prototype.parsePrice = function (original, keyPrice) {
-  // Defensive: ensure keys is always an integer
+  // Defensive: keys should always be an integer
   if (!Number.isInteger(original.keys)) {
     console.error('parsePrice called with non-integer keys:', original);
-    original.keys = Math.trunc(original.keys);
   }
-  var metal = this.getRight(original.keys * keyPrice) + original.metal;
-  return {
-    keys: Math.trunc(metal / keyPrice),
-    metal: this.getRight(metal % keyPrice),
-  };
+  return Currency.fromObject(original, { keyPrice }).normalise(keyPrice).toObject();
 };
 
+// Without a key price (none fetched yet, or 0) keys count for nothing instead of throwing, as
+// callers such as listing sorts and reports run before the first key price is known.
 Methods.prototype.toMetal = function (obj, keyPriceInMetal) {
-  var metal = 0;
-  metal += obj.keys * keyPriceInMetal;
-  metal += obj.metal;
-  return this.getRight(metal);
+  if (!(Number(keyPriceInMetal) > 0)) {
+    return Currency.fromObject({ metal: obj?.metal }).toMetal();
+  }
+  return Currency.fromObject(obj, { keyPrice: keyPriceInMetal }).toMetal(keyPriceInMetal);
 };
 
 Methods.prototype.calculatePercentageDifference = function (value1, value2) {
@@ -163,24 +162,14 @@ Methods.prototype.getItemPriceFromExternalPricelist = function (
   }
 
   // Determine value in metal
-  let value = priceObj.value;
-  if (priceObj.currency === 'keys') {
-    value = value * keyPrice;
-  }
-
-  // Calculate buy/sell with ±10% offset
-  const buyValue = value * 0.9;
-  const sellValue = value * 1.1;
+  const value =
+    priceObj.currency === 'keys'
+      ? Currency.fromKeys(priceObj.value, keyPrice)
+      : Currency.fromMetal(priceObj.value);
 
-  // Convert back to keys/metal
-  const buy = {
-    keys: Math.floor(buyValue / keyPrice),
-    metal: +(buyValue % keyPrice).toFixed(2),
-  };
-  const sell = {
-    keys: Math.floor(sellValue / keyPrice),
-    metal: +(sellValue % keyPrice).toFixed(2),
-  };
+  // Calculate buy/sell with ±10% offset, converted back to keys/metal
+  const buy = value.multiply(0.9, keyPrice, 'down').normalise(keyPrice).toObject();
+  const sell = value.multiply(1.1, keyPrice, 'up').normalise(keyPrice).toObject();
 
   return {
     pricetfItem: {
@@ -466,7 +455,7 @@ Methods.prototype.getKeyPriceFromPricesTF = async function () {
       const response = await axios.get('https://api2.prices.tf/prices/5021;6', axiosConfig);
 
       if (response.status === 200) {
-        const sellMetal = Methods.halfScrapToRefined(response.data.sellHalfScrap);
+        const sellMetal = this.halfScrapToRefined(response.data.sellHalfScrap);
         return {
           metal: sellMetal,
         };
@@ -0,0 +1,340 @@
+// Replays archived listing history (tf2.listing_history) through the pricing pipeline to see
+// how a config would have priced items and traded over a past date range.
+//
+// The order book of each SKU is rebuilt from listing-update and listing-delete events and
+// priced every `cadenceMinutes`. Between pricing runs, every new listing that crosses our
+// quote counts as a hypothetical fill: a sell listing at or below our buy price is someone we
+// could have bought from, a buy listing at or above our sell price someone we could have sold
+// to, as long as we hold stock.
+
+const { createPricingPipeline } = require('./pricingPipeline');
+const { createExplanation } = require('./priceExplanations');
+const { getListingHistory } = require('./listingHistory');
+const { HARD_MAX_AGE_SECONDS } = require('./listings');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+async function getBacktestSkus(db, from, to) {
+  const rows = await db.any(
+    `SELECT DISTINCT sku FROM listing_history
+     WHERE sku IS NOT NULL AND dropped IS NULL AND event_time >= $1 AND event_time < $2`,
+    [from.toISOString(), to.toISOString()]
+  );
+  return rows.map((r) => r.sku);
+}
+
+async function getKeyPriceTimeline(db, to) {
+  const rows = await db.any(
+    'SELECT timestamp, sell_price_metal FROM key_prices WHERE timestamp < $1 ORDER BY timestamp ASC',
+    [Math.floor(to.getTime() / 1000)]
+  );
+  return rows.map((r) => ({ time: r.timestamp * 1000, metal: Number(r.sell_price_metal) }));
+}
+
+async function getLivePrices(db, sku, from, to) {
+  const rows = await db.any(
+    `SELECT buy_metal, sell_metal, timestamp FROM price_history
+     WHERE sku = $1 AND timestamp >= $2 AND timestamp < $3 ORDER BY timestamp ASC`,
+    [sku, from.toISOString(), to.toISOString()]
+  );
+  return rows.map((r) => ({
+    time: new Date(r.timestamp).getTime(),
+    buy: Number(r.buy_metal),
+    sell: Number(r.sell_metal),
+  }));
+}
+
+// Latest entry of a time ordered array at or before `time`.
+function latestAt(timeline, time) {
+  let latest = null;
+  for (const entry of timeline) {
+    if (entry.time > time) {
+      break;
+    }
+    latest = entry;
+  }
+  return latest;
+}
+
+/**
+ * Replays the events of one SKU and returns its results.
+ * @param {object} opts
+ * @param {string} opts.sku - Item SKU.
+ * @param {object[]} opts.events - Archived events for the SKU, oldest first.
+ * @param {object[]} opts.livePrices - price_history rows of the SKU in the range.
+ * @param {object[]} opts.keyPrices - Key price timeline.
+ * @param {number} opts.fallbackKeyMetal - Key price used before the first key price row.
+ * @param {object} opts.deps - Methods, getItemProfile, getItemBounds, prioritySteamIds and
+ *   optionally getSteamIdScore and reputation, as taken by createPricingPipeline.
+ * @param {Function} [opts.getBaseline] - Returns the bptf baseline of a SKU, if any.
+ * @param {object} opts.options - from, to, cadenceMinutes and maxStock.
+ * @returns {Promise<object>} - Results for the SKU.
+ */
+async function replaySku({
+  sku,
+  events,
+  livePrices,
+  keyPrices,
+  fallbackKeyMetal,
+  deps,
+  getBaseline = () => null,
+  options,
+}) {
+  const { Methods, getItemProfile, getItemBounds, prioritySteamIds, getSteamIdScore, reputation } =
+    deps;
+  const name = events.length > 0 ? events[events.length - 1].name : sku;
+  const book = new Map();
+  const history = [];
+  let clock = options.from.getTime();
+  let keyMetal = fallbackKeyMetal;
+  let quote = null;
+  let previous = null;
+
+  const pipeline = createPricingPipeline({
+    Methods,
+    getKeyMetal: () => keyMetal,
+    getItemProfile,
+    getItemBounds,
+    prioritySteamIds,
+    getSteamIdScore,
+    reputation,
+    // The simulated price history stands in for price_history.
+    getSellPriceHistory: async () =>
+      history
+        .slice(-10)
+        .reverse()
+        .map((p) => p.sell_metal),
+    getRecentPrices: async () => history.slice(-5).reverse(),
+    getPreviousPrice: async () => previous,
+    now: () => clock,
+  });
+
+  const result = {
+    sku,
+    name,
+    ticks: 0,
+    priced: 0,
+    rejected: 0,
+    skipped: 0,
+    buys: 0,
+    sells: 0,
+    stock: 0,
+    realisedProfit: 0,
+    unrealisedProfit: 0,
+    quotedSpread: 0,
+    liveDifference: { buy: null, sell: null },
+    fills: [],
+  };
+  const costs = [];
+  const liveDiffs = { buy: [], sell: [] };
+
+  function checkFill(event, time) {
+    if (!quote || time < options.from.getTime() || event.event !== 'listing-update') {
+      return;
+    }
+    const price = Methods.toMetal(event.currencies, keyMetal);
+    const buyMetal = Methods.toMetal(quote.buy, keyMetal);
+    const sellMetal = Methods.toMetal(quote.sell, keyMetal);
+    if (event.intent === 'sell' && price <= buyMetal && result.stock < options.maxStock) {
+      result.stock++;
+      result.buys++;
+      costs.push(buyMetal);
+      result.fills.push({ time: new Date(time).toISOString(), side: 'buy', metal: buyMetal });
+    } else if (event.intent === 'buy' && price >= sellMetal && result.stock > 0) {
+      result.stock--;
+      result.sells++;
+      result.realisedProfit += sellMetal - costs.shift();
+      result.fills.push({ time: new Date(time).toISOString(), side: 'sell', metal: sellMetal });
+    }
+  }
+
+  function applyEvent(event) {
+    const time = new Date(event.event_time).getTime();
+    const key = `${event.intent}|${event.steamid}`;
+    if (event.event === 'listing-delete') {
+      book.delete(key);
+      return;
+    }
+    book.set(key, {
+      name: event.name,
+      sku,
+      intent: event.intent,
+      steamid: event.steamid,
+      currencies: event.currencies,
+      updated: Math.floor(time / 1000),
+    });
+    checkFill(event, time);
+  }
+
+  let next = 0;
+  const cadence = options.cadenceMinutes * 60 * 1000;
+  for (let tick = options.from.getTime(); tick < options.to.getTime(); tick += cadence) {
+    while (next < events.length && new Date(events[next].event_time).getTime() < tick) {
+      applyEvent(events[next++]);
+    }
+    clock = tick;
+    keyMetal = latestAt(keyPrices, tick)?.metal ?? fallbackKeyMetal;
+    result.ticks++;
+
+    // Listings past the hard max age would have been pruned from tf2.listings by now.
+    const minUpdated = Math.floor(tick / 1000) - HARD_MAX_AGE_SECONDS;
+    const rows = Array.from(book.values()).filter((row) => row.updated > minUpdated);
+    const buyRows = rows.filter((row) => row.intent === 'buy');
+    const sellRows = rows.filter((row) => row.intent === 'sell');
+    if (buyRows.length === 0 || sellRows.length === 0) {
+      result.skipped++;
+      continue;
+    }
+
+    const explain = createExplanation(name, sku);
+    let arr;
+    try {
+      const { buyFiltered, sellFiltered } = pipeline.sortListings(buyRows, sellRows);
+      arr = await pipeline.getAverages(
+        name,
+        buyFiltered,
+        sellFiltered,
+        sku,
+        getBaseline(sku, keyMetal),
+        getItemProfile(name),
+        explain
+      );
+    } catch {
+      result.skipped++;
+      continue;
+    }
+    const priced = await pipeline.finalisePrice(arr, name, sku, explain);
+    if (!priced.item) {
+      if (explain.outcome === 'rejected') {
+        result.rejected++;
+      } else {
+        result.skipped++;
+      }
+      continue;
+    }
+
+    result.priced++;
+    quote = priced.item;
+    previous = priced.item;
+    history.push({ buy_metal: priced.priceHistory.buy, sell_metal: priced.priceHistory.sell });
+    result.quotedSpread += priced.priceHistory.sell - priced.priceHistory.buy;
+
+    const live = latestAt(livePrices, tick);
+    if (live) {
+      liveDiffs.buy.push(Math.abs(priced.priceHistory.buy - live.buy) / live.buy);
+      liveDiffs.sell.push(Math.abs(priced.priceHistory.sell - live.sell) / live.sell);
+    }
+  }
+  // Fills after the last pricing run still count.
+  while (
+    next < events.length &&
+    new Date(events[next].event_time).getTime() < options.to.getTime()
+  ) {
+    applyEvent(events[next++]);
+  }
+
+  // Stock still held is valued at the last buy price we quoted.
+  if (quote) {
+    const lastBuy = Methods.toMetal(quote.buy, keyMetal);
+    result.unrealisedProfit = costs.reduce((acc, cost) => acc + (lastBuy - cost), 0);
+  }
+  result.quotedSpread = result.priced > 0 ? round(result.quotedSpread / result.priced) : 0;
+  result.realisedProfit = round(result.realisedProfit);
+  result.unrealisedProfit = round(result.unrealisedProfit);
+  result.estimatedProfit = round(result.realisedProfit + result.unrealisedProfit);
+  for (const side of ['buy', 'sell']) {
+    const diffs = liveDiffs[side];
+    result.liveDifference[side] =
+      diffs.length > 0 ? round((diffs.reduce((a, b) => a + b, 0) / diffs.length) * 100) : null;
+  }
+  return result;
+}
+
+/**
+ * Runs a backtest over a date range.
+ * @param {object} opts
+ * @param {object} opts.db - pg-promise database instance.
+ * @param {object} opts.deps - Methods, getItemProfile, getItemBounds, prioritySteamIds and
+ *   optionally getSteamIdScore and reputation, as taken by createPricingPipeline.
+ * @param {Date} opts.from - Start of the range.
+ * @param {Date} opts.to - End of the range.
+ * @param {number} [opts.cadenceMinutes=15] - Minutes between pricing runs.
+ * @param {number} [opts.warmupHours=24] - Hours of history replayed before `from` to build
+ *   the order book.
+ * @param {number} [opts.maxStock=1] - Largest number of each item held at once.
+ * @param {string[]} [opts.skus] - SKUs to backtest, defaults to every archived SKU.
+ * @param {number} [opts.fallbackKeyMetal] - Key price used when key_prices has no rows.
+ * @param {Function} [opts.getBaseline] - Returns the bptf baseline of a SKU.
+ * @returns {Promise<object>} - The backtest report.
+ */
+async function runBacktest({
+  db,
+  deps,
+  from,
+  to,
+  cadenceMinutes = 15,
+  warmupHours = 24,
+  maxStock = 1,
+  skus,
+  fallbackKeyMetal = 60,
+  getBaseline,
+}) {
+  const warmupFrom = new Date(from.getTime() - warmupHours * 60 * 60 * 1000);
+  const skuList = skus && skus.length > 0 ? skus : await getBacktestSkus(db, from, to);
+  const keyPrices = await getKeyPriceTimeline(db, to);
+  const options = { from, to, cadenceMinutes, maxStock };
+
+  console.log(
+    `[Backtest] Replaying ${skuList.length} SKUs from ${from.toISOString()} to ${to.toISOString()} every ${cadenceMinutes} minutes.`
+  );
+
+  const items = [];
+  // One SKU at a time, so only the history of a single SKU is held in memory.
+  for (const sku of skuList) {
+    const events = await getListingHistory(db, sku, warmupFrom, to);
+    if (events.length === 0) {
+      continue;
+    }
+    const livePrices = await getLivePrices(db, sku, from, to);
+    items.push(
+      await replaySku({
+        sku,
+        events,
+        livePrices,
+        keyPrices,
+        fallbackKeyMetal,
+        deps,
+        getBaseline,
+        options,
+      })
+    );
+  }
+
+  const totals = items.reduce(
+    (acc, item) => {
+      acc.buys += item.buys;
+      acc.sells += item.sells;
+      acc.realisedProfit += item.realisedProfit;
+      acc.unrealisedProfit += item.unrealisedProfit;
+      acc.estimatedProfit += item.estimatedProfit;
+      return acc;
+    },
+    { buys: 0, sells: 0, realisedProfit: 0, unrealisedProfit: 0, estimatedProfit: 0 }
+  );
+  for (const key of ['realisedProfit', 'unrealisedProfit', 'estimatedProfit']) {
+    totals[key] = round(totals[key]);
+  }
+  items.sort((a, b) => b.estimatedProfit - a.estimatedProfit);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    from: from.toISOString(),
+    to: to.toISOString(),
+    cadenceMinutes,
+    maxStock,
+    totals,
+    items,
+  };
+}
+
+module.exports = { runBacktest, replaySku };
@@ -115,6 +115,89 @@ class BaseConfigManager {
         maxBuyIncrease: 0.1,
         maxSellDecrease: 0.1,
       },
+      pricingStrategy: {
+        name: 'topN',
+      },
+      outlierMethod: {
+        name: 'zscore',
+      },
+      listingHistory: {
+        enabled: false,
+        retentionDays: 30,
+      },
+      reputation: {
+        enabled: false,
+        lookbackDays: 7,
+        quickDeleteMinutes: 10,
+        longevityTargetHours: 24,
+        priorityScore: 0.8,
+        minScore: 0.2,
+      },
+      keyPriceConsensus: {
+        enabled: false,
+        weights: {
+          bptf: 1,
+          listings: 2,
+          scm: 0.5,
+          trades: 1,
+        },
+        maxDeviation: 0.05,
+        listingDepth: 3,
+        tradeLookbackDays: 7,
+      },
+      priceQuarantine: {
+        enabled: false,
+        autoApproveRuns: 3,
+        confirmTolerance: 0.02,
+      },
+      incrementalRepricing: {
+        enabled: false,
+        debounceSeconds: 5,
+        maxWaitSeconds: 60,
+        minIntervalSeconds: 120,
+        maxBatchSize: 25,
+      },
+      killstreakPricing: {
+        enabled: false,
+        minSamples: 5,
+      },
+      unusualPricing: {
+        enabled: false,
+        tierRange: 2,
+        minSamples: 3,
+        spread: 0.1,
+        maxBaselineDeviation: 0.5,
+        tradeLookbackDays: 90,
+        weights: { own: 3, comparable: 1, trades: 2 },
+      },
+      variantPricing: {
+        enabled: false,
+        pricePaintedVariants: false,
+        minSamples: 5,
+      },
+      fallbacks: {
+        margins: {
+          scm: { buy: 0, sell: 0 },
+          bptf: { buy: 0, sell: 0 },
+          lastKnown: { buy: 0, sell: 0 },
+        },
+        lastKnownMaxAgeHours: 72,
+      },
+      scmCache: {
+        ttlHours: 6,
+        emptyTtlHours: 24,
+        requestsPerMinute: 20,
+        burst: 5,
+        maxRetries: 4,
+        backoffMs: 5000,
+        maxBackoffMs: 300000,
+      },
+      scmPricing: {
+        buy: 'net',
+        sell: 'median',
+        historyDays: 7,
+        minVolume: 3,
+      },
       alwaysQuerySnapshotAPI: true,
       fallbackOntoPricesTf: false,
       priceAllItems: false,
@@ -220,6 +303,8 @@ class BaseConfigManager {
       minSellMargin: this.get('minSellMargin', 0.11),
       maxPercentageDifferences: this.get('maxPercentageDifferences', {}),
       priceSwingLimits: this.get('priceSwingLimits', {}),
+      pricingStrategy: this.get('pricingStrategy', { name: 'topN' }),
+      outlierMethod: this.get('outlierMethod', { name: 'zscore' }),
       alwaysQuerySnapshotAPI: this.get('alwaysQuerySnapshotAPI', true),
       fallbackOntoPricesTf: this.get('fallbackOntoPricesTf', false),
       priceAllItems: this.get('priceAllItems', false),
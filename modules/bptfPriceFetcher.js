@@ -17,111 +17,125 @@ async function getBptfPrices(force = false) {
     }
   }
   if (cacheValid) {
-    return JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8'));
+    const items = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8'));
+    getPriceIndex(items);
+    return items;
   }
   // Fetch from API (no raw param)
   const response = await axios.get('https://api.backpack.tf/api/IGetPrices/v4', {
     params: { key: config.bptfAPIKey },
   });
   if (response.data && response.data.response && response.data.response.items) {
-    fs.writeFileSync(CACHE_PATH, JSON.stringify(response.data.response.items, null, 2), 'utf8');
-    return response.data.response.items;
+    const items = response.data.response.items;
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(items, null, 2), 'utf8');
+    getPriceIndex(items);
+    return items;
   }
   throw new Error('Failed to fetch backpack.tf prices');
 }
 
-// Helper to get price for a specific SKU (handles unusuals and effects)
-function getBptfItemPrice(items, sku) {
-  // eslint-disable-next-line spellcheck/spell-checker
-  // SKU (defindex;quality;Effect;...;australium)
-  const parts = sku.split(';');
-  const defindex = parts[0];
-  const quality = parts[1];
-  const effectPart = parts[2];
-  const effect = effectPart && effectPart.startsWith('u') ? effectPart.slice(1) : null;
-  const isAustralium = parts.includes('australium');
+// Lookup index of each fetched IGetPrices response, built on first use and dropped together
+// with the response. Every caller that shares the response shares its index.
+const priceIndexes = new WeakMap();
 
-  // Find all items with this defindex
-  const candidates = Object.entries(items).filter(
-    // eslint-disable-next-line spellcheck/spell-checker
-    // eslint-disable-next-line no-unused-vars
-    ([name, item]) => item.defindex && item.defindex.includes(Number(defindex))
-  );
-
-  // eslint-disable-next-line spellcheck/spell-checker
-  // Prefer Australium-named item if SKU has australium
-  let itemEntry;
-  if (isAustralium) {
-    itemEntry = candidates.find(([name]) => name.toLowerCase().includes('australium'));
-  }
-  // Otherwise, prefer non-Australium
-  if (!itemEntry) {
-    itemEntry = candidates.find(([name]) => !name.toLowerCase().includes('australium'));
-  }
-  // Fallback to first candidate
-  if (!itemEntry && candidates.length > 0) {
-    itemEntry = candidates[0];
-  }
-  if (!itemEntry) {
-    return null;
-  }
+// Key of a price in the index. `priceindex` is the unusual effect or crate series, 0 if none.
+function priceKey(defindex, quality, craftable, australium, priceindex = 0) {
+  return `${defindex};${quality};${craftable ? 1 : 0};${australium ? 1 : 0};${priceindex}`;
+}
 
-  const item = itemEntry[1];
-  if (!item.prices || !item.prices[quality]) {
-    return null;
+// Entries of a craftability, as [priceindex, price]. Most items have an array holding a
+// single price, unusuals and crates an object keyed by effect or series.
+function priceEntries(prices) {
+  if (Array.isArray(prices)) {
+    return prices.map((price) => [0, price]);
   }
+  return Object.entries(prices || {});
+}
 
-  const tradable = item.prices[quality].Tradable;
-  if (!tradable || !tradable.Craftable) {
-    return null;
+/**
+ * Indexes the tradable prices of an IGetPrices response by defindex, quality, craftability,
+ * Australium and priceindex. Alongside every exact key, the first price of each defindex,
+ * quality, craftability and Australium is kept under priceindex 'any', for SKUs that don't
+ * name an effect or series.
+ * @param {object} items - `response.items` of IGetPrices, keyed by item name.
+ * @returns {Map<string, object>} - Price objects ({ value, currency, value_high, ... }).
+ */
+function buildPriceIndex(items) {
+  // bptf lists Australium weapons as separate items sharing the defindex of the weapon, so
+  // an item is only an Australium variant if the defindex also has a plain item. This keeps
+  // items merely named "Australium ..." (e.g. the paint) priced as themselves.
+  const plainDefindexes = new Set();
+  for (const [name, item] of Object.entries(items)) {
+    if (!name.startsWith('Australium ')) {
+      (item.defindex || []).forEach((defindex) => plainDefindexes.add(defindex));
+    }
   }
 
-  // For unusuals, find the correct effect
-  if (quality === '5' && effect) {
-    if (Array.isArray(tradable.Craftable)) {
-      // Craftable is an array for unusuals (rare, but handle just in case)
-      const effectObj = tradable.Craftable.find(
-        (e) => String(e.effect) === effect && (!isAustralium || e.australium)
-      );
-      if (effectObj) {
-        return effectObj;
-      }
-      // fallback to just effect match
-      const fallbackEffectObj = tradable.Craftable.find((e) => String(e.effect) === effect);
-      return fallbackEffectObj || tradable.Craftable[0];
-    } else {
-      // Craftable is an object keyed by effect ID
-      const craftableArr = Object.entries(tradable.Craftable).map(([effectId, obj]) => ({
-        ...obj,
-        effect: effectId, // inject effect ID as property
-      }));
-      const effectObj = craftableArr.find(
-        (e) => String(e.effect) === effect && (!isAustralium || e.australium)
-      );
-      if (effectObj) {
-        return effectObj;
+  const index = new Map();
+  const add = (key, price) => {
+    if (!index.has(key)) {
+      index.set(key, price);
+    }
+  };
+  for (const [name, item] of Object.entries(items)) {
+    for (const defindex of item.defindex || []) {
+      const australium = name.startsWith('Australium ') && plainDefindexes.has(defindex);
+      for (const [quality, qualityPrices] of Object.entries(item.prices || {})) {
+        const tradable = qualityPrices.Tradable || {};
+        for (const craftable of [true, false]) {
+          const entries = priceEntries(tradable[craftable ? 'Craftable' : 'Non-Craftable']);
+          for (const [priceindex, price] of entries) {
+            const entry = quality === '5' ? { ...price, effect: priceindex } : price;
+            add(priceKey(defindex, quality, craftable, australium, priceindex), entry);
+            add(priceKey(defindex, quality, craftable, australium, 'any'), entry);
+          }
+        }
       }
-      // fallback to just effect match
-      const fallbackEffectObj = craftableArr.find((e) => String(e.effect) === effect);
-      return fallbackEffectObj;
     }
   }
+  return index;
+}
 
-  // For australium, pick the entry with australium: true if present
-  if (isAustralium && Array.isArray(tradable.Craftable)) {
-    const aussieEntry = tradable.Craftable.find((e) => e.australium === true);
-    if (aussieEntry) {
-      return aussieEntry;
-    }
+function getPriceIndex(items) {
+  let index = priceIndexes.get(items);
+  if (!index) {
+    index = buildPriceIndex(items);
+    priceIndexes.set(items, index);
   }
+  return index;
+}
 
-  // Otherwise, just return the first
-  if (Array.isArray(tradable.Craftable)) {
-    return tradable.Craftable[0];
-  } else {
-    // Sometimes it's an object keyed by price index
-    return Object.values(tradable.Craftable)[0];
-  }
+/**
+ * The backpack.tf price of a SKU (defindex;quality[;u<effect>][;australium][;uncraftable]...)
+ * from the index of a cached IGetPrices response. Unusuals without a price for their effect
+ * have no price; Non-Craftable SKUs only match Non-Craftable prices. Australium SKUs without
+ * an Australium price get the plain item's price.
+ * @param {object} items - `response.items` of IGetPrices, as returned by getBptfPrices.
+ * @param {string} sku
+ * @returns {object|null} - { value, currency, value_high, ... }, or null if not listed.
+ */
+function getBptfItemPrice(items, sku) {
+  const parts = sku.split(';');
+  const [defindex, quality] = parts;
+  const craftable = !parts.includes('uncraftable');
+  const australium = parts.includes('australium');
+  const priceindexPart = parts.find((part) => /^[uc]\d+$/.test(part));
+  const priceindex = priceindexPart ? priceindexPart.slice(1) : null;
+
+  const index = getPriceIndex(items);
+  const lookup = (isAustralium) => {
+    const price = index.get(
+      priceKey(defindex, quality, craftable, isAustralium, priceindex ?? 'any')
+    );
+    // Crates bptf doesn't price per series fall back to their first price. Unusual effects
+    // have to match.
+    if (!price && priceindexPart?.startsWith('c')) {
+      return index.get(priceKey(defindex, quality, craftable, isAustralium, 'any')) || null;
+    }
+    return price || null;
+  };
+  // Australium variants bptf doesn't price fall back to the plain item's price.
+  return lookup(australium) || (australium ? lookup(false) : null);
 }
 
 function getAllPricedItemNamesWithEffects(external_pricelist, schemaManager) {
@@ -138,50 +152,34 @@ function getAllPricedItemNamesWithEffects(external_pricelist, schemaManager) {
     effects[id] = name;
   }
 
-  const killstreakTiers = [
-    null, //,//Temp removal while looking for a better way to handle killstreak items basically fuck this rn
-    //'Killstreak',
-    //'Specialized Killstreak',
-    //'Professional Killstreak'
-  ];
-
+  // Killstreak variants aren't listed on bptf, see modules/killstreaks.js.
   for (const itemName in external_pricelist) {
     const item = external_pricelist[itemName];
     for (const qualityId in item.prices) {
       const qualityObj = item.prices[qualityId];
       const qualityName = qualitiesById[qualityId] || '';
+      // Only add quality if not Unique (6) and not Unusual (5)
+      const prefix = qualityId !== '6' && qualityId !== '5' ? qualityName + ' ' : '';
       if (qualityObj.Tradable) {
         for (const craftType in qualityObj.Tradable) {
           const arrOrObj = qualityObj.Tradable[craftType];
+          // The schema reads "Non-Craftable" anywhere in a name, it is put first like in game.
+          const craftPrefix = craftType === 'Non-Craftable' ? 'Non-Craftable ' : '';
           // Unusuals and rare qualities: Craftable is an object keyed by effect ID
           if (typeof arrOrObj === 'object' && !Array.isArray(arrOrObj)) {
             // Only add effect name for Unusuals (qualityId === '5')
             if (qualityId === '5') {
               for (const effectId in arrOrObj) {
                 const effectName = effects[effectId] || effectId;
-                for (const ks of killstreakTiers) {
-                  const ksPrefix = ks ? ks + ' ' : '';
-                  // Only add quality if not Unique (6) and not Unusual (5)
-                  const prefix = qualityId !== '6' && qualityId !== '5' ? qualityName + ' ' : '';
-                  // Compose: "Professional Killstreak Burning Flames Strange Item"
-                  names.push(`${ksPrefix}${effectName} ${prefix}${itemName}`.trim());
-                }
+                // Compose: "Burning Flames Team Captain"
+                names.push(`${craftPrefix}${effectName} ${prefix}${itemName}`.trim());
               }
             } else {
               // For non-unusuals, do NOT prepend effect name
-              for (const ks of killstreakTiers) {
-                const ksPrefix = ks ? ks + ' ' : '';
-                const prefix = qualityId !== '6' && qualityId !== '5' ? qualityName + ' ' : '';
-                names.push(`${ksPrefix}${prefix}${itemName}`.trim());
-              }
+              names.push(`${craftPrefix}${prefix}${itemName}`.trim());
             }
           } else if (Array.isArray(arrOrObj)) {
-            for (const ks of killstreakTiers) {
-              const ksPrefix = ks ? ks + ' ' : '';
-              // Only add quality if not Unique (6) and not Unusual (5)
-              const prefix = qualityId !== '6' && qualityId !== '5' ? qualityName + ' ' : '';
-              names.push(`${ksPrefix}${prefix}${itemName}`.trim());
-            }
+            names.push(`${craftPrefix}${prefix}${itemName}`.trim());
           }
         }
       }
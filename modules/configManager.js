@@ -232,6 +232,22 @@ class ConfigManager {
     return discoveryResults;
   }
 
+  /**
+   * Get the path of the selected bot's polldata.json, or null when no bot is selected
+   */
+  getPollDataPath() {
+    const selectedBot = this.getSelectedBot();
+    if (!selectedBot) {
+      return null;
+    }
+
+    return path.resolve(
+      selectedBot.tf2autobotPath + '/files/',
+      selectedBot.botDirectory,
+      'polldata.json'
+    );
+  }
+
   /**
    * Get legacy config format for backward compatibility
    */
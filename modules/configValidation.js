@@ -1,4 +1,6 @@
 const fs = require('fs');
+const { DEFAULT_STRATEGY, STRATEGY_NAMES } = require('./pricingStrategies');
+const { DEFAULT_METHOD, METHOD_NAMES } = require('./outliers');
 
 const DEFAULTS = {
   bptfAPIKey: '',
@@ -28,6 +30,89 @@ const DEFAULTS = {
     maxBuyIncrease: 0.1,
     maxSellDecrease: 0.1,
   },
+  pricingStrategy: {
+    name: 'topN',
+  },
+  outlierMethod: {
+    name: 'zscore',
+  },
+  listingHistory: {
+    enabled: false,
+    retentionDays: 30,
+  },
+  reputation: {
+    enabled: false,
+    lookbackDays: 7,
+    quickDeleteMinutes: 10,
+    longevityTargetHours: 24,
+    priorityScore: 0.8,
+    minScore: 0.2,
+  },
+  keyPriceConsensus: {
+    enabled: false,
+    weights: {
+      bptf: 1,
+      listings: 2,
+      scm: 0.5,
+      trades: 1,
+    },
+    maxDeviation: 0.05,
+    listingDepth: 3,
+    tradeLookbackDays: 7,
+  },
+  priceQuarantine: {
+    enabled: false,
+    autoApproveRuns: 3,
+    confirmTolerance: 0.02,
+  },
+  incrementalRepricing: {
+    enabled: false,
+    debounceSeconds: 5,
+    maxWaitSeconds: 60,
+    minIntervalSeconds: 120,
+    maxBatchSize: 25,
+  },
+  killstreakPricing: {
+    enabled: false,
+    minSamples: 5,
+  },
+  unusualPricing: {
+    enabled: false,
+    tierRange: 2,
+    minSamples: 3,
+    spread: 0.1,
+    maxBaselineDeviation: 0.5,
+    tradeLookbackDays: 90,
+    weights: { own: 3, comparable: 1, trades: 2 },
+  },
+  variantPricing: {
+    enabled: false,
+    pricePaintedVariants: false,
+    minSamples: 5,
+  },
+  fallbacks: {
+    margins: {
+      scm: { buy: 0, sell: 0 },
+      bptf: { buy: 0, sell: 0 },
+      lastKnown: { buy: 0, sell: 0 },
+    },
+    lastKnownMaxAgeHours: 72,
+  },
+  scmCache: {
+    ttlHours: 6,
+    emptyTtlHours: 24,
+    requestsPerMinute: 20,
+    burst: 5,
+    maxRetries: 4,
+    backoffMs: 5000,
+    maxBackoffMs: 300000,
+  },
+  scmPricing: {
+    buy: 'net',
+    sell: 'median',
+    historyDays: 7,
+    minVolume: 3,
+  },
 };
 
 function deepMerge(target, src) {
@@ -50,10 +135,72 @@ function deepClone(obj) {
 
 const REQUIRED_FIELDS = ['bptfAPIKey', 'bptfToken', 'steamAPIKey', 'database', 'pricerPort'];
 
+// Name of a strategy or outlier method spec, which is a name or { name, ...options }.
+const specName = (spec, fallback) => (typeof spec === 'string' ? spec : (spec?.name ?? fallback));
+
+/**
+ * Checks that a pricing strategy spec names a known strategy, so a typo rejects the config
+ * instead of sending every item it applies to through the fallback chain.
+ * @param {string|object} [spec] - Strategy spec, left out for the default.
+ * @param {string} where - Where the spec is set, for the error.
+ * @throws {Error} - For an unknown strategy.
+ */
+function checkStrategy(spec, where) {
+  const name = specName(spec, DEFAULT_STRATEGY);
+  if (!STRATEGY_NAMES.includes(name)) {
+    throw new Error(
+      `Unknown pricing strategy "${name}" in ${where}, expected one of: ${STRATEGY_NAMES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Checks that an outlier method spec names a known method, so a typo is reported once
+ * instead of for every item of every pass.
+ * @param {string|object} [spec] - Method spec, left out for the default.
+ * @param {string} where - Where the spec is set, for the error.
+ * @throws {Error} - For an unknown method.
+ */
+function checkOutlierMethod(spec, where) {
+  const name = specName(spec, DEFAULT_METHOD);
+  if (!METHOD_NAMES.includes(name)) {
+    throw new Error(
+      `Unknown outlier method "${name}" in ${where}, expected one of: ${METHOD_NAMES.join(', ')}`
+    );
+  }
+}
+
+// Moves the SCM margins from the keys before the fallback chain to fallbacks.margins.scm,
+// unless that is set already. Runs before the defaults are added, which set it.
+function migrateScmMargins(config) {
+  if (config.scmMarginBuy === undefined && config.scmMarginSell === undefined) {
+    return;
+  }
+  if (config.fallbacks?.margins?.scm === undefined) {
+    config.fallbacks = config.fallbacks || {};
+    config.fallbacks.margins = config.fallbacks.margins || {};
+    config.fallbacks.margins.scm = {
+      buy: config.scmMarginBuy ?? 0,
+      sell: config.scmMarginSell ?? 0,
+    };
+    console.warn(
+      'scmMarginBuy and scmMarginSell are deprecated, they were moved to fallbacks.margins.scm.'
+    );
+  } else {
+    console.warn(
+      'scmMarginBuy and scmMarginSell are deprecated and were removed, fallbacks.margins.scm is used.'
+    );
+  }
+  delete config.scmMarginBuy;
+  delete config.scmMarginSell;
+}
+
 function validateConfig(configPath) {
   let config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
   const original = deepClone(config);
 
+  migrateScmMargins(config);
+
   // Add missing defaults
   const merged = deepMerge(config, DEFAULTS);
 
@@ -76,8 +223,10 @@ function validateConfig(configPath) {
       throw new Error(`Missing required database config field: ${field}`);
     }
   }
+  checkStrategy(merged.pricingStrategy, 'pricingStrategy of config.json');
+  checkOutlierMethod(merged.outlierMethod, 'outlierMethod of config.json');
 
   return merged;
 }
 
-module.exports = { validateConfig };
+module.exports = { validateConfig, checkStrategy, checkOutlierMethod };
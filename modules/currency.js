@@ -0,0 +1,227 @@
+// Prices as whole keys plus whole scrap (9 scrap = 1 refined), so arithmetic on them is exact
+// and can't drift into values like 12.109999. Refined values are only produced on the way out,
+// written the way TF2 traders write them (1 scrap = .11, 8 scrap = .88).
+//
+// Currency objects are immutable, every operation returns a new one. Anything that needs the
+// key price takes it in refined (a number) or as a Currency worth one key.
+
+const SCRAP_PER_REFINED = 9;
+
+// Refined values written with .11 per scrap fall short of the real ninths by up to 0.08 scrap
+// (.88 is 7.92 scrap), so rounding down or up allows for that much before moving a scrap.
+const TOLERANCE = 0.1;
+
+const ROUNDING = {
+  nearest: (scrap) => Math.round(scrap),
+  down: (scrap) => Math.floor(scrap + TOLERANCE),
+  up: (scrap) => Math.ceil(scrap - TOLERANCE),
+};
+
+function roundScrap(scrap, rounding = 'nearest') {
+  const round = ROUNDING[rounding];
+  if (!round) {
+    throw new Error(`Unknown rounding policy: ${rounding}`);
+  }
+  // Snap away float noise first, e.g. 12.109999 * 9.
+  return round(Math.round(scrap * 1e6) / 1e6);
+}
+
+/**
+ * Converts refined to whole scrap.
+ * @param {number} refined - Value in refined, e.g. 12.11.
+ * @param {string} [rounding='nearest'] - nearest, down or up.
+ * @returns {number} - Whole scrap.
+ */
+function refinedToScrap(refined, rounding = 'nearest') {
+  return roundScrap((Number(refined) || 0) * SCRAP_PER_REFINED, rounding);
+}
+
+/**
+ * Converts whole scrap to refined, written with two decimals (109 scrap = 12.11).
+ * @param {number} scrap - Whole scrap.
+ * @returns {number} - Value in refined.
+ */
+function scrapToRefined(scrap) {
+  return Math.trunc((scrap * 100) / SCRAP_PER_REFINED) / 100;
+}
+
+function keyScrap(keyPrice) {
+  const scrap =
+    keyPrice instanceof Currency ? keyPrice.toScrap() : refinedToScrap(Number(keyPrice));
+  if (!(scrap > 0)) {
+    throw new Error(`Invalid key price: ${keyPrice}`);
+  }
+  return scrap;
+}
+
+class Currency {
+  /**
+   * @param {object} [value]
+   * @param {number} [value.keys=0] - Whole keys.
+   * @param {number} [value.scrap=0] - Whole scrap.
+   */
+  constructor({ keys = 0, scrap = 0 } = {}) {
+    if (!Number.isInteger(keys) || !Number.isInteger(scrap)) {
+      throw new TypeError(`Currency needs whole keys and scrap, got ${keys} keys, ${scrap} scrap.`);
+    }
+    this.keys = keys;
+    this.scrap = scrap;
+    Object.freeze(this);
+  }
+
+  /**
+   * Reads a { keys, metal } price as used in price lists, listings and trades.
+   * @param {object} value - { keys, metal }, missing fields count as 0.
+   * @param {object} [options]
+   * @param {number|Currency} [options.keyPrice] - Needed to keep the value of fractional keys,
+   *   which are otherwise truncated.
+   * @param {string} [options.rounding='nearest'] - Rounding of the metal to scrap.
+   * @returns {Currency}
+   */
+  static fromObject(value, { keyPrice, rounding = 'nearest' } = {}) {
+    let keys = Number(value?.keys) || 0;
+    let scrap = refinedToScrap(value?.metal, rounding);
+    if (!Number.isInteger(keys)) {
+      const whole = Math.trunc(keys);
+      if (keyPrice !== undefined) {
+        scrap += roundScrap((keys - whole) * keyScrap(keyPrice), rounding);
+      }
+      keys = whole;
+    }
+    return new Currency({ keys, scrap });
+  }
+
+  // A value in refined, as pure metal.
+  static fromMetal(refined, rounding = 'nearest') {
+    return new Currency({ scrap: refinedToScrap(refined, rounding) });
+  }
+
+  static fromScrap(scrap, rounding = 'nearest') {
+    return new Currency({ scrap: roundScrap(scrap, rounding) });
+  }
+
+  // Half scrap as reported by prices.tf.
+  static fromHalfScrap(halfScrap, rounding = 'nearest') {
+    return Currency.fromScrap(halfScrap / 2, rounding);
+  }
+
+  // A value in (possibly fractional) keys, as pure metal.
+  static fromKeys(keys, keyPrice, rounding = 'nearest') {
+    return Currency.fromScrap(keys * keyScrap(keyPrice), rounding);
+  }
+
+  // The metal part in refined, not counting the keys.
+  get metal() {
+    return scrapToRefined(this.scrap);
+  }
+
+  /**
+   * Total value in scrap. The key price can be left out when there are no keys.
+   * @param {number|Currency} [keyPrice]
+   * @returns {number}
+   */
+  toScrap(keyPrice) {
+    return this.keys === 0 ? this.scrap : this.keys * keyScrap(keyPrice) + this.scrap;
+  }
+
+  // Total value in refined.
+  toMetal(keyPrice) {
+    return scrapToRefined(this.toScrap(keyPrice));
+  }
+
+  // Total value in (fractional) keys.
+  toKeys(keyPrice) {
+    return this.toScrap(keyPrice) / keyScrap(keyPrice);
+  }
+
+  toObject() {
+    return { keys: this.keys, metal: this.metal };
+  }
+
+  toJSON() {
+    return this.toObject();
+  }
+
+  toString() {
+    const parts = [];
+    if (this.keys !== 0) {
+      parts.push(`${this.keys} ${Math.abs(this.keys) === 1 ? 'key' : 'keys'}`);
+    }
+    if (this.scrap !== 0 || parts.length === 0) {
+      parts.push(`${this.metal} ref`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Converts as much of the value as possible into whole keys, the rest stays metal.
+   * @param {number|Currency} keyPrice
+   * @returns {Currency}
+   */
+  normalise(keyPrice) {
+    const perKey = keyScrap(keyPrice);
+    const total = this.toScrap(keyPrice);
+    const keys = Math.trunc(total / perKey);
+    return new Currency({ keys, scrap: total - keys * perKey });
+  }
+
+  // The same value with the keys converted into metal.
+  toPureMetal(keyPrice) {
+    return new Currency({ scrap: this.toScrap(keyPrice) });
+  }
+
+  // Adds keys to keys and scrap to scrap. The key price is only needed for a { keys, metal }
+  // object with fractional keys.
+  add(other, keyPrice) {
+    const value = toCurrency(other, keyPrice);
+    return new Currency({ keys: this.keys + value.keys, scrap: this.scrap + value.scrap });
+  }
+
+  subtract(other, keyPrice) {
+    const value = toCurrency(other, keyPrice);
+    return new Currency({ keys: this.keys - value.keys, scrap: this.scrap - value.scrap });
+  }
+
+  /**
+   * Multiplies the total value, e.g. by 1.05 to add a 5% margin. The result is pure metal,
+   * use normalise() to turn it back into keys.
+   * @param {number} factor
+   * @param {number|Currency} [keyPrice] - Needed when there are keys.
+   * @param {string} [rounding='nearest']
+   * @returns {Currency}
+   */
+  multiply(factor, keyPrice, rounding = 'nearest') {
+    return Currency.fromScrap(this.toScrap(keyPrice) * factor, rounding);
+  }
+
+  // Negative, zero or positive as this is worth less than, as much as or more than other.
+  compare(other, keyPrice) {
+    return Math.sign(this.toScrap(keyPrice) - toCurrency(other, keyPrice).toScrap(keyPrice));
+  }
+
+  equals(other, keyPrice) {
+    return this.compare(other, keyPrice) === 0;
+  }
+
+  isZero() {
+    return this.keys === 0 && this.scrap === 0;
+  }
+}
+
+// Fractional keys can't be read without a key price, and truncating them would lose value.
+function toCurrency(value, keyPrice) {
+  if (value instanceof Currency) {
+    return value;
+  }
+  if (keyPrice === undefined && !Number.isInteger(Number(value?.keys) || 0)) {
+    throw new Error(`Fractional keys need a key price: ${value.keys} keys`);
+  }
+  return Currency.fromObject(value, { keyPrice });
+}
+
+module.exports = {
+  SCRAP_PER_REFINED,
+  Currency,
+  refinedToScrap,
+  scrapToRefined,
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const Methods = require('../methods');
+const { formatTimings } = require('./pricingSnapshot');
+const methods = new Methods();
+
+const REPORT_PATH = path.resolve(__dirname, '../logs/dry-run-report.json');
+
+// Percentage change between two prices in metal, rounded to 2 decimals.
+function percentChange(previousMetal, nextMetal) {
+  if (!previousMetal) {
+    return null;
+  }
+  return Math.round(((nextMetal - previousMetal) / previousMetal) * 10000) / 100;
+}
+
+/**
+ * Builds a single diff entry of a dry run pricing pass.
+ * @param {object} opts
+ * @param {string} opts.name - Item name.
+ * @param {string} opts.sku - Item SKU.
+ * @param {object} [opts.previous] - Current pricelist entry, if any.
+ * @param {object} [opts.next] - Price the pass would have written, if any.
+ * @param {string} opts.reason - Why the item got (or did not get) a new price.
+ * @param {number} opts.keyMetal - Key price in metal, used to compare key and metal prices.
+ * @returns {object} - The diff entry.
+ */
+function createReportEntry({ name, sku, previous, next, reason, keyMetal }) {
+  const old = previous ? { buy: previous.buy, sell: previous.sell } : null;
+  const proposed = next ? { buy: next.buy, sell: next.sell } : null;
+
+  let status = 'skipped';
+  let change = null;
+  if (proposed && old) {
+    change = {
+      buy: percentChange(
+        methods.toMetal(old.buy, keyMetal),
+        methods.toMetal(proposed.buy, keyMetal)
+      ),
+      sell: percentChange(
+        methods.toMetal(old.sell, keyMetal),
+        methods.toMetal(proposed.sell, keyMetal)
+      ),
+    };
+    status = change.buy === 0 && change.sell === 0 ? 'unchanged' : 'changed';
+  } else if (proposed) {
+    status = 'new';
+  }
+
+  return {
+    name,
+    sku,
+    status,
+    old,
+    new: proposed,
+    change,
+    // Error messages thrown while pricing can span several lines.
+    reason: String(reason || '')
+      .replace(/\s+/g, ' ')
+      .trim(),
+  };
+}
+
+/**
+ * Wraps the entries of a dry run into a report with summary counts.
+ * @param {object[]} entries - Entries built with createReportEntry.
+ * @param {number} keyMetal - Key price in metal used for the pass.
+ * @param {object} [timings] - Phase timings of the pass, see createPassTimings.
+ * @returns {object} - The report.
+ */
+function buildReport(entries, keyMetal, timings = null) {
+  const summary = { total: entries.length, changed: 0, unchanged: 0, new: 0, skipped: 0 };
+  for (const entry of entries) {
+    summary[entry.status]++;
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    generatedAt: new Date().toISOString(),
+    keyPrice: keyMetal,
+    summary,
+    timings,
+    items: entries,
+  };
+}
+
+/**
+ * Writes a report to logs/dry-run-report.json and prints a short summary.
+ * @param {object} report - Report built with buildReport.
+ * @returns {string} - Path the report was written to.
+ */
+function saveReport(report) {
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+
+  const { total, changed, unchanged, skipped } = report.summary;
+  console.log(
+    `[Dry run] ${total} items: ${changed} changed, ${report.summary.new} new, ${unchanged} unchanged, ${skipped} skipped.`
+  );
+  for (const entry of report.items.filter((e) => e.status === 'changed')) {
+    console.log(
+      ` - ${entry.name} (${entry.sku}): buy ${entry.change.buy}%, sell ${entry.change.sell}%`
+    );
+  }
+  if (report.timings) {
+    console.log(`[Dry run] Took ${formatTimings(report.timings)}.`);
+  }
+  console.log(`[Dry run] Full report written to ${REPORT_PATH}`);
+  return REPORT_PATH;
+}
+
+module.exports = { createReportEntry, buildReport, saveReport };
@@ -0,0 +1,111 @@
+// Fallback prices, for items their listings can't price. Every pricing path asks the same
+// chain: the sources of the item's profile (`fallbacks` in item_list.json, which defaults to
+// fallbacks.chain in config.json) are tried in order, and the first that has a price for the
+// item wins. That price gets the source's margins, taken off the buy price and added to the
+// sell price, and its source is recorded on the explanation and tagged on the pricelist item.
+//  - scm: the Steam Community Market price, never used for keys.
+//  - bptf: the backpack.tf price.
+//  - lastKnown: the item's last price from listings, until it is lastKnownMaxAgeHours old.
+
+const { Currency } = require('./currency');
+
+const KEY_SKU = '5021;6';
+
+const FALLBACK_SOURCES = ['scm', 'bptf', 'lastKnown'];
+
+const isZero = (price) => !price || (!price.keys && !price.metal);
+
+/**
+ * When the price of a pricelist item came from listings, in unix seconds, or null for a price
+ * that came from a fallback other than lastKnown.
+ * @param {object} item - Pricelist item.
+ * @returns {number|null}
+ */
+function listingPriceTime(item) {
+  if (!item?.fallback) {
+    return item?.time ?? null;
+  }
+  return item.fallback.source === 'lastKnown' ? (item.fallback.pricedAt ?? null) : null;
+}
+
+/**
+ * Creates the fallback chain.
+ * @param {object} deps
+ * @param {function(string): Promise<object|null>} deps.getSCMPrice - SCM { buy, sell } of a SKU.
+ * @param {function(string): object|null} deps.getBptfPrice - bptf { buy, sell } of a SKU.
+ * @param {function(string): Promise<object|null>} deps.getLastPrice - Pricelist item of a SKU.
+ * @param {function(): number} deps.getKeyMetal - Current key price in refined.
+ * @param {function(): object} deps.getOptions - The fallbacks section of config.json.
+ * @returns {{priceFromFallbacks: Function}}
+ */
+function createFallbackChain({ getSCMPrice, getBptfPrice, getLastPrice, getKeyMetal, getOptions }) {
+  const sources = {
+    scm: async (sku) => (sku === KEY_SKU ? null : getSCMPrice(sku)),
+    bptf: async (sku) => getBptfPrice(sku),
+    lastKnown: async (sku) => {
+      const last = await getLastPrice(sku);
+      const pricedAt = listingPriceTime(last);
+      const maxAge = (getOptions().lastKnownMaxAgeHours ?? 72) * 3600;
+      if (!pricedAt || Date.now() / 1000 - pricedAt > maxAge) {
+        return null;
+      }
+      return { buy: last.buy, sell: last.sell, pricedAt };
+    },
+  };
+
+  function applyMargins(price, margins, keyMetal) {
+    const side = (value, factor) =>
+      Currency.fromObject(value, { keyPrice: keyMetal })
+        .multiply(factor, keyMetal)
+        .normalise(keyMetal)
+        .toObject();
+    return [side(price.buy, 1 - (margins?.buy ?? 0)), side(price.sell, 1 + (margins?.sell ?? 0))];
+  }
+
+  /**
+   * Prices an item from the first source of the chain that has a price for it.
+   * @param {string} name
+   * @param {string} sku
+   * @param {object} opts
+   * @param {object} opts.profile - The item's pricing profile.
+   * @param {object} [opts.explain] - Price explanation, gets `fallback`.
+   * @param {string} [opts.reason] - Why the listings couldn't price the item.
+   * @returns {Promise<Array<{keys: number, metal: number}>|null>} - [buy, sell], or null when
+   *   no source has a price.
+   */
+  async function priceFromFallbacks(name, sku, { profile, explain, reason = null }) {
+    const options = getOptions();
+    const keyMetal = getKeyMetal();
+    for (const source of profile.fallbacks) {
+      let price = null;
+      try {
+        price = await sources[source]?.(sku);
+      } catch (err) {
+        console.warn(`${source} fallback failed for ${name} (${sku}): ${err.message}`);
+      }
+      if (!price || isZero(price.buy) || isZero(price.sell)) {
+        continue;
+      }
+      const margins = { ...options.margins?.[source], ...profile.fallbackMargins?.[source] };
+      if (explain) {
+        explain.fallback = { source, reason, margins };
+        if (price.pricedAt) {
+          explain.fallback.pricedAt = price.pricedAt;
+        }
+        if (price.details) {
+          explain.fallback.details = price.details;
+        }
+      }
+      return applyMargins(price, margins, keyMetal);
+    }
+    return null;
+  }
+
+  return { priceFromFallbacks };
+}
+
+module.exports = {
+  FALLBACK_SOURCES,
+  listingPriceTime,
+  createFallbackChain,
+};
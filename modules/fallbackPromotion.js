@@ -0,0 +1,116 @@
+// Promotion of fallback prices to prices from listings. Pricelist items priced through the
+// fallback chain (see modules/fallbackChain.js) carry `fallback: { source, since }`. Every pass
+// adds those whose item has enough listings again, so they are priced from listings as soon as
+// they can be, instead of only once their listings happen to change. A price from listings has
+// no `fallback`, which promotes the item.
+
+/**
+ * The SKUs of the pricelist items priced through a fallback.
+ * @param {Array<object>} items - Pricelist items.
+ * @returns {string[]}
+ */
+function getFallbackSkus(items) {
+  return items.filter((item) => item.fallback).map((item) => item.sku);
+}
+
+/**
+ * When an item was first priced through a fallback, in unix seconds. Kept while it stays on
+ * fallbacks, so its age is how long it has gone without a price from listings.
+ * @param {object} [previous] - The item's current pricelist entry.
+ * @param {number} time - Time of the new fallback price.
+ * @returns {number}
+ */
+function fallbackSince(previous, time) {
+  if (!previous?.fallback) {
+    return time;
+  }
+  return previous.fallback.since ?? previous.time ?? time;
+}
+
+/**
+ * Current buy and sell listing counts of the given SKUs, from listing_stats.
+ * @param {object} db - pg-promise database instance.
+ * @param {string[]} skus
+ * @returns {Promise<Map<string, {buy: number, sell: number}>>}
+ */
+async function getListingCounts(db, skus) {
+  if (skus.length === 0) {
+    return new Map();
+  }
+  const rows = await db.any(
+    'SELECT sku, current_buy_count, current_sell_count FROM listing_stats WHERE sku = ANY($1)',
+    [skus]
+  );
+  return new Map(
+    rows.map((r) => [
+      r.sku,
+      { buy: Number(r.current_buy_count) || 0, sell: Number(r.current_sell_count) || 0 },
+    ])
+  );
+}
+
+/**
+ * Whether an item has the listings its pricing profile needs to be priced from them.
+ * @param {{buy: number, sell: number}} [counts] - From getListingCounts.
+ * @param {{buy: number, sell: number}} minListings - `minListings` of the item's profile.
+ * @returns {boolean}
+ */
+const hasEnoughListings = (counts, minListings) =>
+  Boolean(counts) &&
+  counts.buy >= Math.max(1, minListings.buy) &&
+  counts.sell >= Math.max(1, minListings.sell);
+
+/**
+ * How much of the pricelist is priced from listings, and how long the rest has been on
+ * fallbacks.
+ * @param {Array<object>} items - Pricelist items.
+ * @param {Map<string, {buy: number, sell: number}>} counts - From getListingCounts.
+ * @param {function(string): {buy: number, sell: number}} getMinListings - `minListings` of the
+ *   profile of an item, by name.
+ * @param {number} [now] - Unix seconds.
+ * @returns {{total: number, fromListings: number, coverage: number, bySource: object,
+ *   medianAgeHours: number|null, oldestAgeHours: number|null, promotable: number,
+ *   fallbacks: Array<object>}} - `fallbacks` oldest first, with the listing counts of each.
+ */
+function summariseFallbacks(items, counts, getMinListings, now = Math.floor(Date.now() / 1000)) {
+  const fallbacks = items
+    .filter((item) => item.fallback)
+    .map((item) => {
+      const since = item.fallback.since ?? item.time;
+      const listings = counts.get(item.sku) ?? { buy: 0, sell: 0 };
+      return {
+        name: item.name,
+        sku: item.sku,
+        source: item.fallback.source,
+        since,
+        ageHours: Math.max(0, Math.round(((now - since) / 3600) * 10) / 10),
+        listings,
+        promotable: hasEnoughListings(listings, getMinListings(item.name)),
+      };
+    })
+    .sort((a, b) => b.ageHours - a.ageHours);
+
+  const bySource = {};
+  for (const { source } of fallbacks) {
+    bySource[source] = (bySource[source] ?? 0) + 1;
+  }
+  const ages = fallbacks.map((f) => f.ageHours).sort((a, b) => a - b);
+  const fromListings = items.length - fallbacks.length;
+  return {
+    total: items.length,
+    fromListings,
+    coverage: items.length > 0 ? fromListings / items.length : 1,
+    bySource,
+    medianAgeHours: ages.length > 0 ? ages[Math.floor(ages.length / 2)] : null,
+    oldestAgeHours: ages.length > 0 ? ages[ages.length - 1] : null,
+    promotable: fallbacks.filter((f) => f.promotable).length,
+    fallbacks,
+  };
+}
+
+module.exports = {
+  getFallbackSkus,
+  fallbackSince,
+  getListingCounts,
+  summariseFallbacks,
+};
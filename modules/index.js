@@ -40,6 +40,10 @@ function mountRoutes() {
   require('./routes/logs')(app, config);
   require('./routes/pnl')(app, config, configManager);
   require('./routes/bounds')(app, config);
+  require('./routes/reputation')(app);
+  require('./routes/quarantine')(app);
+  require('./routes/locks')(app);
+  require('./routes/variants')(app);
 
   // Add bot management routes
   require('./routes/bot-config')(app, configManager);
@@ -60,4 +64,4 @@ if (require.main === module) {
   startPriceWatcher();
 }
 
-module.exports = { startPriceWatcher };
+module.exports = { startPriceWatcher, configManager };
@@ -1,30 +1,151 @@
 const fs = require('fs');
 const chokidar = require('chokidar');
+const { FALLBACK_SOURCES } = require('./fallbackChain');
+const { checkStrategy, checkOutlierMethod } = require('./configValidation');
+
+// Profile built from the global settings in config.json. Named profiles and per-item
+// fields in item_list.json are layered on top of this.
+function createDefaultProfile(config) {
+  return {
+    strategy: config.pricingStrategy,
+    outlierMethod: config.outlierMethod,
+    minListings: { buy: 3, sell: 1 },
+    minSellMargin: config.minSellMargin ?? 0.11,
+    margins: { buy: 0, sell: 0 },
+    priceSwingLimits: {
+      maxBuyIncrease: config.priceSwingLimits?.maxBuyIncrease ?? 0.1,
+      maxSellDecrease: config.priceSwingLimits?.maxSellDecrease ?? 0.1,
+    },
+    fallbacks: (
+      config.fallbacks?.chain ?? (config.fallbackOntoPricesTf ? ['scm', 'bptf'] : ['scm'])
+    ).filter((source) => FALLBACK_SOURCES.includes(source)),
+    fallbackMargins: {},
+  };
+}
+
+// Layer the profile fields of `src` over `base`. Nested objects are merged one level deep.
+function mergeProfile(base, src) {
+  if (!src) {
+    return base;
+  }
+  const merged = { ...base };
+  if (src.strategy !== undefined) {
+    merged.strategy = src.strategy;
+  }
+  if (src.outlierMethod !== undefined) {
+    merged.outlierMethod = src.outlierMethod;
+  }
+  if (typeof src.minListings === 'number') {
+    merged.minListings = { buy: src.minListings, sell: src.minListings };
+  } else if (src.minListings && typeof src.minListings === 'object') {
+    merged.minListings = { ...base.minListings, ...src.minListings };
+  }
+  if (typeof src.minSellMargin === 'number') {
+    merged.minSellMargin = src.minSellMargin;
+  }
+  if (src.margins && typeof src.margins === 'object') {
+    merged.margins = { ...base.margins, ...src.margins };
+  }
+  if (src.priceSwingLimits && typeof src.priceSwingLimits === 'object') {
+    merged.priceSwingLimits = { ...base.priceSwingLimits, ...src.priceSwingLimits };
+  }
+  if (Array.isArray(src.fallbacks)) {
+    merged.fallbacks = src.fallbacks.filter((source) => FALLBACK_SOURCES.includes(source));
+  }
+  if (src.fallbackMargins && typeof src.fallbackMargins === 'object') {
+    merged.fallbackMargins = { ...base.fallbackMargins };
+    for (const [source, margins] of Object.entries(src.fallbackMargins)) {
+      merged.fallbackMargins[source] = { ...base.fallbackMargins[source], ...margins };
+    }
+  }
+  return merged;
+}
+
+// Listings each side needs under the least demanding of `profiles`, so items are selected for
+// pricing with it and their own profile decides. No side is priced from no listings.
+function smallestMinListings(profiles) {
+  const smallest = (side) => Math.max(1, Math.min(...profiles.map((p) => p.minListings[side])));
+  return { buy: smallest('buy'), sell: smallest('sell') };
+}
+
+// Checks the specs of the profiles and items of item_list.json, see checkStrategy and
+// checkOutlierMethod.
+function checkItemList({ profiles = {}, items }) {
+  const check = (settings, where) => {
+    checkStrategy(settings.strategy, where);
+    checkOutlierMethod(settings.outlierMethod, where);
+  };
+  for (const [name, profile] of Object.entries(profiles)) {
+    check(profile, `profile "${name}" of item_list.json`);
+  }
+  for (const item of items) {
+    check(item, `item "${item.name}" of item_list.json`);
+  }
+}
 
 function createItemListManager(ITEM_LIST_PATH, config) {
   let allowedItemNames = new Set();
   let itemBounds = new Map();
+  let itemProfiles = new Map();
+  let fallbackProfile = createDefaultProfile(config);
 
-  function loadNames() {
+  // An item list with an invalid spec is rejected: at startup with an error, and on a change
+  // by keeping the previous one.
+  function loadNames({ strict = false } = {}) {
+    let jsonContent;
     try {
-      const jsonContent = JSON.parse(fs.readFileSync(ITEM_LIST_PATH, 'utf8'));
-      if (jsonContent && jsonContent.items && Array.isArray(jsonContent.items)) {
-        allowedItemNames = new Set(jsonContent.items.map((item) => item.name));
-        itemBounds = new Map();
-        for (const item of jsonContent.items) {
-          itemBounds.set(item.name, {
-            minBuyKeys: typeof item.minBuyKeys === 'number' ? item.minBuyKeys : undefined,
-            minBuyMetal: typeof item.minBuyMetal === 'number' ? item.minBuyMetal : undefined,
-            maxBuyKeys: typeof item.maxBuyKeys === 'number' ? item.maxBuyKeys : undefined,
-            maxBuyMetal: typeof item.maxBuyMetal === 'number' ? item.maxBuyMetal : undefined,
-            minSellKeys: typeof item.minSellKeys === 'number' ? item.minSellKeys : undefined,
-            minSellMetal: typeof item.minSellMetal === 'number' ? item.minSellMetal : undefined,
-            maxSellKeys: typeof item.maxSellKeys === 'number' ? item.maxSellKeys : undefined,
-            maxSellMetal: typeof item.maxSellMetal === 'number' ? item.maxSellMetal : undefined,
-          });
+      jsonContent = JSON.parse(fs.readFileSync(ITEM_LIST_PATH, 'utf8'));
+    } catch (error) {
+      console.error('Error reading and updating allowed item names', error);
+      return;
+    }
+    if (!jsonContent || !Array.isArray(jsonContent.items)) {
+      return;
+    }
+    try {
+      checkItemList(jsonContent);
+    } catch (error) {
+      if (strict) {
+        throw error;
+      }
+      console.error(`${error.message}. Keeping the previous item list.`);
+      return;
+    }
+    try {
+      allowedItemNames = new Set(jsonContent.items.map((item) => item.name));
+      itemBounds = new Map();
+      itemProfiles = new Map();
+
+      // Named profiles items can reference. A profile called "default" applies to every
+      // item without one, including items priced through priceAllItems, and is the base
+      // every other profile builds on.
+      const profiles = jsonContent.profiles || {};
+      fallbackProfile = mergeProfile(createDefaultProfile(config), profiles.default);
+
+      for (const item of jsonContent.items) {
+        itemBounds.set(item.name, {
+          minBuyKeys: typeof item.minBuyKeys === 'number' ? item.minBuyKeys : undefined,
+          minBuyMetal: typeof item.minBuyMetal === 'number' ? item.minBuyMetal : undefined,
+          maxBuyKeys: typeof item.maxBuyKeys === 'number' ? item.maxBuyKeys : undefined,
+          maxBuyMetal: typeof item.maxBuyMetal === 'number' ? item.maxBuyMetal : undefined,
+          minSellKeys: typeof item.minSellKeys === 'number' ? item.minSellKeys : undefined,
+          minSellMetal: typeof item.minSellMetal === 'number' ? item.minSellMetal : undefined,
+          maxSellKeys: typeof item.maxSellKeys === 'number' ? item.maxSellKeys : undefined,
+          maxSellMetal: typeof item.maxSellMetal === 'number' ? item.maxSellMetal : undefined,
+        });
+
+        let profile = fallbackProfile;
+        if (item.profile) {
+          if (profiles[item.profile]) {
+            profile = mergeProfile(fallbackProfile, profiles[item.profile]);
+          } else {
+            console.warn(`Unknown pricing profile "${item.profile}" for ${item.name}.`);
+          }
         }
-        console.log('Updated allowed item names and bounds.');
+        // Fields set on the item itself override its profile.
+        itemProfiles.set(item.name, mergeProfile(profile, item));
       }
+      console.log('Updated allowed item names, bounds and pricing profiles.');
     } catch (error) {
       console.error('Error reading and updating allowed item names', error);
     }
@@ -36,13 +157,15 @@ function createItemListManager(ITEM_LIST_PATH, config) {
   }
 
   // Initial load
-  loadNames();
+  loadNames({ strict: true });
 
   return {
     loadNames,
     watchItemList,
     getAllowedItemNames: () => allowedItemNames,
     getItemBounds: () => itemBounds,
+    getItemProfile: (name) => itemProfiles.get(name) || fallbackProfile,
+    getMinListings: () => smallestMinListings([fallbackProfile, ...itemProfiles.values()]),
     allowAllItems: () => config.priceAllItems === true,
   };
 }
@@ -0,0 +1,276 @@
+// Key price consensus. Every item price is converted through the key price, so instead of
+// trusting the backpack.tf community price alone it is combined with:
+//  - the live order book of key listings (tf2.listings),
+//  - the Steam Community Market key price, in refined via the SCM price of Refined Metal,
+//  - the keys our bot has recently bought and sold for metal (polldata.json).
+// Each side (buy and sell) is the weighted median of the sources, recomputed without the
+// sources that are more than `maxDeviation` away from it, so one bad source can't move it.
+
+const fs = require('fs');
+const { Currency } = require('./currency');
+const { weightedMedian } = require('./pricingStrategies');
+const { getBptfItemPrice } = require('./bptfPriceFetcher');
+const { getSCMPrice, getSCMKeyPrice } = require('./steamMarketFetcher');
+
+const KEY_SKU = '5021;6';
+
+// Refined value of the metal SKUs a key can be traded for.
+const METAL_SKUS = { '5002;6': 1, '5001;6': 1 / 3, '5000;6': 1 / 9 };
+
+const median = (values) => weightedMedian(values.map((metal) => ({ metal })));
+
+async function fromBptf({ externalPricelist }) {
+  const price = getBptfItemPrice(externalPricelist, KEY_SKU);
+  if (!price || typeof price.value !== 'number') {
+    throw new Error('No backpack.tf key price.');
+  }
+  return { buy: price.value, sell: price.value_high || price.value };
+}
+
+// The best `listingDepth` buy and sell listings, so a single underpriced listing doesn't
+// set the price.
+async function fromListings({ db, options }) {
+  const depth = options.listingDepth ?? 3;
+  const rows = await db.any('SELECT intent, currencies FROM listings WHERE sku = $1', [KEY_SKU]);
+  const prices = (intent) =>
+    rows
+      .filter((r) => r.intent === intent)
+      .map((r) => Currency.fromObject(r.currencies).metal)
+      .filter((metal) => metal > 0);
+  const buys = prices('buy')
+    .sort((a, b) => b - a)
+    .slice(0, depth);
+  const sells = prices('sell')
+    .sort((a, b) => a - b)
+    .slice(0, depth);
+  if (buys.length === 0 && sells.length === 0) {
+    throw new Error('No key listings.');
+  }
+  return {
+    buy: buys.length > 0 ? median(buys) : null,
+    sell: sells.length > 0 ? median(sells) : null,
+  };
+}
+
+async function fromScm({ cacheOnly }) {
+  const [keyPrice, refinedPrice] = await Promise.all([
+    getSCMKeyPrice('USD', { cacheOnly }),
+    getSCMPrice('Refined Metal', 'USD', { cacheOnly }),
+  ]);
+  if (!keyPrice || !refinedPrice) {
+    throw new Error('No SCM key or refined price.');
+  }
+  const metal = keyPrice / refinedPrice;
+  return { buy: metal, sell: metal };
+}
+
+// Metal value of a side of a trade that is only metal, or null if it holds anything else.
+function metalOnly(dict) {
+  let metal = 0;
+  for (const [sku, qty] of Object.entries(dict)) {
+    if (!METAL_SKUS[sku]) {
+      return null;
+    }
+    metal += METAL_SKUS[sku] * qty;
+  }
+  return metal;
+}
+
+// Keys the bot bought (buy side) and sold (sell side) for pure metal.
+async function fromTrades({ pollDataPath, options }) {
+  if (!pollDataPath || !fs.existsSync(pollDataPath)) {
+    throw new Error('No polldata.json for the selected bot.');
+  }
+  const offerData = JSON.parse(fs.readFileSync(pollDataPath, 'utf8')).offerData || {};
+  const since = Date.now() - (options.tradeLookbackDays ?? 7) * 24 * 60 * 60 * 1000;
+  const bought = [];
+  const sold = [];
+  for (const trade of Object.values(offerData)) {
+    const accepted = trade.action?.action === 'accept' || trade.isAccepted;
+    let time = trade.time || trade.actionTimestamp || 0;
+    if (time < 1e12) {
+      time *= 1000;
+    }
+    if (!accepted || time < since) {
+      continue;
+    }
+    const our = trade.dict?.our || {};
+    const their = trade.dict?.their || {};
+    const ourKeys = Object.keys(our).length === 1 ? our[KEY_SKU] : undefined;
+    const theirKeys = Object.keys(their).length === 1 ? their[KEY_SKU] : undefined;
+    if (ourKeys > 0) {
+      const metal = metalOnly(their);
+      if (metal > 0) {
+        sold.push(metal / ourKeys);
+      }
+    } else if (theirKeys > 0) {
+      const metal = metalOnly(our);
+      if (metal > 0) {
+        bought.push(metal / theirKeys);
+      }
+    }
+  }
+  if (bought.length === 0 && sold.length === 0) {
+    throw new Error('No recent key trades.');
+  }
+  return {
+    buy: bought.length > 0 ? median(bought) : null,
+    sell: sold.length > 0 ? median(sold) : null,
+  };
+}
+
+const SOURCES = { bptf: fromBptf, listings: fromListings, scm: fromScm, trades: fromTrades };
+
+// Weighted median of one side, then again without the sources too far from it.
+function combine(values, maxDeviation) {
+  if (values.length === 0) {
+    return { value: null, used: new Set() };
+  }
+  const first = weightedMedian(values);
+  const kept = values.filter((v) => Math.abs(v.metal - first) / first <= maxDeviation);
+  return { value: weightedMedian(kept), used: new Set(kept.map((v) => v.source)) };
+}
+
+/**
+ * Computes the key price from every source with a weight above 0.
+ * @param {object} opts
+ * @param {object} opts.db - pg-promise database instance.
+ * @param {object} opts.externalPricelist - Cached backpack.tf IGetPrices response.
+ * @param {string} [opts.pollDataPath] - polldata.json of our bot.
+ * @param {object} opts.options - keyPriceConsensus from config.json.
+ * @param {boolean} [opts.cacheOnly] - Only use cached SCM prices, as in a dry run.
+ * @returns {Promise<{buy: number, sell: number, sources: object[]}>} - Consensus buy and sell
+ *   in refined, and per source its values, weight, whether each side was used and any error.
+ */
+async function getKeyPriceConsensus({
+  db,
+  externalPricelist,
+  pollDataPath,
+  options,
+  cacheOnly = false,
+}) {
+  const weights = options.weights || {};
+  const maxDeviation = options.maxDeviation ?? 0.05;
+  const names = Object.keys(SOURCES).filter((name) => (weights[name] ?? 0) > 0);
+
+  const sources = await Promise.all(
+    names.map(async (name) => {
+      const source = { source: name, weight: weights[name], buy: null, sell: null, error: null };
+      try {
+        const { buy, sell } = await SOURCES[name]({
+          db,
+          externalPricelist,
+          pollDataPath,
+          options,
+          cacheOnly,
+        });
+        source.buy = buy === null ? null : Currency.fromMetal(buy).metal;
+        source.sell = sell === null ? null : Currency.fromMetal(sell).metal;
+      } catch (err) {
+        source.error = err.message;
+      }
+      return source;
+    })
+  );
+
+  const side = (key) =>
+    combine(
+      sources
+        .filter((s) => s[key] > 0)
+        .map((s) => ({ source: s.source, metal: s[key], weight: s.weight })),
+      maxDeviation
+    );
+  const buy = side('buy');
+  const sell = side('sell');
+  if (buy.value === null || sell.value === null) {
+    throw new Error(
+      `No key price source was available (${sources.map((s) => `${s.source}: ${s.error}`).join(', ')}).`
+    );
+  }
+  for (const source of sources) {
+    source.buyUsed = buy.used.has(source.source);
+    source.sellUsed = sell.used.has(source.source);
+  }
+
+  const sellMetal = Currency.fromMetal(sell.value).metal;
+  return {
+    // Never buy keys for more than we sell them.
+    buy: Math.min(Currency.fromMetal(buy.value).metal, sellMetal),
+    sell: sellMetal,
+    sources,
+  };
+}
+
+/**
+ * Records a consensus run in tf2.key_price_sources, one row per source plus one for the
+ * consensus itself.
+ * @param {object} pgp - pg-promise instance.
+ * @param {object} db - pg-promise database instance.
+ * @param {object} consensus - Result of getKeyPriceConsensus.
+ */
+async function saveKeyPriceSources(pgp, db, consensus) {
+  const createdAt = new Date();
+  const rows = [
+    ...consensus.sources.map((s) => ({
+      source: s.source,
+      buy_metal: s.buy,
+      sell_metal: s.sell,
+      weight: s.weight,
+      buy_used: s.buyUsed,
+      sell_used: s.sellUsed,
+      error: s.error,
+      created_at: createdAt,
+    })),
+    {
+      source: 'consensus',
+      buy_metal: consensus.buy,
+      sell_metal: consensus.sell,
+      weight: null,
+      buy_used: true,
+      sell_used: true,
+      error: null,
+      created_at: createdAt,
+    },
+  ];
+  const cs = new pgp.helpers.ColumnSet(
+    ['source', 'buy_metal', 'sell_metal', 'weight', 'buy_used', 'sell_used', 'error', 'created_at'],
+    { table: 'key_price_sources' }
+  );
+  await db.none(pgp.helpers.insert(rows, cs));
+}
+
+// Rows of the latest consensus run.
+async function getLatestKeyPriceSources(db) {
+  return db.any(
+    `SELECT * FROM key_price_sources
+     WHERE created_at = (SELECT MAX(created_at) FROM key_price_sources)
+     ORDER BY source = 'consensus', source`
+  );
+}
+
+// Sell values of every source over the last `days` days, oldest first.
+async function getKeyPriceSourceHistory(db, days = 14) {
+  return db.any(
+    `SELECT source, sell_metal, created_at FROM key_price_sources
+     WHERE created_at > NOW() - $1 * INTERVAL '1 day'
+     ORDER BY created_at ASC`,
+    [days]
+  );
+}
+
+async function cleanupOldKeyPriceSources(db) {
+  try {
+    await db.none("DELETE FROM key_price_sources WHERE created_at < NOW() - INTERVAL '30 days'");
+  } catch {
+    console.error('Error cleaning up old key price sources');
+  }
+}
+
+module.exports = {
+  SOURCE_NAMES: Object.keys(SOURCES),
+  getKeyPriceConsensus,
+  saveKeyPriceSources,
+  getLatestKeyPriceSources,
+  getKeyPriceSourceHistory,
+  cleanupOldKeyPriceSources,
+};
@@ -1,3 +1,6 @@
+const { Currency } = require('./currency');
+const { getPriceLock, applyPriceLock } = require('./priceLocks');
+
 async function insertKeyPrice(db, keyobj, buyPrice, sellPrice, timestamp) {
   const lowerBound = keyobj.metal * 0.7; // 30% lower than the key's metal value
   const upperBound = keyobj.metal * 1.3; // 30% higher than the key's metal value
@@ -38,6 +41,7 @@ function sendPriceAlert(message) {
 }
 
 async function adjustPrice({
+  db,
   name,
   sku,
   newBuyPrice,
@@ -49,7 +53,7 @@ async function adjustPrice({
   try {
     const timestamp = Math.floor(Date.now() / 1000);
 
-    const updatedItem = {
+    let updatedItem = {
       name: name,
       sku: sku,
       source: 'bptf',
@@ -64,10 +68,19 @@ async function adjustPrice({
       time: timestamp,
     };
 
+    // Manually locked sides are kept.
+    const lock = db ? await getPriceLock(db, sku) : null;
+    if (lock) {
+      updatedItem = applyPriceLock(updatedItem, lock, newSellPrice);
+    }
+
     Methods.addToPricelist(updatedItem, PRICELIST_PATH);
     socketIO.emit('price', updatedItem);
 
-    console.log(`Price for ${name} updated. Buy: ${newBuyPrice}, Sell: ${newSellPrice}`);
+    console.log(
+      `Price for ${name} updated. Buy: ${updatedItem.buy.metal}, Sell: ${updatedItem.sell.metal}` +
+        (lock ? ` (locked by ${lock.created_by})` : '')
+    );
   } catch {
     console.error('Error adjusting price');
   }
@@ -121,94 +134,87 @@ async function checkKeyPriceStability({ db, Methods, adjustPrice, sendPriceAlert
     const sellDelta = sellA - sellB;
     const buyDelta = buyA - buyB;
 
-    let rawSell = sellA;
-    let rawBuy = buyA;
-    const MIN_STEP = 0.33;
+    // Work in whole scrap from here on, so the spread checks below are exact.
+    let sell = Currency.fromMetal(sellA);
+    let buy = Currency.fromMetal(buyA);
+    const ONE_SCRAP = Currency.fromScrap(1);
+    const MIN_STEP = Currency.fromMetal(0.33);
+    // Keep buy at least MIN_STEP below sell.
+    const keepMinStep = () => {
+      if (sell.subtract(buy).compare(MIN_STEP) < 0) {
+        buy = sell.subtract(MIN_STEP);
+      }
+    };
 
     if (Math.abs(sellDelta) > CHANGE_THRESHOLD) {
-      rawSell += sellDelta > 0 ? +0.11 : -0.11;
-      let roundedSell = Methods.getRight(rawSell);
-      let roundedBuy = Methods.getRight(rawBuy);
-
-      if (roundedSell - roundedBuy < MIN_STEP) {
-        rawBuy = rawSell - MIN_STEP;
-        roundedBuy = Methods.getRight(rawBuy);
-      }
+      sell = sellDelta > 0 ? sell.add(ONE_SCRAP) : sell.subtract(ONE_SCRAP);
+      keepMinStep();
 
       await adjustPrice({
+        db,
         name: 'Mann Co. Supply Crate Key',
         sku: '5021;6',
-        newBuyPrice: roundedBuy,
-        newSellPrice: roundedSell,
+        newBuyPrice: buy.metal,
+        newSellPrice: sell.metal,
         Methods,
         PRICELIST_PATH: './files/pricelist.json',
         socketIO,
       });
       return sendPriceAlert(
-        `3h sell avg moved by ${sellDelta.toFixed(2)} → adjusting to ${roundedSell}`
+        `3h sell avg moved by ${sellDelta.toFixed(2)} → adjusting to ${sell.metal}`
       );
     }
 
     if (Math.abs(buyDelta) > CHANGE_THRESHOLD) {
-      rawBuy += buyDelta > 0 ? -0.11 : +0.11;
-      let roundedSell = Methods.getRight(rawSell);
-      let roundedBuy = Methods.getRight(rawBuy);
-
-      if (roundedSell - roundedBuy < MIN_STEP) {
-        rawBuy = rawSell - MIN_STEP;
-        roundedBuy = Methods.getRight(rawBuy);
-      }
+      buy = buyDelta > 0 ? buy.subtract(ONE_SCRAP) : buy.add(ONE_SCRAP);
+      keepMinStep();
 
       await adjustPrice({
+        db,
         name: 'Mann Co. Supply Crate Key',
         sku: '5021;6',
-        newBuyPrice: roundedBuy,
-        newSellPrice: roundedSell,
+        newBuyPrice: buy.metal,
+        newSellPrice: sell.metal,
         Methods,
         PRICELIST_PATH: './files/pricelist.json',
         socketIO,
       });
       return sendPriceAlert(
-        `3h buy avg moved by ${buyDelta.toFixed(2)} → adjusting to ${roundedBuy}`
+        `3h buy avg moved by ${buyDelta.toFixed(2)} → adjusting to ${buy.metal}`
       );
     }
 
-    const tempRoundedSell = Methods.getRight(rawSell);
-    const tempRoundedBuy = Methods.getRight(rawBuy);
-
-    if (tempRoundedSell - tempRoundedBuy <= MIN_STEP) {
-      rawBuy = rawSell - MIN_STEP;
-      const roundedBuy = Methods.getRight(rawBuy);
-      const roundedSell = Methods.getRight(rawSell);
+    const spread = sell.subtract(buy);
+    if (spread.compare(MIN_STEP) <= 0) {
+      buy = sell.subtract(MIN_STEP);
       await adjustPrice({
+        db,
         name: 'Mann Co. Supply Crate Key',
         sku: '5021;6',
-        newBuyPrice: roundedBuy,
-        newSellPrice: roundedSell,
+        newBuyPrice: buy.metal,
+        newSellPrice: sell.metal,
         Methods,
         PRICELIST_PATH: './files/pricelist.json',
         socketIO,
       });
       return sendPriceAlert(
-        `Spread too tight (${(roundedSell - Methods.getRight(rawBuy + MIN_STEP)).toFixed(2)}); ` +
-          `forcing buy to ${roundedBuy} so buy + ${MIN_STEP.toFixed(2)} ≤ sell (${roundedSell}).`
+        `Spread too tight (${spread.metal}); ` +
+          `forcing buy to ${buy.metal} so buy + ${MIN_STEP.metal} ≤ sell (${sell.metal}).`
       );
     }
 
-    const roundedSell = Methods.getRight(rawSell);
-    const roundedBuy = Methods.getRight(rawBuy);
-
     await adjustPrice({
+      db,
       name: 'Mann Co. Supply Crate Key',
       sku: '5021;6',
-      newBuyPrice: roundedBuy,
-      newSellPrice: roundedSell,
+      newBuyPrice: buy.metal,
+      newSellPrice: sell.metal,
       Methods,
       PRICELIST_PATH: './files/pricelist.json',
       socketIO,
     });
     console.log(
-      `Stable over last 6h (windows avg buy=${roundedBuy}, sell=${roundedSell}). Change delta for buy=${buyDelta} and change delta for sell=${sellDelta}`
+      `Stable over last 6h (windows avg buy=${buy.metal}, sell=${sell.metal}). Change delta for buy=${buyDelta} and change delta for sell=${sellDelta}`
     );
   } catch (err) {
     console.error('Error checking key price stability:', err);
@@ -0,0 +1,153 @@
+// Killstreak variants. Every weapon can carry a Killstreak, Specialized Killstreak or
+// Professional Killstreak kit, and bptf doesn't price these variants, so their names are
+// generated from the schema. A variant with enough listings of its own is priced from them
+// like any other item. The others get the price of their base item plus the premium a kit of
+// their tier currently adds: the median difference between the listing based price of a
+// variant and the price of its base item, over every variant of the tier priced from listings.
+// Prices derived this way carry `derived` in the pricelist and never count towards a premium.
+
+const { Currency } = require('./currency');
+
+const KILLSTREAK_TIERS = {
+  1: 'Killstreak',
+  2: 'Specialized Killstreak',
+  3: 'Professional Killstreak',
+};
+
+const WEAPON_SLOTS = new Set(['primary', 'secondary', 'melee']);
+
+// Unusual and Decorated weapons are priced by effect and skin, not by kit.
+const EXCLUDED_QUALITIES = new Set([5, 15]);
+
+// Tier of a killstreak SKU, or null.
+function killstreakTier(sku) {
+  const part = sku?.split(';').find((p) => p.startsWith('kt-'));
+  return part ? Number(part.slice(3)) : null;
+}
+
+// SKU of the same item without its kit.
+function killstreakBaseSku(sku) {
+  return sku
+    .split(';')
+    .filter((p) => !p.startsWith('kt-'))
+    .join(';');
+}
+
+// Whether an item, as a schema item object, can have a kit applied.
+function isKillstreakable(schema, item) {
+  if (
+    !item ||
+    item.killstreak ||
+    item.effect ||
+    item.paintkit ||
+    item.wear ||
+    item.target ||
+    item.output ||
+    EXCLUDED_QUALITIES.has(item.quality)
+  ) {
+    return false;
+  }
+  const schemaItem = schema.getItemByDefindex(item.defindex);
+  return Boolean(
+    schemaItem &&
+      WEAPON_SLOTS.has(schemaItem.item_slot) &&
+      /^(tf_weapon|saxxy)/.test(schemaItem.item_class || '')
+  );
+}
+
+/**
+ * Generates the killstreak variants of the killstreakable items among `baseNames`.
+ * @param {object} schema - schemaManager.schema.
+ * @param {string[]} baseNames - Item names, e.g. every name priced on bptf.
+ * @returns {Array<{name: string, sku: string, tier: number, baseSku: string}>}
+ */
+function getKillstreakVariants(schema, baseNames) {
+  const variants = new Map();
+  for (const baseName of baseNames) {
+    let item;
+    try {
+      item = schema.getItemObjectFromName(baseName);
+    } catch {
+      continue;
+    }
+    if (!isKillstreakable(schema, item)) {
+      continue;
+    }
+    for (const tier of Object.keys(KILLSTREAK_TIERS).map(Number)) {
+      const name = schema.getName({ ...item, killstreak: tier }, false);
+      const sku = name && schema.getSkuFromName(name);
+      if (sku && killstreakTier(sku) === tier && !variants.has(sku)) {
+        variants.set(sku, { name, sku, tier, baseSku: killstreakBaseSku(sku) });
+      }
+    }
+  }
+  return [...variants.values()];
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * The premium of each tier, in refined, from the variants priced from their own listings.
+ * @param {Map<string, object>} prices - Pricelist items by SKU.
+ * @param {number} keyMetal - Key price in refined.
+ * @param {object} [options]
+ * @param {number} [options.minSamples=5] - Listing priced variants a tier needs for a premium.
+ * @returns {Map<number, {buy: number, sell: number, samples: number}>}
+ */
+function getKillstreakPremiums(prices, keyMetal, { minSamples = 5 } = {}) {
+  const differences = new Map();
+  for (const [sku, item] of prices) {
+    const tier = killstreakTier(sku);
+    const base = tier && !item.derived ? prices.get(killstreakBaseSku(sku)) : null;
+    if (!base) {
+      continue;
+    }
+    const metal = (price) => Currency.fromObject(price, { keyPrice: keyMetal }).toMetal(keyMetal);
+    if (!differences.has(tier)) {
+      differences.set(tier, { buy: [], sell: [] });
+    }
+    differences.get(tier).buy.push(metal(item.buy) - metal(base.buy));
+    differences.get(tier).sell.push(metal(item.sell) - metal(base.sell));
+  }
+
+  const premiums = new Map();
+  for (const [tier, { buy, sell }] of differences) {
+    if (buy.length >= minSamples) {
+      // A kit never makes a weapon worth less.
+      const premium = (values) => Currency.fromMetal(Math.max(0, median(values))).metal;
+      premiums.set(tier, { buy: premium(buy), sell: premium(sell), samples: buy.length });
+    }
+  }
+  return premiums;
+}
+
+/**
+ * The price of a variant as its base item's price plus the premium of its tier.
+ * @param {object} base - Pricelist item of the base item.
+ * @param {{buy: number, sell: number}} premium - From getKillstreakPremiums.
+ * @param {number} keyMetal - Key price in refined.
+ * @returns {Array<{keys: number, metal: number}>} - [buy, sell], as determinePrice returns.
+ */
+function deriveKillstreakPrice(base, premium, keyMetal) {
+  const side = (price, extra) =>
+    Currency.fromObject(price, { keyPrice: keyMetal })
+      .toPureMetal(keyMetal)
+      .add(Currency.fromMetal(extra))
+      .normalise(keyMetal)
+      .toObject();
+  return [side(base.buy, premium.buy), side(base.sell, premium.sell)];
+}
+
+module.exports = {
+  KILLSTREAK_TIERS,
+  killstreakTier,
+  killstreakBaseSku,
+  isKillstreakable,
+  getKillstreakVariants,
+  getKillstreakPremiums,
+  deriveKillstreakPrice,
+};
@@ -275,6 +275,10 @@ module.exports = function renderPage(title, bodyContent) {
           <a href="/">📋 Price List</a>
           <a href="/bounds">⚖️ Price Bounds</a>
           <a href="/key-prices">🔑 Key Prices</a>
+          <a href="/reputation">👤 Reputation</a>
+          <a href="/quarantine">🚧 Quarantine</a>
+          <a href="/locks">🔒 Price Locks</a>
+          <a href="/variants">🎨 Variants</a>
           <a href="/pnl">💰 P&L Analysis</a>
           <a href="/trades">📊 Trade History</a>
           <a href="/logs">📝 Logs</a>
@@ -0,0 +1,148 @@
+// Append-only archive of the listing-update and listing-delete events handled by the bptf
+// websocket. Unlike tf2.listings, rows here are never updated: every event is a new row.
+// tf2.listing_history is partitioned by day on event_time, so retention is a matter of
+// dropping whole partitions.
+
+const PARTITION_PREFIX = 'listing_history_';
+
+// Partitions are created this many days ahead so inserts never have to wait for one.
+const DAYS_AHEAD = 2;
+
+const toPartitionDay = (date) => date.toISOString().slice(0, 10);
+
+function partitionName(day) {
+  return PARTITION_PREFIX + day.replace(/-/g, '');
+}
+
+/**
+ * Creates the daily partitions from today up to DAYS_AHEAD days ahead, if missing.
+ * @param {object} db - pg-promise database instance.
+ */
+async function ensurePartitions(db) {
+  const today = new Date();
+  for (let i = 0; i <= DAYS_AHEAD; i++) {
+    const from = new Date(
+      Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i)
+    );
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    const name = partitionName(toPartitionDay(from));
+    try {
+      await db.none(
+        'CREATE TABLE IF NOT EXISTS $1:name PARTITION OF listing_history FOR VALUES FROM ($2) TO ($3)',
+        [name, from.toISOString(), to.toISOString()]
+      );
+    } catch (err) {
+      // Happens when the default partition already holds rows for that day, which then
+      // simply stay in the default partition.
+      console.warn(`Could not create listing history partition ${name}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Drops the daily partitions older than the retention period. Rows that ended up in the
+ * default partition are deleted instead.
+ * @param {object} db - pg-promise database instance.
+ * @param {number} retentionDays - Number of days of history to keep.
+ */
+async function dropExpiredPartitions(db, retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const cutoffName = partitionName(toPartitionDay(cutoff));
+  const partitions = await db.any(
+    `SELECT c.relname AS name FROM pg_inherits inherits
+     JOIN pg_class c ON c.oid = inherits.inhrelid
+     JOIN pg_class p ON p.oid = inherits.inhparent
+     WHERE p.relname = 'listing_history' AND c.relname LIKE $1`,
+    [PARTITION_PREFIX + '%']
+  );
+  for (const { name } of partitions) {
+    // Daily partitions sort by name, so anything before the cutoff day has expired.
+    if (/^listing_history_\d{8}$/.test(name) && name < cutoffName) {
+      await db.none('DROP TABLE IF EXISTS $1:name', [name]);
+      console.log(`Dropped expired listing history partition ${name}.`);
+    }
+  }
+  await db.none('DELETE FROM listing_history_default WHERE event_time < $1', [
+    cutoff.toISOString(),
+  ]);
+}
+
+/**
+ * Creates upcoming partitions and drops expired ones. Run on startup and periodically.
+ * @param {object} db - pg-promise database instance.
+ * @param {object} options - The listingHistory section of config.json.
+ * @param {number} [options.retentionDays=30] - Number of days of history to keep.
+ */
+async function maintainListingHistory(db, { retentionDays = 30 } = {}) {
+  try {
+    await ensurePartitions(db);
+    await dropExpiredPartitions(db, retentionDays);
+  } catch (err) {
+    console.error('Error maintaining listing history partitions:', err.message);
+  }
+}
+
+/**
+ * Appends a batch of websocket events to the archive.
+ * @param {object} pgp - pg-promise library instance.
+ * @param {object} db - pg-promise database instance.
+ * @param {object[]} events - Events of the form
+ *   { event, time, name, sku, intent, steamid, currencies, listedAt, dropped }, where
+ *   `dropped` is why the pricer left the listing out, if it did.
+ */
+async function archiveListingEvents(pgp, db, events) {
+  if (events.length === 0) {
+    return;
+  }
+  const cs = new pgp.helpers.ColumnSet(
+    [
+      'event_time',
+      'event',
+      'name',
+      'sku',
+      'intent',
+      'steamid',
+      { name: 'currencies', mod: ':json' },
+      'listed_at',
+      'dropped',
+    ],
+    { table: 'listing_history' }
+  );
+  const values = events.map((e) => ({
+    event_time: new Date(e.time).toISOString(),
+    event: e.event,
+    name: e.name,
+    sku: e.sku ?? null,
+    intent: e.intent,
+    steamid: e.steamid,
+    currencies: e.currencies ?? null,
+    listed_at: e.listedAt ?? null,
+    dropped: e.dropped ?? null,
+  }));
+  await db.none(pgp.helpers.insert(values, cs));
+}
+
+/**
+ * Reads the archived events of a SKU the pricer priced from within a time range, oldest
+ * first.
+ * @param {object} db - pg-promise database instance.
+ * @param {string} sku - Item SKU.
+ * @param {Date} from - Start of the range (inclusive).
+ * @param {Date} to - End of the range (exclusive).
+ * @returns {Promise<object[]>} - Archived events.
+ */
+async function getListingHistory(db, sku, from, to) {
+  return db.any(
+    `SELECT event_time, event, name, sku, intent, steamid, currencies, listed_at
+     FROM listing_history
+     WHERE sku = $1 AND dropped IS NULL AND event_time >= $2 AND event_time < $3
+     ORDER BY event_time ASC`,
+    [sku, from.toISOString(), to.toISOString()]
+  );
+}
+
+module.exports = {
+  maintainListingHistory,
+  archiveListingEvents,
+  getListingHistory,
+};
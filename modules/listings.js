@@ -2,6 +2,11 @@ const getListings = async (db, name, intent) => {
   return await db.result('SELECT * FROM listings WHERE name = $1 AND intent = $2', [name, intent]);
 };
 
+// Listings of every item in `names`, both sides, in one query.
+const getListingsByNames = async (db, names) => {
+  return db.any('SELECT * FROM listings WHERE name = ANY($1)', [names]);
+};
+
 const insertListingsBatch = async (
   pgp,
   db,
@@ -98,134 +103,48 @@ const deleteRemovedListing = async (db, updateListingStats, steamid, name, inten
 
 const HARD_MAX_AGE_SECONDS = 5 * 24 * 60 * 60; // 5 days
 
+// Listings are kept for less time the more listings an item usually has on a side:
+// [more than this many listings on average, maximum age in seconds].
+const LISTING_AGE_BANDS = [
+  [10, 120 * 60], // very active
+  [8, 4 * 3600], // active
+  [6, 8 * 3600], // moderately active
+  [4, 48 * 3600], // somewhat active
+  [2, 5 * 24 * 3600], // low activity
+];
+const RARE_MAX_AGE_SECONDS = 7 * 24 * 3600;
+
+// Maximum listing age for the moving average listing count in `column`, as SQL.
+const maxAgeSql = (column) =>
+  `CASE ${LISTING_AGE_BANDS.map(([count, age]) => `WHEN ${column} > ${count} THEN ${age}`).join(' ')} ELSE ${RARE_MAX_AGE_SECONDS} END`;
+
+// Deletes the listings older than their item's band allows, for every SKU and side in a single
+// statement, then any listing past the hard maximum age. Returns the number deleted.
 const deleteOldListings = async (db) => {
-  const stats = await db.any(
-    'SELECT sku, moving_avg_buy_count, moving_avg_sell_count FROM listing_stats'
-  );
-  const buyBands = {
-    veryActive: [],
-    active: [],
-    moderatelyActive: [],
-    somewhatActive: [],
-    lowActive: [],
-    rare: [],
-  };
-  const sellBands = {
-    veryActive: [],
-    active: [],
-    moderatelyActive: [],
-    somewhatActive: [],
-    lowActive: [],
-    rare: [],
-  };
-
-  for (const row of stats) {
-    // Buy bands
-    if (row.moving_avg_buy_count > 10) {
-      buyBands.veryActive.push(row.sku);
-    } else if (row.moving_avg_buy_count > 8) {
-      buyBands.active.push(row.sku);
-    } else if (row.moving_avg_buy_count > 6) {
-      buyBands.moderatelyActive.push(row.sku);
-    } else if (row.moving_avg_buy_count > 4) {
-      buyBands.somewhatActive.push(row.sku);
-    } else if (row.moving_avg_buy_count > 2) {
-      buyBands.lowActive.push(row.sku);
-    } else {
-      buyBands.rare.push(row.sku);
-    }
-
-    // Sell bands
-    if (row.moving_avg_sell_count > 10) {
-      sellBands.veryActive.push(row.sku);
-    } else if (row.moving_avg_sell_count > 8) {
-      sellBands.active.push(row.sku);
-    } else if (row.moving_avg_sell_count > 6) {
-      sellBands.moderatelyActive.push(row.sku);
-    } else if (row.moving_avg_sell_count > 4) {
-      sellBands.somewhatActive.push(row.sku);
-    } else if (row.moving_avg_sell_count > 2) {
-      sellBands.lowActive.push(row.sku);
-    } else {
-      sellBands.rare.push(row.sku);
-    }
-  }
-
-  // Now delete buy listings by their bands
-  for (const [band, skus] of Object.entries(buyBands)) {
-    if (skus.length === 0) {
-      continue;
-    }
-    let age;
-    switch (band) {
-      case 'veryActive':
-        age = 120 * 60;
-        break;
-      case 'active':
-        age = 4 * 3600;
-        break;
-      case 'moderatelyActive':
-        age = 8 * 3600;
-        break;
-      case 'somewhatActive':
-        age = 48 * 3600;
-        break;
-      case 'lowActive':
-        age = 5 * 24 * 3600;
-        break;
-      case 'rare':
-        age = 7 * 24 * 3600;
-        break;
-    }
-    await db.none(
-      "DELETE FROM listings WHERE sku IN ($1:csv) AND intent = 'buy' AND EXTRACT(EPOCH FROM NOW() - to_timestamp(updated)) >= $2",
-      [skus, age]
+  return db.tx(async (t) => {
+    const banded = await t.result(
+      `DELETE FROM listings l
+       USING listing_stats s
+       WHERE l.sku = s.sku
+         AND l.updated <= EXTRACT(EPOCH FROM NOW()) - CASE WHEN l.intent = 'buy'
+           THEN ${maxAgeSql('s.moving_avg_buy_count')}
+           ELSE ${maxAgeSql('s.moving_avg_sell_count')} END`
     );
-  }
-
-  // Now delete sell listings by their bands
-  for (const [band, skus] of Object.entries(sellBands)) {
-    if (skus.length === 0) {
-      continue;
-    }
-    let age;
-    switch (band) {
-      case 'veryActive':
-        age = 120 * 60;
-        break;
-      case 'active':
-        age = 4 * 3600;
-        break;
-      case 'moderatelyActive':
-        age = 8 * 3600;
-        break;
-      case 'somewhatActive':
-        age = 48 * 3600;
-        break;
-      case 'lowActive':
-        age = 5 * 24 * 3600;
-        break;
-      case 'rare':
-        age = 7 * 24 * 3600;
-        break;
-    }
-    await db.none(
-      "DELETE FROM listings WHERE sku IN ($1:csv) AND intent = 'sell' AND EXTRACT(EPOCH FROM NOW() - to_timestamp(updated)) >= $2",
-      [skus, age]
+    // Fail safe: delete any listing older than the hard max age
+    const expired = await t.result(
+      'DELETE FROM listings WHERE updated <= EXTRACT(EPOCH FROM NOW()) - $1',
+      [HARD_MAX_AGE_SECONDS]
     );
-  }
-
-  // Fail safe: delete any listing older than the hard max age
-  await db.none(
-    'DELETE FROM listings WHERE EXTRACT(EPOCH FROM NOW() - to_timestamp(updated)) >= $1',
-    [HARD_MAX_AGE_SECONDS]
-  );
+    return banded.rowCount + expired.rowCount;
+  });
 };
 
 module.exports = {
   getListings,
+  getListingsByNames,
   insertListing,
   insertListingsBatch,
   deleteRemovedListing,
   deleteOldListings,
+  HARD_MAX_AGE_SECONDS,
 };
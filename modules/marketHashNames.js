@@ -0,0 +1,190 @@
+// Steam Community Market hash names of items, and the items they name, from the schema. The
+// schema's SCM format takes care of "The", qualities, killstreaks, festivizers, australiums,
+// crate series, kits, strangifiers and other chemistry set outputs, skins and their wear.
+// SCM doesn't tell apart what isn't part of a market hash name, so an item and its market
+// hash name only round trip as its market SKU:
+//  - unusual effects, as SCM lists every unusual of an item as "Unusual <item>",
+//  - Non-Craftable and Non-Tradable items, listed as their craftable version,
+//  - paint and craft numbers.
+// Unusual effect names come from unusualEffects.js, to describe what a market SKU dropped.
+
+const EFFECTS = require('./unusualEffects');
+
+// SKU attributes in the order the tf2-sku format writes them, with the item field each sets.
+const SKU_ATTRIBUTES = [
+  { prefix: 'u', field: 'effect' },
+  { flag: 'australium', field: 'australium' },
+  { flag: 'uncraftable', field: 'craftable', value: false },
+  { flag: 'untradable', field: 'tradable', value: false },
+  { prefix: 'w', field: 'wear' },
+  { prefix: 'pk', field: 'paintkit' },
+  { flag: 'strange', field: 'quality2', value: 11 },
+  { prefix: 'kt-', field: 'killstreak' },
+  { prefix: 'td-', field: 'target' },
+  { flag: 'festive', field: 'festive' },
+  { prefix: 'n', field: 'craftnumber' },
+  { prefix: 'c', field: 'crateseries' },
+  { prefix: 'od-', field: 'output' },
+  { prefix: 'oq-', field: 'outputQuality' },
+  { prefix: 'p', field: 'paint' },
+];
+
+/**
+ * Parses a SKU into the item object the schema names items from.
+ * @param {string} sku - E.g. `205;11;australium;kt-3;festive`.
+ * @returns {object|null} - Null when the SKU has no defindex and quality.
+ */
+function parseSku(sku) {
+  const [defindex, quality, ...parts] = String(sku).split(';');
+  if (!/^\d+$/.test(defindex) || !/^\d+$/.test(quality)) {
+    return null;
+  }
+  const item = {
+    defindex: Number(defindex),
+    quality: Number(quality),
+    craftable: true,
+    tradable: true,
+    killstreak: 0,
+    australium: false,
+    effect: null,
+    festive: false,
+    paintkit: null,
+    wear: null,
+    quality2: null,
+    craftnumber: null,
+    crateseries: null,
+    target: null,
+    output: null,
+    outputQuality: null,
+    paint: null,
+  };
+  for (const part of parts) {
+    const attribute = SKU_ATTRIBUTES.find((a) =>
+      a.flag
+        ? part === a.flag
+        : part.startsWith(a.prefix) && /^\d+$/.test(part.slice(a.prefix.length))
+    );
+    if (attribute?.flag) {
+      item[attribute.field] = attribute.value ?? true;
+    } else if (attribute) {
+      item[attribute.field] = Number(part.slice(attribute.prefix.length));
+    }
+  }
+  return item;
+}
+
+/**
+ * Writes an item object as a SKU, in the tf2-sku format.
+ * @param {object} item - As parseSku returns.
+ * @returns {string}
+ */
+function stringifySku(item) {
+  let sku = `${item.defindex};${item.quality}`;
+  for (const { flag, prefix, field, value } of SKU_ATTRIBUTES) {
+    const current = item[field];
+    if (flag) {
+      if (current === (value ?? true)) {
+        sku += `;${flag}`;
+      }
+    } else if (current !== null && current !== undefined && current !== 0) {
+      sku += `;${prefix}${current}`;
+    }
+  }
+  return sku;
+}
+
+// The item as SCM lists it. Strange decorated weapons are listed as Strange, the same with and
+// without an effect.
+function toMarketItem(item) {
+  const strangeSkin = item.quality === 15 && item.quality2 === 11;
+  return {
+    ...item,
+    ...(strangeSkin && { quality: 11, quality2: null }),
+    effect: null,
+    craftable: true,
+    tradable: true,
+    paint: null,
+    craftnumber: null,
+  };
+}
+
+/**
+ * The SKU of the item SCM lists an item as, without what a market hash name leaves out.
+ * @param {string} sku
+ * @returns {string|null}
+ */
+function toMarketSku(sku) {
+  const item = parseSku(sku);
+  return item ? stringifySku(toMarketItem(item)) : null;
+}
+
+/**
+ * The market hash name of an item.
+ * @param {string} sku
+ * @param {object} schema - The tf2-schema Schema.
+ * @returns {string|null} - Null for an item the schema doesn't know.
+ */
+function marketHashNameFromSku(sku, schema) {
+  const item = parseSku(sku);
+  if (!item || !schema) {
+    return null;
+  }
+  // The SCM format is URL encoded for the crate series' "#".
+  const name = schema.getName(toMarketItem(item), true, false, true);
+  return name ? name.replace(/%23/g, '#').trim() : null;
+}
+
+/**
+ * The market SKU of the item a market hash name names.
+ * @param {string} marketHashName
+ * @param {object} schema - The tf2-schema Schema.
+ * @returns {string|null} - Null for a name the schema can't place.
+ */
+function skuFromMarketHashName(marketHashName, schema) {
+  try {
+    // The schema names strangifier chemistry sets with their series but can't read it back. The
+    // series comes with the target.
+    const sku = schema.getSkuFromName(marketHashName.replace(/(Chemistry Set) Series #\d+$/, '$1'));
+    return sku && !sku.startsWith('null;') ? toMarketSku(sku) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What the market hash name of a SKU doesn't tell, e.g. `Burning Flames` for `378;5;u701`.
+ * @param {string} sku
+ * @returns {string[]}
+ */
+function describeMarketLoss(sku) {
+  const item = parseSku(sku);
+  if (!item) {
+    return [];
+  }
+  const lost = [];
+  if (item.effect) {
+    lost.push(EFFECTS[item.effect] || `Effect ${item.effect}`);
+  }
+  if (!item.craftable) {
+    lost.push('Non-Craftable');
+  }
+  if (!item.tradable) {
+    lost.push('Non-Tradable');
+  }
+  if (item.paint) {
+    lost.push('Paint');
+  }
+  if (item.craftnumber) {
+    lost.push(`Craft #${item.craftnumber}`);
+  }
+  return lost;
+}
+
+module.exports = {
+  parseSku,
+  stringifySku,
+  toMarketSku,
+  marketHashNameFromSku,
+  skuFromMarketHashName,
+  describeMarketLoss,
+};
@@ -0,0 +1,153 @@
+// Outlier detection shared by the listing filter and the sell price history check. Every
+// method works on plain numbers (prices in refined) and never throws: samples too small to
+// judge have no outliers, and samples with no spread (identical prices) are measured against
+// a minimum spread instead of dividing by zero (zscore only when `minSpread` is set).
+//
+// A method spec is a method name or an object of the form { name, ...options }, set through
+// `outlierMethod` in config.json or an item profile.
+
+const SCRAP = 0.11;
+
+const DEFAULT_METHOD = 'zscore';
+
+const mean = (values) => values.reduce((acc, curr) => acc + curr, 0) / values.length;
+
+// Linear interpolation between closest ranks, `sorted` must be in ascending order.
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  return sorted[base + 1] !== undefined
+    ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+    : sorted[base];
+}
+
+const median = (values) =>
+  quantile(
+    [...values].sort((a, b) => a - b),
+    0.5
+  );
+
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((acc, curr) => acc + Math.pow(curr - avg, 2), 0) / values.length);
+};
+
+// Smallest spread a sample is treated as having: one scrap, or 1% of the typical price for
+// anything worth more than 11 refined.
+const minSpread = (centre, options) =>
+  options.minSpread ?? Math.max(SCRAP, Math.abs(centre) * 0.01);
+
+// Each method returns the range of values it accepts for a sample.
+
+// Mean ± threshold population standard deviations. The original filter, so it only has a
+// spread floor when `minSpread` is set: without one, a sample of identical prices accepts
+// only that price, as it always did.
+function zscore(values, options) {
+  const centre = mean(values);
+  const spread =
+    options.minSpread === undefined ? stdDev(values) : Math.max(stdDev(values), options.minSpread);
+  const threshold = options.threshold ?? 3;
+  return { low: centre - threshold * spread, high: centre + threshold * spread };
+}
+
+// Tukey fences: outside the quartiles by more than `k` interquartile ranges.
+function iqr(values, options) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const range = Math.max(q3 - q1, minSpread(quantile(sorted, 0.5), options));
+  const k = options.k ?? 1.5;
+  return { low: q1 - k * range, high: q3 + k * range };
+}
+
+// Median ± threshold scaled median absolute deviations (the modified z-score). The scaling
+// makes the MAD comparable to a standard deviation for normally distributed prices.
+function mad(values, options) {
+  const centre = median(values);
+  const deviation = median(values.map((v) => Math.abs(v - centre))) * 1.4826;
+  const spread = Math.max(deviation, minSpread(centre, options));
+  const threshold = options.threshold ?? 3.5;
+  return { low: centre - threshold * spread, high: centre + threshold * spread };
+}
+
+// Mean and standard deviation of the sample with the `trim` fraction cut off each end, so
+// the values being judged don't drag the reference towards themselves.
+function trimmed(values, options) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const cut = Math.floor(sorted.length * (options.trim ?? 0.2));
+  const kept = cut > 0 ? sorted.slice(cut, sorted.length - cut) : sorted;
+  const centre = mean(kept);
+  const spread = Math.max(stdDev(kept), minSpread(centre, options));
+  const threshold = options.threshold ?? 3;
+  return { low: centre - threshold * spread, high: centre + threshold * spread };
+}
+
+const METHODS = { zscore, iqr, mad, trimmed };
+
+// Unknown method names already warned about. Config loading rejects them, see
+// configValidation.js, so this only covers specs that didn't come through it.
+const warnedMethods = new Set();
+
+/**
+ * Resolves an outlier method spec from config.json or item_list.json. Unknown names fall
+ * back to the default method with a warning, once per name, as outlier detection must never
+ * stop pricing.
+ * @param {string|object} [spec] - Method spec, defaults to zscore when omitted.
+ * @returns {{name: string, options: object, bounds: Function}} - The resolved method.
+ *   `bounds(values)` returns the accepted { low, high } range, or null when the sample has
+ *   fewer than `minSamples` (3 by default) values.
+ */
+function resolveOutlierMethod(spec) {
+  let { name = DEFAULT_METHOD, ...options } =
+    typeof spec === 'string' ? { name: spec } : spec || {};
+  if (!METHODS[name]) {
+    if (!warnedMethods.has(name)) {
+      warnedMethods.add(name);
+      console.warn(`Unknown outlier method: ${name}, using ${DEFAULT_METHOD}.`);
+    }
+    name = DEFAULT_METHOD;
+  }
+  const fn = METHODS[name];
+  const minSamples = Math.max(2, options.minSamples ?? 3);
+  return {
+    name,
+    options,
+    bounds: (values) => {
+      const finite = values.filter((v) => Number.isFinite(v));
+      return finite.length < minSamples ? null : fn(finite, options);
+    },
+  };
+}
+
+/**
+ * Splits values into those kept and those flagged as outliers of the sample they form.
+ * @param {number[]} values - Sample to check.
+ * @param {string|object} [spec] - Outlier method spec.
+ * @returns {boolean[]} - Whether each value is an outlier, in the order given.
+ */
+function findOutliers(values, spec) {
+  const range = resolveOutlierMethod(spec).bounds(values);
+  return values.map((v) => !!range && (!Number.isFinite(v) || v < range.low || v > range.high));
+}
+
+/**
+ * Checks a single value against a reference sample, e.g. a new sell price against the
+ * recent price history.
+ * @param {number[]} sample - Reference values.
+ * @param {number} value - Value to check.
+ * @param {string|object} [spec] - Outlier method spec.
+ * @returns {boolean} - True when the value is an outlier.
+ */
+function isOutlier(sample, value, spec) {
+  const range = resolveOutlierMethod(spec).bounds(sample);
+  return !!range && (value < range.low || value > range.high);
+}
+
+module.exports = {
+  DEFAULT_METHOD,
+  METHOD_NAMES: Object.keys(METHODS),
+  resolveOutlierMethod,
+  findOutliers,
+  isOutlier,
+};
@@ -0,0 +1,128 @@
+// Confidence in a published price, from 0 to 1, with the source of the price and what the score
+// is based on, so bots and the web UI can treat a weak price differently from a strong one.
+// A price from listings scores on how many listings back it, the spread between its buy and
+// sell price, how far the listings disagree and how old they are. Fallback and derived prices
+// score a fixed value for their source, as no listings of the item itself back them, and an
+// unusual scores what the unusual pricer found of its comparables.
+
+const { Currency } = require('./currency');
+
+// Score of each source of a price, the highest a price from listings can score.
+const SOURCE_SCORES = {
+  listings: 1,
+  locked: 1,
+  killstreak: 0.6,
+  paint: 0.5,
+  scm: 0.4,
+  lastKnown: 0.3,
+  bptf: 0.25,
+};
+
+// Buy and sell listings together needed for a full listing count score.
+const FULL_LISTINGS = 20;
+// A spread up to NORMAL_SPREAD of the sell price costs nothing, one of MAX_SPREAD scores 0.
+const NORMAL_SPREAD = 0.1;
+const MAX_SPREAD = 0.5;
+// Coefficient of variation of the listings that scores 0.
+const MAX_DISPERSION = 0.5;
+// Median listing age, in hours, that halves the freshness score.
+const FRESHNESS_HOURS = 48;
+
+const round = (n) => Math.round(n * 100) / 100;
+const clamp = (n) => Math.min(1, Math.max(0, n));
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function coefficientOfVariation(values) {
+  const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+  if (mean <= 0) {
+    return 0;
+  }
+  const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+// Inputs and factors of a price from listings, from the listings recorded on its explanation.
+function scoreListings(explain, item, keyMetal) {
+  const metal = (price) => Currency.fromObject(price, { keyPrice: keyMetal }).toMetal(keyMetal);
+  const sides = [explain.listings.buy, explain.listings.sell].filter(Boolean);
+  const count = sides.reduce((acc, side) => acc + side.count, 0);
+
+  const sell = metal(item.sell);
+  const spread = sell > 0 ? (sell - metal(item.buy)) / sell : 1;
+
+  const variations = sides
+    .map((side) => side.listings.map((l) => metal(l.currencies)))
+    .filter((values) => values.length > 1)
+    .map(coefficientOfVariation);
+  const dispersion = variations.length
+    ? variations.reduce((acc, v) => acc + v, 0) / variations.length
+    : 0;
+
+  const ages = sides
+    .flatMap((side) => side.listings.map((l) => l.ageSec))
+    .filter((age) => typeof age === 'number');
+  const ageHours = ages.length ? median(ages) / 3600 : 0;
+
+  return {
+    inputs: {
+      listings: count,
+      spread: round(spread),
+      dispersion: round(dispersion),
+      ageHours: round(ageHours),
+    },
+    factors: {
+      listings: round(Math.sqrt(Math.min(1, count / FULL_LISTINGS))),
+      spread: round(clamp(1 - Math.max(0, spread - NORMAL_SPREAD) / (MAX_SPREAD - NORMAL_SPREAD))),
+      dispersion: round(clamp(1 - dispersion / MAX_DISPERSION)),
+      freshness: round(1 / (1 + ageHours / FRESHNESS_HOURS)),
+    },
+  };
+}
+
+/**
+ * The confidence of a price that doesn't come from listings of the item.
+ * @param {string} source - 'bptf', 'scm', 'lastKnown', 'killstreak', 'paint' or 'locked'.
+ * @returns {{score: number, source: string}}
+ */
+function sourceConfidence(source) {
+  return { score: SOURCE_SCORES[source] ?? 0, source };
+}
+
+// The confidence of a price from the unusual pricer, see modules/unusualPricer.js.
+function unusualConfidence(unusual) {
+  return { score: unusual.confidence, source: 'unusual', inputs: { evidence: unusual.evidence } };
+}
+
+/**
+ * Scores a price from the explanation it was priced with.
+ * @param {object} explain - The item's price explanation.
+ * @param {object} item - The pricelist item, with its final buy and sell price.
+ * @param {number} keyMetal - Key price in refined.
+ * @returns {{score: number, source: string, inputs?: object, factors?: object}}
+ */
+function scorePrice(explain, item, keyMetal) {
+  if (explain.unusual?.price) {
+    return unusualConfidence(explain.unusual);
+  }
+  if (explain.derived) {
+    return sourceConfidence(explain.derived.type);
+  }
+  if (explain.fallback) {
+    return sourceConfidence(explain.fallback.source);
+  }
+  const { inputs, factors } = scoreListings(explain, item, keyMetal);
+  const score = Object.values(factors).reduce((acc, f) => acc * f, SOURCE_SCORES.listings);
+  return { score: round(score), source: 'listings', inputs, factors };
+}
+
+module.exports = {
+  SOURCE_SCORES,
+  sourceConfidence,
+  unusualConfidence,
+  scorePrice,
+};
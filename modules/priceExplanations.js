@@ -0,0 +1,85 @@
+// Structured audit trail of how the autopricer arrived at (or gave up on) a price. One record
+// is built per item per pricing pass by determinePrice, getAverages and finalisePrice, and the
+// records of a pass are stored together in tf2.price_explanations.
+
+// Only this many listings per side are kept on a record, the count is always stored.
+const MAX_LISTINGS_PER_SIDE = 25;
+
+function createExplanation(name, sku) {
+  return {
+    name,
+    sku,
+    profile: null,
+    strategy: null,
+    outlierMethod: null,
+    baseline: null,
+    listings: { buy: null, sell: null },
+    outliers: { buy: [], sell: [] },
+    fallback: null,
+    derived: null,
+    unusual: null,
+    margins: null,
+    clamping: null,
+    swingCheck: null,
+    lock: null,
+    final: null,
+    confidence: null,
+    outcome: 'pending',
+    reason: null,
+  };
+}
+
+// Compact form of a listings row: who listed it, for how much and how old it is.
+function describeListing(listing, now = Math.floor(Date.now() / 1000)) {
+  return {
+    steamid: listing.steamid,
+    currencies: listing.currencies,
+    ageSec: listing.updated ? now - Number(listing.updated) : null,
+  };
+}
+
+function describeListings(listings) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    count: listings.length,
+    listings: listings.slice(0, MAX_LISTINGS_PER_SIDE).map((l) => describeListing(l, now)),
+  };
+}
+
+async function saveExplanations(pgp, db, explanations) {
+  // Names that didn't resolve to a SKU have nothing to look them up by.
+  explanations = explanations.filter((e) => e.sku);
+  if (explanations.length === 0) {
+    return;
+  }
+  const cs = new pgp.helpers.ColumnSet(['sku', 'name', { name: 'explanation', mod: ':json' }], {
+    table: 'price_explanations',
+  });
+  const values = explanations.map((e) => ({ sku: e.sku, name: e.name, explanation: e }));
+  await db.none(pgp.helpers.insert(values, cs));
+}
+
+async function getExplanations(db, sku, limit = 10) {
+  return db.any(
+    `SELECT name, explanation, created_at FROM price_explanations
+     WHERE sku = $1 ORDER BY created_at DESC LIMIT $2`,
+    [sku, limit]
+  );
+}
+
+async function cleanupOldExplanations(db) {
+  try {
+    await db.none("DELETE FROM price_explanations WHERE created_at < NOW() - INTERVAL '7 days'");
+    console.log('Cleaned up price explanations older than 7 days.');
+  } catch {
+    console.error('Error cleaning up old price explanations');
+  }
+}
+
+module.exports = {
+  createExplanation,
+  describeListings,
+  saveExplanations,
+  getExplanations,
+  cleanupOldExplanations,
+};
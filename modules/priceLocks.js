@@ -0,0 +1,271 @@
+// Manual price overrides. A lock in tf2.price_locks pins the buy side, the sell side or both
+// sides of a SKU to a fixed price, optionally until `expires_at`. Every pricing path applies
+// the active locks just before it publishes, so a manual price survives the next pricing run.
+// Locks are set from the /locks page or the API, and every change is recorded with the name
+// of whoever made it in tf2.price_lock_audit.
+
+const { Currency } = require('./currency');
+const { sourceConfidence } = require('./priceConfidence');
+
+const KEY_SKU = '5021;6';
+const ONE_SCRAP = Currency.fromScrap(1);
+
+// A locked side as { keys, metal } rounded to whole scrap, or null when left empty.
+function parseLockPrice(value, side, sku) {
+  if (!value || (isBlank(value.keys) && isBlank(value.metal))) {
+    return null;
+  }
+  const keys = Number(value.keys) || 0;
+  const metal = Number(value.metal) || 0;
+  if (!Number.isInteger(keys) || keys < 0 || metal < 0) {
+    throw new Error(`The ${side} price needs whole keys and a metal value of 0 or more.`);
+  }
+  if (sku === KEY_SKU && keys > 0) {
+    throw new Error('Keys are priced in pure metal, the key count must be 0.');
+  }
+  const price = Currency.fromObject({ keys, metal });
+  if (price.isZero()) {
+    throw new Error(`The ${side} price can't be 0.`);
+  }
+  return price.toObject();
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Checks and normalises a lock before it is stored.
+ * @param {object} input
+ * @param {string} input.sku
+ * @param {string} input.name - Item name, as in the pricelist.
+ * @param {object} [input.buy] - { keys, metal } to lock the buy side to.
+ * @param {object} [input.sell] - { keys, metal } to lock the sell side to.
+ * @param {string|Date} [input.expiresAt] - When the lock ends, never when left out.
+ * @param {string} [input.note] - Why the price is locked.
+ * @param {string} input.actor - Who set the lock.
+ * @returns {object} - The lock as stored, with prices rounded to whole scrap.
+ */
+function validatePriceLock({ sku, name, buy, sell, expiresAt, note, actor }) {
+  if (!sku || typeof sku !== 'string') {
+    throw new Error('A lock needs a SKU.');
+  }
+  if (!name || typeof name !== 'string') {
+    throw new Error('A lock needs the item name.');
+  }
+  if (!actor || typeof actor !== 'string' || !actor.trim()) {
+    throw new Error('A lock needs the name of who set it.');
+  }
+  const lock = {
+    sku,
+    name,
+    buy: parseLockPrice(buy, 'buy', sku),
+    sell: parseLockPrice(sell, 'sell', sku),
+    expiresAt: null,
+    note: note ? String(note).trim() || null : null,
+    actor: actor.trim().slice(0, 64),
+  };
+  if (!lock.buy && !lock.sell) {
+    throw new Error('Lock the buy price, the sell price or both.');
+  }
+  // Without a key price, keys count before metal. Metal above a key's worth would be
+  // normalised into keys on publishing anyway.
+  if (
+    lock.buy &&
+    lock.sell &&
+    (lock.buy.keys > lock.sell.keys ||
+      (lock.buy.keys === lock.sell.keys && lock.buy.metal >= lock.sell.metal))
+  ) {
+    throw new Error('The buy price must be below the sell price.');
+  }
+  if (!isBlank(expiresAt)) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid expiry date: ${expiresAt}`);
+    }
+    if (date <= new Date()) {
+      throw new Error('The expiry date must be in the future.');
+    }
+    lock.expiresAt = date;
+  }
+  return lock;
+}
+
+async function audit(t, action, lock, actor) {
+  await t.none(
+    `INSERT INTO price_lock_audit (sku, name, action, buy, sell, expires_at, note, actor)
+     VALUES ($1, $2, $3, $4:json, $5:json, $6, $7, $8)`,
+    [lock.sku, lock.name, action, lock.buy, lock.sell, lock.expires_at, lock.note, actor]
+  );
+}
+
+/**
+ * Creates or replaces the lock of a SKU. The pricer publishes it within a minute.
+ * @param {object} db - pg-promise database instance.
+ * @param {object} input - See validatePriceLock.
+ * @returns {Promise<object>} - The stored lock row.
+ */
+async function setPriceLock(db, input) {
+  const lock = validatePriceLock(input);
+  return db.tx(async (t) => {
+    const row = await t.one(
+      `INSERT INTO price_locks (sku, name, buy, sell, expires_at, note, created_by)
+       VALUES ($<sku>, $<name>, $<buy:json>, $<sell:json>, $<expiresAt>, $<note>, $<actor>)
+       ON CONFLICT (sku) DO UPDATE SET
+         name = EXCLUDED.name, buy = EXCLUDED.buy, sell = EXCLUDED.sell,
+         expires_at = EXCLUDED.expires_at, note = EXCLUDED.note,
+         created_by = EXCLUDED.created_by, updated_at = NOW(), published_at = NULL
+       RETURNING *`,
+      lock
+    );
+    await audit(t, 'set', row, lock.actor);
+    return row;
+  });
+}
+
+/**
+ * Removes the lock of a SKU. Its price stays in the pricelist until the item is priced again.
+ * @param {object} db - pg-promise database instance.
+ * @param {string} sku
+ * @param {string} actor - Who cleared the lock.
+ * @returns {Promise<boolean>} - False when the SKU wasn't locked.
+ */
+async function clearPriceLock(db, sku, actor) {
+  if (!actor || !String(actor).trim()) {
+    throw new Error('Clearing a lock needs the name of who cleared it.');
+  }
+  return db.tx(async (t) => {
+    const row = await t.oneOrNone('DELETE FROM price_locks WHERE sku = $1 RETURNING *', [sku]);
+    if (!row) {
+      return false;
+    }
+    await audit(t, 'cleared', row, String(actor).trim().slice(0, 64));
+    return true;
+  });
+}
+
+// Removes locks past their expiry date and returns them.
+async function expirePriceLocks(db) {
+  return db.tx(async (t) => {
+    const rows = await t.any(
+      'DELETE FROM price_locks WHERE expires_at IS NOT NULL AND expires_at <= NOW() RETURNING *'
+    );
+    for (const row of rows) {
+      await audit(t, 'expired', row, 'system');
+    }
+    return rows;
+  });
+}
+
+async function getPriceLocks(db) {
+  return db.any(
+    `SELECT * FROM price_locks
+     WHERE expires_at IS NULL OR expires_at > NOW()
+     ORDER BY name`
+  );
+}
+
+// Active locks by SKU, for the pricing paths.
+async function getActiveLocks(db) {
+  return new Map((await getPriceLocks(db)).map((lock) => [lock.sku, lock]));
+}
+
+async function getPriceLock(db, sku) {
+  return db.oneOrNone(
+    `SELECT * FROM price_locks
+     WHERE sku = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
+    [sku]
+  );
+}
+
+async function getPriceLockAudit(db, { sku = null, limit = 100 } = {}) {
+  return db.any(
+    `SELECT * FROM price_lock_audit
+     WHERE $1::text IS NULL OR sku = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [sku, limit]
+  );
+}
+
+// Marks locks set or changed since they were last published as published and returns them.
+async function takeUnpublishedLocks(db) {
+  return db.any(
+    `UPDATE price_locks SET published_at = NOW()
+     WHERE (published_at IS NULL OR published_at < updated_at)
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING *`
+  );
+}
+
+function isFullLock(lock) {
+  return Boolean(lock?.buy && lock?.sell);
+}
+
+/**
+ * Replaces the locked sides of a priced item. When only one side is locked and the other ends
+ * up on the wrong side of it, the unlocked side is moved to one scrap past the locked one.
+ * @param {object} item - Pricelist item with buy and sell as { keys, metal }.
+ * @param {object} lock - Row of tf2.price_locks.
+ * @param {number} keyPrice - Key price in refined.
+ * @returns {object} - A new item.
+ */
+function applyPriceLock(item, lock, keyPrice) {
+  if (!lock) {
+    return item;
+  }
+  let buy = Currency.fromObject(lock.buy || item.buy, { keyPrice });
+  let sell = Currency.fromObject(lock.sell || item.sell, { keyPrice });
+  if (buy.compare(sell, keyPrice) >= 0) {
+    if (!lock.sell) {
+      sell = buy.toPureMetal(keyPrice).add(ONE_SCRAP).normalise(keyPrice);
+    } else if (!lock.buy) {
+      buy = sell.toPureMetal(keyPrice).subtract(ONE_SCRAP).normalise(keyPrice);
+    }
+  }
+  const locked = { ...item, buy: buy.toObject(), sell: sell.toObject() };
+  if (isFullLock(lock)) {
+    locked.confidence = sourceConfidence('locked');
+  }
+  return locked;
+}
+
+// The pricelist item of a lock that pins both sides.
+function lockedItem(lock) {
+  return {
+    name: lock.name,
+    sku: lock.sku,
+    source: 'bptf',
+    time: Math.floor(Date.now() / 1000),
+    buy: lock.buy,
+    sell: lock.sell,
+    confidence: sourceConfidence('locked'),
+  };
+}
+
+// Short summary of a lock for price explanations.
+function describeLock(lock) {
+  return {
+    buy: lock.buy,
+    sell: lock.sell,
+    expiresAt: lock.expires_at,
+    note: lock.note,
+    setBy: lock.created_by,
+  };
+}
+
+module.exports = {
+  validatePriceLock,
+  setPriceLock,
+  clearPriceLock,
+  expirePriceLocks,
+  getPriceLocks,
+  getActiveLocks,
+  getPriceLock,
+  getPriceLockAudit,
+  takeUnpublishedLocks,
+  isFullLock,
+  applyPriceLock,
+  lockedItem,
+  describeLock,
+};
@@ -0,0 +1,158 @@
+// Quarantine for prices rejected by the swing check. Instead of silently keeping the old
+// price, the proposed price is held in tf2.price_quarantine with the recent average it was
+// compared with, until it is approved or rejected on the /quarantine page. A price proposed
+// again by `autoApproveRuns` consecutive pricing runs is approved automatically, as the
+// market has most likely really moved.
+//
+// Statuses: pending -> approved (manually, waiting to be published) -> applied, or pending
+// -> rejected / superseded (a later run priced the item within the swing limits again).
+
+// Whether two proposals are close enough, relative to the first, to confirm each other.
+function confirms(previous, next, tolerance) {
+  const close = (a, b) => Math.abs(b - a) <= Math.abs(a) * tolerance;
+  return (
+    close(Number(previous.proposed_buy_metal), next.buy) &&
+    close(Number(previous.proposed_sell_metal), next.sell)
+  );
+}
+
+/**
+ * Quarantines a rejected price, or counts a confirmation of the one already pending for the
+ * item.
+ * @param {object} db - pg-promise database instance.
+ * @param {object} rejected - `rejected` from finalisePrice.
+ * @param {object} [options]
+ * @param {number} [options.autoApproveRuns=3] - Confirming runs after which the price is
+ *   approved automatically, 0 to always wait for a decision.
+ * @param {number} [options.confirmTolerance=0.02] - Largest relative difference between
+ *   consecutive proposals that still counts as a confirmation.
+ * @returns {Promise<{approved: boolean, confirmations: number}>} - approved is true when the
+ *   price was auto-approved and should be published right away.
+ */
+async function quarantinePrice(
+  db,
+  rejected,
+  { autoApproveRuns = 3, confirmTolerance = 0.02 } = {}
+) {
+  const { item, previous, average, reason, priceHistory } = rejected;
+  return db.tx(async (t) => {
+    const pending = await t.oneOrNone(
+      "SELECT * FROM price_quarantine WHERE sku = $1 AND status = 'pending' FOR UPDATE",
+      [item.sku]
+    );
+    const confirmations =
+      pending && confirms(pending, priceHistory, confirmTolerance) ? pending.confirmations + 1 : 1;
+    const approved = autoApproveRuns > 0 && confirmations >= autoApproveRuns;
+    const values = {
+      sku: item.sku,
+      name: item.name,
+      proposed: item,
+      proposed_buy_metal: priceHistory.buy,
+      proposed_sell_metal: priceHistory.sell,
+      previous,
+      avg_buy_metal: average?.buy ?? null,
+      avg_sell_metal: average?.sell ?? null,
+      reason,
+      confirmations,
+      status: approved ? 'applied' : 'pending',
+      resolved_by: approved ? 'auto' : null,
+    };
+
+    if (pending) {
+      await t.none(
+        `UPDATE price_quarantine SET
+           proposed = $<proposed:json>, proposed_buy_metal = $<proposed_buy_metal>,
+           proposed_sell_metal = $<proposed_sell_metal>, previous = $<previous:json>,
+           avg_buy_metal = $<avg_buy_metal>, avg_sell_metal = $<avg_sell_metal>,
+           reason = $<reason>, confirmations = $<confirmations>, status = $<status>,
+           resolved_by = $<resolved_by>, updated_at = NOW(),
+           resolved_at = CASE WHEN $<status> = 'pending' THEN NULL ELSE NOW() END
+         WHERE id = $<id>`,
+        { ...values, id: pending.id }
+      );
+    } else {
+      await t.none(
+        `INSERT INTO price_quarantine (sku, name, proposed, proposed_buy_metal, proposed_sell_metal,
+           previous, avg_buy_metal, avg_sell_metal, reason, confirmations, status, resolved_by,
+           resolved_at)
+         VALUES ($<sku>, $<name>, $<proposed:json>, $<proposed_buy_metal>, $<proposed_sell_metal>,
+           $<previous:json>, $<avg_buy_metal>, $<avg_sell_metal>, $<reason>, $<confirmations>,
+           $<status>, $<resolved_by>, CASE WHEN $<status> = 'pending' THEN NULL ELSE NOW() END)`,
+        values
+      );
+    }
+    return { approved, confirmations };
+  });
+}
+
+// Closes the pending entry of items that were priced within the swing limits again.
+async function supersedeQuarantined(db, skus) {
+  if (skus.length === 0) {
+    return;
+  }
+  await db.none(
+    `UPDATE price_quarantine SET status = 'superseded', resolved_at = NOW(), updated_at = NOW()
+     WHERE status = 'pending' AND sku IN ($1:csv)`,
+    [skus]
+  );
+}
+
+async function getQuarantine(db, { status = 'pending', limit = 200 } = {}) {
+  return db.any(
+    `SELECT * FROM price_quarantine
+     WHERE $1 = 'all' OR status = $1
+     ORDER BY updated_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+}
+
+/**
+ * Approves or rejects a pending entry. Approved prices are published by the pricer shortly
+ * after, see takeApprovedPrices.
+ * @param {object} db - pg-promise database instance.
+ * @param {number} id - Quarantine entry id.
+ * @param {string} decision - 'approved' or 'rejected'.
+ * @returns {Promise<boolean>} - False when the entry was no longer pending.
+ */
+async function resolveQuarantined(db, id, decision) {
+  if (decision !== 'approved' && decision !== 'rejected') {
+    throw new Error(`Unknown decision: ${decision}`);
+  }
+  const result = await db.result(
+    `UPDATE price_quarantine
+     SET status = $2, resolved_by = 'manual', resolved_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'pending'`,
+    [id, decision]
+  );
+  return result.rowCount > 0;
+}
+
+// Marks manually approved entries as applied and returns them, for the pricer to publish.
+async function takeApprovedPrices(db) {
+  return db.any(
+    `UPDATE price_quarantine SET status = 'applied', updated_at = NOW()
+     WHERE status = 'approved'
+     RETURNING *`
+  );
+}
+
+async function cleanupOldQuarantine(db) {
+  try {
+    await db.none(
+      `DELETE FROM price_quarantine
+       WHERE status NOT IN ('pending', 'approved') AND updated_at < NOW() - INTERVAL '30 days'`
+    );
+  } catch {
+    console.error('Error cleaning up old quarantined prices');
+  }
+}
+
+module.exports = {
+  quarantinePrice,
+  supersedeQuarantined,
+  getQuarantine,
+  resolveQuarantined,
+  takeApprovedPrices,
+  cleanupOldQuarantine,
+};
@@ -0,0 +1,488 @@
+// The listing based part of the pricing pipeline: from a set of listings to a finalised price.
+// Everything that touches the outside world (the key price, price history, the current
+// pricelist, item profiles and bounds) is passed in, so the same code runs against the live
+// database in bptf-autopricer.js and against replayed listing history when backtesting.
+
+const { resolveStrategy } = require('./pricingStrategies');
+const { createExplanation, describeListings } = require('./priceExplanations');
+const { resolveOutlierMethod, findOutliers, isOutlier } = require('./outliers');
+const { Currency } = require('./currency');
+
+/**
+ * Creates the pricing functions bound to a data source.
+ * @param {object} deps
+ * @param {object} deps.Methods - Methods instance from methods.js.
+ * @param {Function} deps.getKeyMetal - Returns the current key price in metal.
+ * @param {Function} deps.getItemProfile - Returns the pricing profile of an item by name.
+ * @param {Function} deps.getItemBounds - Returns the Map of item bounds by name.
+ * @param {string[]} deps.prioritySteamIds - Steam IDs whose listings are used first.
+ * @param {Function} [deps.getSteamIdScore] - Returns the reputation score of a steamid. Without
+ *   it every listing has the same weight, as before reputation scoring.
+ * @param {object} [deps.reputation] - priorityScore and minScore from config.json.
+ * @param {Function} deps.getSellPriceHistory - Resolves the last 10 sell prices (metal) of a SKU.
+ * @param {Function} deps.getRecentPrices - Resolves the last 5 price_history rows of a SKU.
+ * @param {Function} deps.getPreviousPrice - Resolves the current pricelist entry of a SKU.
+ * @param {Function} [deps.now] - Returns the current time in milliseconds.
+ * @returns {object} - The pricing functions.
+ */
+function createPricingPipeline({
+  Methods,
+  getKeyMetal,
+  getItemProfile,
+  getItemBounds,
+  prioritySteamIds,
+  getSteamIdScore,
+  reputation = {},
+  getSellPriceHistory,
+  getRecentPrices,
+  getPreviousPrice,
+  now = Date.now,
+}) {
+  const priorityScore = reputation.priorityScore ?? 0.8;
+  const minScore = reputation.minScore ?? 0.2;
+
+  // Listings from prioritySteamIds, and from steamids scored at least priorityScore, are
+  // used ahead of any others.
+  const isPrioritised = (steamid) =>
+    prioritySteamIds.includes(steamid) ||
+    (getSteamIdScore && getSteamIdScore(steamid) >= priorityScore);
+
+  // Sort listings best-first (highest buy, lowest sell) and move listings from prioritised
+  // steamids to the front. Listings from steamids scored below minScore are dropped.
+  function sortListings(buyRows, sellRows) {
+    if (getSteamIdScore) {
+      const isReputable = (row) =>
+        prioritySteamIds.includes(row.steamid) || getSteamIdScore(row.steamid) >= minScore;
+      buyRows = buyRows.filter(isReputable);
+      sellRows = sellRows.filter(isReputable);
+    }
+
+    // Sort buyListings into descending order of price.
+    var buyFiltered = buyRows.sort((a, b) => {
+      let valueA = Methods.toMetal(a.currencies, getKeyMetal());
+      let valueB = Methods.toMetal(b.currencies, getKeyMetal());
+
+      return valueB - valueA;
+    });
+
+    // Sort sellListings into ascending order of price.
+    var sellFiltered = sellRows.sort((a, b) => {
+      let valueA = Methods.toMetal(a.currencies, getKeyMetal());
+      let valueB = Methods.toMetal(b.currencies, getKeyMetal());
+
+      return valueA - valueB;
+    });
+
+    // We prioritise using listings from trusted bots.
+    // I.e., we move listings by those steam ids to the front of the
+    // array, to be used as a priority over any others.
+
+    buyFiltered = buyFiltered.sort((a, b) => {
+      // Custom sorting logic to prioritize specific Steam IDs
+      const aIsPrioritized = isPrioritised(a.steamid);
+      const bIsPrioritized = isPrioritised(b.steamid);
+
+      if (aIsPrioritized && !bIsPrioritized) {
+        return -1; // a comes first
+      } else if (!aIsPrioritized && bIsPrioritized) {
+        return 1; // b comes first
+      } else {
+        return 0; // maintain the original order (no priority)
+      }
+    });
+
+    sellFiltered = sellFiltered.sort((a, b) => {
+      // Custom sorting logic to prioritize specific Steam IDs
+      const aIsPrioritized = isPrioritised(a.steamid);
+      const bIsPrioritized = isPrioritised(b.steamid);
+
+      if (aIsPrioritized && !bIsPrioritized) {
+        return -1; // a comes first
+      } else if (!aIsPrioritized && bIsPrioritized) {
+        return 1; // b comes first
+      } else {
+        return 0; // maintain the original order (no priority)
+      }
+    });
+
+    return { buyFiltered, sellFiltered };
+  }
+
+  // Compares a new price with the average of the recent price history. Returns whether the
+  // swing is acceptable, the averages it was compared with and, when it isn't, why.
+  async function checkPriceSwing(prev, next, sku, priceSwingLimits) {
+    // Last 5 prices from the price history
+    const history = await getRecentPrices(sku);
+    if (history.length === 0) {
+      return { acceptable: true, average: null, reason: null };
+    } // No history, allow
+
+    const avgBuy = history.reduce((sum, p) => sum + Number(p.buy_metal), 0) / history.length;
+    const avgSell = history.reduce((sum, p) => sum + Number(p.sell_metal), 0) / history.length;
+    const average = { buy: Methods.getRight(avgBuy), sell: Methods.getRight(avgSell) };
+
+    const nextBuy = Methods.toMetal(next.buy, getKeyMetal());
+    const nextSell = Methods.toMetal(next.sell, getKeyMetal());
+
+    const maxBuyIncrease = priceSwingLimits?.maxBuyIncrease ?? 0.1;
+    const maxSellDecrease = priceSwingLimits?.maxSellDecrease ?? 0.1;
+
+    if (nextBuy > avgBuy && (nextBuy - avgBuy) / avgBuy > maxBuyIncrease) {
+      const change = (((nextBuy - avgBuy) / avgBuy) * 100).toFixed(1);
+      return {
+        acceptable: false,
+        average,
+        reason: `Buy price rose ${change}% above the recent average, more than ${maxBuyIncrease * 100}% allowed.`,
+      };
+    }
+    if (nextSell < avgSell && (avgSell - nextSell) / avgSell > maxSellDecrease) {
+      const change = (((avgSell - nextSell) / avgSell) * 100).toFixed(1);
+      return {
+        acceptable: false,
+        average,
+        reason: `Sell price fell ${change}% below the recent average, more than ${maxSellDecrease * 100}% allowed.`,
+      };
+    }
+    return { acceptable: true, average, reason: null };
+  }
+
+  async function isPriceSwingAcceptable(prev, next, sku, priceSwingLimits) {
+    return (await checkPriceSwing(prev, next, sku, priceSwingLimits)).acceptable;
+  }
+
+  // Drop the listings whose price is an outlier among the set, using the profile's outlier
+  // method. Throws when fewer than `minRemaining` listings are left.
+  const filterOutliers = (listingsArray, minRemaining = 3, method) => {
+    const prices = listingsArray.map((listing) =>
+      Methods.toMetal(listing.currencies, getKeyMetal())
+    );
+    const outliers = findOutliers(prices, method);
+    const filteredListings = listingsArray.filter((listing, i) => !outliers[i]);
+
+    if (filteredListings.length < minRemaining) {
+      throw new Error('Not enough listings after filtering outliers.');
+    }
+
+    // The listings returned should be free of outliers. They keep their order, so
+    // trusted steam ids stay at the front (when applicable).
+    return filteredListings;
+  };
+
+  // Whether a candidate sell price is an outlier compared to our own recent sell prices.
+  function isSellPriceOutlier(prices, candidateSellMetal, method) {
+    return isOutlier(prices, candidateSellMetal, method);
+  }
+
+  // Pair each listing with its value in metal and its weight, ready to be handed to a
+  // pricing strategy.
+  const toStrategyEntries = (listings) =>
+    listings.map((listing) => ({
+      listing,
+      metal: Methods.toMetal(listing.currencies, getKeyMetal()),
+      weight: getSteamIdScore ? getSteamIdScore(listing.steamid) : 1,
+    }));
+
+  // Convert a price in metal (or a Currency) back into a keys and metal object, with as many
+  // whole keys as the value affords. Keys (5021;6) are always kept as pure metal.
+  const toCurrencies = (value, sku) => {
+    const currency = value instanceof Currency ? value : Currency.fromMetal(value);
+    if (sku === '5021;6') {
+      return currency.toPureMetal(getKeyMetal()).toObject();
+    }
+    return currency.normalise(getKeyMetal()).toObject();
+  };
+
+  const getAverages = async (
+    name,
+    buyFiltered,
+    sellFiltered,
+    sku,
+    pricetfItem,
+    profile,
+    explain = createExplanation(name, sku)
+  ) => {
+    // Initialise two objects to contain the items final buy and sell prices.
+    var final_buyObj = {
+      keys: 0,
+      metal: 0,
+    };
+    var final_sellObj = {
+      keys: 0,
+      metal: 0,
+    };
+
+    // Strategy from the item's pricing profile, which defaults to the one in config.json.
+    const strategy = resolveStrategy(profile.strategy);
+    explain.strategy = { name: strategy.name, options: strategy.options };
+    const minBuyListings = profile.minListings.buy;
+
+    if (buyFiltered.length < minBuyListings) {
+      throw new Error(`| UPDATING PRICES |: ${name} not enough buy listings...`);
+    }
+    // Outliers are filtered out before the strategy sees the listings. Sets smaller than
+    // the method's minSamples are used as they are.
+    const outlierMethod = resolveOutlierMethod(profile.outlierMethod);
+    explain.outlierMethod = { name: outlierMethod.name, options: outlierMethod.options };
+    const buyPool = filterOutliers(buyFiltered, minBuyListings, profile.outlierMethod);
+    explain.listings.buy = describeListings(buyPool);
+    explain.outliers.buy = describeListings(buyFiltered.filter((l) => !buyPool.includes(l)));
+    const buyMetal = strategy.price(toStrategyEntries(buyPool), 'buy');
+
+    // Validate the buy price.
+    if (!buyMetal || isNaN(buyMetal)) {
+      throw new Error(`| UPDATING PRICES |: ${name} buy price calculated is invalid.`);
+    }
+    final_buyObj = toCurrencies(buyMetal, sku);
+
+    if (sku === '5021;6') {
+      console.log(`DEBUG: Key buy price (${strategy.name}) - keys: 0, metal: ${buyMetal}`);
+    }
+
+    if (sellFiltered.length >= Math.max(1, profile.minListings.sell)) {
+      // Skip sell listings that are outliers compared to our own sell history. If all of them
+      // are outliers, use them anyway (to avoid not pricing at all).
+      const sellHistory = await getSellPriceHistory(sku);
+      const sellEntries = toStrategyEntries(sellFiltered);
+      const sellPool = sellEntries.filter(
+        (e) => !isSellPriceOutlier(sellHistory, e.metal, profile.outlierMethod)
+      );
+      const sellUsed = sellPool.length > 0 ? sellPool : sellEntries;
+      explain.listings.sell = describeListings(sellUsed.map((e) => e.listing));
+      explain.outliers.sell = describeListings(
+        sellEntries.filter((e) => !sellUsed.includes(e)).map((e) => e.listing)
+      );
+      const sellMetal = strategy.price(sellUsed, 'sell');
+
+      if (!sellMetal || isNaN(sellMetal)) {
+        throw new Error(`| UPDATING PRICES |: ${name} sell price calculated is invalid.`);
+      }
+      final_sellObj = toCurrencies(sellMetal, sku);
+
+      if (sku === '5021;6') {
+        console.log(
+          `DEBUG: Key sell price (${strategy.name}) - keys: ${final_sellObj.keys}, metal: ${final_sellObj.metal}`
+        );
+      }
+    } else {
+      throw new Error(`| UPDATING PRICES |: ${name} not enough sell listings...`);
+    }
+
+    var usePrices = false;
+    try {
+      // Will return true or false. True if we are ok with the autopricers price, false if we are not.
+      // We use prices.tf as a baseline.
+      // Without a baseline (e.g. when backtesting) the price from listings is used as is.
+      usePrices =
+        !pricetfItem ||
+        Methods.calculatePricingAPIDifferences(pricetfItem, final_buyObj, final_sellObj, {
+          metal: getKeyMetal(),
+        });
+    } catch (e) {
+      // Create an error object with a message detailing this difference.
+      throw new Error(`| UPDATING PRICES |: Our autopricer determined that name ${name} should sell for : ${final_sellObj.keys} keys and 
+            ${final_sellObj.metal} ref, and buy for ${final_buyObj.keys} keys and ${final_buyObj.metal} ref. Baseline
+            determined I should sell for ${pricetfItem.sell.keys} keys and ${pricetfItem.sell.metal} ref, and buy for
+            ${pricetfItem.buy.keys} keys and ${pricetfItem.buy.metal} ref. Message returned by the method: ${e.message}`);
+    }
+
+    // if-else statement probably isn't needed, but I'm just being cautious.
+    if (usePrices) {
+      // The final averages are returned here. But work is still needed to be done. We can't assume that the buy average is
+      // going to be lower than the sell average price. So we need to check for this later.
+      if (sku === '5021;6') {
+        console.log(
+          `DEBUG: Key final prices from getAverages - buy: {keys: ${final_buyObj.keys}, metal: ${final_buyObj.metal}}, sell: {keys: ${final_sellObj.keys}, metal: ${final_sellObj.metal}}`
+        );
+      }
+      return [final_buyObj, final_sellObj];
+    } else {
+      throw new Error(`| UPDATING PRICES |: ${name} pricing average generated by autopricer is too dramatically
+            different to one returned by bptf`);
+    }
+  };
+
+  function clamp(val, min, max) {
+    // If min is not a number, we don't clamp the value.
+    // If max is not a number, we don't clamp the value.
+    if (typeof min === 'number' && val < min) {
+      return min;
+    }
+    if (typeof max === 'number' && val > max) {
+      return max;
+    }
+    return val;
+  }
+
+  // Apply a fractional margin to a price, e.g. -0.05 lowers it by 5%.
+  const applyMargin = (price, margin, sku) =>
+    margin
+      ? toCurrencies(
+          Currency.fromObject(price, { keyPrice: getKeyMetal() }).multiply(
+            1 + margin,
+            getKeyMetal()
+          ),
+          sku
+        )
+      : price;
+
+  const finalisePrice = async (arr, name, sku, explain = createExplanation(name, sku)) => {
+    let item = {};
+    const profile = getItemProfile(name);
+    try {
+      if (!arr) {
+        console.log(
+          `| UPDATING PRICES |:${name} couldn't be updated. CRITICAL, something went wrong in the getAverages logic.`
+        );
+        throw new Error('Something went wrong in the getAverages() logic. DEVELOPER LOOK AT THIS.');
+        // Will ensure that neither the buy, nor sell side is completely unpriced. If it is, this means we couldn't get
+        // enough listings to create a price, and we also somehow bypassed our prices.tf safety check. So instead, we
+        // just skip this item, disregarding the price.
+      } else if (
+        (arr[0].metal === 0 && arr[0].keys === 0) ||
+        (arr[1].metal === 0 && arr[1].keys === 0)
+      ) {
+        throw new Error('Missing buy and/or sell side.');
+      } else {
+        // Creating item fields/filling in details.
+        // Name of the item. Left as it was.
+        item.name = name;
+        // Add sku to item object.
+        item.sku = sku;
+        // If the source isn't provided as bptf it's ignored by tf2autobot.
+        item.source = 'bptf';
+        // Generates a UNIX timestamp of the present time, used to show a client when the prices were last updated.
+        item.time = Math.floor(now() / 1000);
+
+        // We're taking the buy JSON and getting the metal price from it, then rounding down to the nearest .11.
+        arr[0].metal = Methods.getRight(arr[0].metal);
+        // We're taking the sell JSON and getting the metal price from it, then rounding down to the nearest .11.
+        arr[1].metal = Methods.getRight(arr[1].metal);
+
+        // Apply the buy and sell margins from the item's pricing profile. A last known price
+        // already has them.
+        const margins =
+          explain.fallback?.source === 'lastKnown' ? { buy: 0, sell: 0 } : profile.margins;
+        arr[0] = applyMargin(arr[0], -margins.buy, sku);
+        arr[1] = applyMargin(arr[1], margins.sell, sku);
+        explain.margins = margins;
+
+        // We are taking the buy array price as a whole, and also passing in the current selling price
+        // for a key into the parsePrice method.
+        // We are taking the sell array price as a whole, and also passing in the current selling price
+        // for a key into the parsePrice method.
+        // Skip parsePrice for keys - they should always be in pure metal format
+        if (sku !== '5021;6') {
+          arr[0] = Methods.parsePrice(arr[0], getKeyMetal());
+          arr[1] = Methods.parsePrice(arr[1], getKeyMetal());
+        }
+
+        // Clamp prices to bounds if set
+        const bounds = getItemBounds().get(name) || {};
+        const unclamped = { buy: { ...arr[0] }, sell: { ...arr[1] } };
+        // Clamp the buy and sell prices to the bounds set in the config.
+        // If the bounds are not set, it will just use the default values of 0 and Infinity.
+        arr[0].keys = clamp(arr[0].keys, bounds.minBuyKeys, bounds.maxBuyKeys);
+        arr[0].metal = clamp(arr[0].metal, bounds.minBuyMetal, bounds.maxBuyMetal);
+        arr[1].keys = clamp(arr[1].keys, bounds.minSellKeys, bounds.maxSellKeys);
+        arr[1].metal = clamp(arr[1].metal, bounds.minSellMetal, bounds.maxSellMetal);
+        if (
+          unclamped.buy.keys !== arr[0].keys ||
+          unclamped.buy.metal !== arr[0].metal ||
+          unclamped.sell.keys !== arr[1].keys ||
+          unclamped.sell.metal !== arr[1].metal
+        ) {
+          explain.clamping = {
+            bounds,
+            before: unclamped,
+            after: { buy: { ...arr[0] }, sell: { ...arr[1] } },
+          };
+        }
+
+        // Enforce minSellMargin from the item's pricing profile
+        const minSellMargin = profile.minSellMargin;
+        const buy = Currency.fromObject(arr[0], { keyPrice: getKeyMetal() });
+        let sell = Currency.fromObject(arr[1], { keyPrice: getKeyMetal() });
+
+        if (buy.compare(sell, getKeyMetal()) >= 0) {
+          explain.reason = `Buy price reached the sell price, sell set to buy + ${minSellMargin} ref.`;
+          sell = buy.add(Currency.fromMetal(minSellMargin));
+        }
+        // For keys, always use pure metal format
+        if (sku === '5021;6') {
+          item.buy = { keys: 0, metal: buy.metal };
+          item.sell = { keys: 0, metal: sell.metal };
+        } else {
+          item.buy = buy.toObject();
+          item.sell = sell.toObject();
+        }
+
+        // Load previous price from pricelist if available
+        const prev = await getPreviousPrice(sku);
+
+        // Only check if previous price exists (skip price swing check for keys)
+        if (prev && sku !== '5021;6') {
+          const prevObj = { buy: prev.buy, sell: prev.sell };
+          const nextObj = { buy: item.buy, sell: item.sell };
+          const swing = await checkPriceSwing(prevObj, nextObj, sku, profile.priceSwingLimits);
+          explain.swingCheck = {
+            previous: prevObj,
+            average: swing.average,
+            limits: profile.priceSwingLimits,
+            acceptable: swing.acceptable,
+          };
+          if (!swing.acceptable) {
+            console.log(`Price swing too large for ${name} (${sku}), skipping update.`);
+            explain.outcome = 'rejected';
+            explain.reason = 'Price swing too large compared to recent price history.';
+            // The rejected price is handed back so the caller can quarantine it for review.
+            return {
+              reason: explain.reason,
+              rejected: {
+                item,
+                previous: prevObj,
+                average: swing.average,
+                reason: swing.reason,
+                priceHistory: {
+                  sku,
+                  buy: Methods.toMetal(item.buy, getKeyMetal()),
+                  sell: Methods.toMetal(item.sell, getKeyMetal()),
+                },
+              },
+            };
+          }
+        }
+
+        explain.final = { buy: item.buy, sell: item.sell };
+        explain.outcome = 'priced';
+
+        // Save to price history
+        return {
+          item,
+          priceHistory: {
+            sku,
+            buy: Methods.toMetal(item.buy, getKeyMetal()),
+            sell: Methods.toMetal(item.sell, getKeyMetal()),
+          },
+        };
+      }
+    } catch (e) {
+      // If the autopricer failed to price the item, we don't update the items price.
+      explain.outcome = 'failed';
+      explain.reason = e.message;
+      return { reason: e.message };
+    }
+  };
+
+  return {
+    sortListings,
+    filterOutliers,
+    isSellPriceOutlier,
+    checkPriceSwing,
+    isPriceSwingAcceptable,
+    toCurrencies,
+    getAverages,
+    finalisePrice,
+  };
+}
+
+module.exports = { createPricingPipeline };
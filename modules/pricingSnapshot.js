@@ -0,0 +1,127 @@
+// Everything a pricing pass reads besides the bptf prices, loaded up front with a few set-based
+// queries instead of several queries per item: the listings of every item, the recent
+// price_history of every SKU and the current pricelist. The pass then prices in memory, through
+// a pricing pipeline built on the snapshot (see createPricingPipeline).
+
+const fs = require('fs');
+const { getListingsByNames } = require('./listings');
+
+// The sell price outlier check reads the last 10 prices, the swing check the last 5.
+const HISTORY_DEPTH = 10;
+const RECENT_PRICES = 5;
+
+// Listings by name and intent. Names are also loaded with a 'The ' prefix, which
+// determinePrice falls back to when an item has no listings under its own name.
+async function loadListings(db, names) {
+  const lookup = new Set();
+  for (const name of names) {
+    lookup.add(name);
+    if (!name.startsWith('The ')) {
+      lookup.add(`The ${name}`);
+    }
+  }
+  const rows = lookup.size > 0 ? await getListingsByNames(db, [...lookup]) : [];
+  const listings = new Map();
+  for (const row of rows) {
+    const key = `${row.name}|${row.intent}`;
+    if (!listings.has(key)) {
+      listings.set(key, []);
+    }
+    listings.get(key).push(row);
+  }
+  return { listings, count: rows.length };
+}
+
+// The last HISTORY_DEPTH price_history rows of every SKU, newest first.
+async function loadPriceHistory(db, skus) {
+  const rows =
+    skus.length > 0
+      ? await db.any(
+          `SELECT sku, buy_metal, sell_metal FROM (
+             SELECT sku, buy_metal, sell_metal,
+               ROW_NUMBER() OVER (PARTITION BY sku ORDER BY timestamp DESC) AS n
+             FROM price_history
+             WHERE sku = ANY($1)
+           ) h
+           WHERE n <= $2
+           ORDER BY sku, n`,
+          [skus, HISTORY_DEPTH]
+        )
+      : [];
+  const history = new Map();
+  for (const row of rows) {
+    if (!history.has(row.sku)) {
+      history.set(row.sku, []);
+    }
+    history.get(row.sku).push(row);
+  }
+  return history;
+}
+
+function loadPricelist(pricelistPath) {
+  const pricelist = JSON.parse(fs.readFileSync(pricelistPath, 'utf8'));
+  return new Map(pricelist.items.map((item) => [item.sku, item]));
+}
+
+/**
+ * Loads the data of a pricing pass.
+ * @param {object} db - pg-promise database instance.
+ * @param {object} opts
+ * @param {string[]} opts.names - Names of the items to price.
+ * @param {string[]} opts.skus - Their SKUs.
+ * @param {string} opts.pricelistPath - Path of pricelist.json.
+ * @returns {Promise<object>} - getListings(name, intent), the current prices by SKU, the
+ *   getSellPriceHistory, getRecentPrices and getPreviousPrice dependencies of
+ *   createPricingPipeline, and counts of what was loaded.
+ */
+async function loadPricingSnapshot(db, { names, skus, pricelistPath }) {
+  const [{ listings, count }, history] = await Promise.all([
+    loadListings(db, names),
+    loadPriceHistory(db, [...new Set(skus)]),
+  ]);
+  const prices = loadPricelist(pricelistPath);
+
+  return {
+    getListings: (name, intent) => listings.get(`${name}|${intent}`) || [],
+    prices,
+    getSellPriceHistory: async (sku) =>
+      (history.get(sku) || []).map((row) => Number(row.sell_metal)),
+    getRecentPrices: async (sku) => (history.get(sku) || []).slice(0, RECENT_PRICES),
+    getPreviousPrice: async (sku) => prices.get(sku),
+    counts: { listings: count, historySkus: history.size, pricelist: prices.size },
+  };
+}
+
+/**
+ * Wall-clock time of the phases of a pricing pass. Each mark() closes the phase running since
+ * the previous mark, or since the timer was created.
+ * @returns {{mark: function(string): void, summary: function(): object}}
+ */
+function createPassTimings() {
+  const started = Date.now();
+  let last = started;
+  const phases = {};
+  return {
+    mark(phase) {
+      const now = Date.now();
+      phases[phase] = (phases[phase] || 0) + (now - last);
+      last = now;
+    },
+    summary() {
+      return { totalMs: Date.now() - started, phases: { ...phases } };
+    },
+  };
+}
+
+// Phase timings as one log line, e.g. "prune 0.41s, load 0.52s, price 1.2s".
+function formatTimings({ totalMs, phases }) {
+  const seconds = (ms) => `${Math.round(ms / 10) / 100}s`;
+  const parts = Object.entries(phases).map(([phase, ms]) => `${phase} ${seconds(ms)}`);
+  return `${seconds(totalMs)} (${parts.join(', ')})`;
+}
+
+module.exports = {
+  loadPricingSnapshot,
+  createPassTimings,
+  formatTimings,
+};
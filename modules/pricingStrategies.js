@@ -0,0 +1,131 @@
+// Pricing strategies turn an ordered set of listings into a single price for one side
+// of the market. Every strategy receives entries of the form { listing, metal, weight },
+// already sorted best-first (highest buy / lowest sell) with trusted listings moved to the
+// front, and returns a price in refined metal. `weight` is the reputation score of the
+// listing's steamid (1 when reputation scoring is off), so listings from sellers we trust
+// more count for more.
+
+const SCRAP = 0.11;
+
+const DEFAULT_STRATEGY = 'topN';
+
+const mean = (values) => values.reduce((acc, curr) => acc + curr, 0) / values.length;
+
+const weightOf = (entry) => entry.weight ?? 1;
+
+// Weighted mean of the entries' prices. Falls back to the plain mean when every weight is 0.
+const weightedMean = (entries) => {
+  const weights = entries.reduce((acc, e) => acc + weightOf(e), 0);
+  if (weights === 0) {
+    return mean(entries.map((e) => e.metal));
+  }
+  return entries.reduce((acc, e) => acc + e.metal * weightOf(e), 0) / weights;
+};
+
+// Weighted median: the price at which half of the total weight lies on either side. With
+// equal weights this is the ordinary median.
+const weightedMedian = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.metal - b.metal);
+  const total = sorted.reduce((acc, e) => acc + weightOf(e), 0);
+  if (total === 0) {
+    return weightedMedian(sorted.map((e) => ({ ...e, weight: 1 })));
+  }
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += weightOf(sorted[i]);
+    if (cumulative === total / 2 && i + 1 < sorted.length) {
+      return (sorted[i].metal + sorted[i + 1].metal) / 2;
+    }
+    if (cumulative > total / 2) {
+      return sorted[i].metal;
+    }
+  }
+  return sorted[sorted.length - 1].metal;
+};
+
+// Sort a copy of the entries by price alone, ignoring trusted listing priority.
+const byPrice = (entries, intent) =>
+  [...entries].sort((a, b) => (intent === 'buy' ? b.metal - a.metal : a.metal - b.metal));
+
+// Mean of the first N listings. With the defaults this is the original behaviour:
+// mean of the top 3 buy listings and the first sell listing.
+function topN(entries, intent, options) {
+  const count = intent === 'buy' ? (options.buyCount ?? 3) : (options.sellCount ?? 1);
+  return weightedMean(entries.slice(0, Math.max(1, count)));
+}
+
+// Median of every listing left after outlier filtering.
+function medianStrategy(entries) {
+  return weightedMedian(entries);
+}
+
+// Groups listings into price levels and weights each level by the combined weight of the
+// listings on it, using only the best `levels` levels of the book.
+function volumeWeighted(entries, intent, options) {
+  const levels = new Map();
+  for (const entry of byPrice(entries, intent)) {
+    levels.set(entry.metal, (levels.get(entry.metal) || 0) + weightOf(entry));
+  }
+  const top = Array.from(levels.entries()).slice(0, options.levels ?? 3);
+  return weightedMean(top.map(([metal, weight]) => ({ metal, weight })));
+}
+
+// Beats the best listing on the book by `undercut` refined (one scrap by default).
+function undercutBest(entries, intent, options) {
+  const best = byPrice(entries, intent)[0].metal;
+  const step = options.undercut ?? SCRAP;
+  return intent === 'buy' ? best + step : Math.max(SCRAP, best - step);
+}
+
+// Weighted mean over the first `depth` listings, giving the front of the book the most weight.
+function depthWeighted(entries, intent, options) {
+  const depth = Math.min(entries.length, options.depth ?? 5);
+  let total = 0;
+  let weights = 0;
+  for (let i = 0; i < depth; i++) {
+    const weight = (depth - i) * weightOf(entries[i]);
+    total += entries[i].metal * weight;
+    weights += weight;
+  }
+  return weights > 0 ? total / weights : mean(entries.slice(0, depth).map((e) => e.metal));
+}
+
+const STRATEGIES = {
+  topN,
+  median: medianStrategy,
+  volumeWeighted,
+  undercutBest,
+  depthWeighted,
+};
+
+/**
+ * Resolves a strategy spec from config.json or item_list.json.
+ * A spec is either a strategy name or an object of the form { name, ...options }.
+ * @param {string|object} [spec] - Strategy spec, defaults to topN when omitted.
+ * @returns {{name: string, options: object, price: Function}} - The resolved strategy.
+ */
+function resolveStrategy(spec) {
+  const { name = DEFAULT_STRATEGY, ...options } =
+    typeof spec === 'string' ? { name: spec } : spec || {};
+  const fn = STRATEGIES[name];
+  if (!fn) {
+    throw new Error(`Unknown pricing strategy: ${name}`);
+  }
+  return {
+    name,
+    options,
+    price: (entries, intent) => {
+      if (!entries || entries.length === 0) {
+        throw new Error(`Pricing strategy ${name} received no ${intent} listings.`);
+      }
+      return fn(entries, intent, options);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  STRATEGY_NAMES: Object.keys(STRATEGIES),
+  resolveStrategy,
+  weightedMedian,
+};
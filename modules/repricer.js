@@ -0,0 +1,118 @@
+// Event driven repricing. Every listing change schedules its SKU, which is repriced on its own
+// once its listings have been quiet for `debounceMs`, so a burst of changes costs one reprice.
+// A SKU that keeps changing is still repriced `maxWaitMs` after its first change, and no SKU
+// is repriced more often than once per `minIntervalMs`. The full pricing pass still runs on
+// its interval and catches anything missed here.
+
+const EventEmitter = require('events');
+const { clearInterval, setInterval } = require('timers');
+
+const TICK_MS = 1000;
+
+class Repricer extends EventEmitter {
+  /**
+   * @param {function(Array<{sku: string, name: string}>): Promise} reprice - Reprices the given
+   *   items, called with at most `maxBatchSize` items and never while a previous call runs.
+   * @param {object} [options]
+   * @param {number} [options.debounceMs=5000]
+   * @param {number} [options.maxWaitMs=60000]
+   * @param {number} [options.minIntervalMs=120000]
+   * @param {number} [options.maxBatchSize=25]
+   */
+  constructor(
+    reprice,
+    { debounceMs = 5000, maxWaitMs = 60000, minIntervalMs = 120000, maxBatchSize = 25 } = {}
+  ) {
+    super();
+    this.reprice = reprice;
+    this.debounceMs = debounceMs;
+    this.maxWaitMs = maxWaitMs;
+    this.minIntervalMs = minIntervalMs;
+    this.maxBatchSize = maxBatchSize;
+    // sku -> { name, firstAt, lastAt } of SKUs waiting to be repriced.
+    this.pending = new Map();
+    // sku -> time it was last repriced.
+    this.lastRepriced = new Map();
+    this.timer = null;
+    this.running = false;
+    this.stats = { scheduled: 0, repriced: 0, batches: 0, failures: 0, lastBatchAt: null };
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this._tick(), TICK_MS);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Records a listing change of a SKU.
+  schedule(sku, name) {
+    const now = Date.now();
+    const entry = this.pending.get(sku);
+    if (entry) {
+      entry.lastAt = now;
+    } else {
+      this.pending.set(sku, { name, firstAt: now, lastAt: now });
+    }
+    this.stats.scheduled++;
+  }
+
+  // Whether a pending SKU is settled or has waited long enough, and may be repriced again.
+  _isDue(sku, entry, now) {
+    const settled = now - entry.lastAt >= this.debounceMs || now - entry.firstAt >= this.maxWaitMs;
+    return settled && now - (this.lastRepriced.get(sku) || 0) >= this.minIntervalMs;
+  }
+
+  async _tick() {
+    if (this.running || this.pending.size === 0) {
+      return;
+    }
+    const now = Date.now();
+    const due = [];
+    for (const [sku, entry] of this.pending) {
+      if (this._isDue(sku, entry, now)) {
+        due.push({ sku, name: entry.name });
+        if (due.length >= this.maxBatchSize) {
+          break;
+        }
+      }
+    }
+    if (due.length === 0) {
+      return;
+    }
+
+    for (const [sku, time] of this.lastRepriced) {
+      if (now - time >= this.minIntervalMs) {
+        this.lastRepriced.delete(sku);
+      }
+    }
+    // Changes arriving while the batch is priced schedule the SKU again.
+    for (const { sku } of due) {
+      this.pending.delete(sku);
+      this.lastRepriced.set(sku, now);
+    }
+    this.running = true;
+    try {
+      await this.reprice(due);
+      this.stats.repriced += due.length;
+      this.emit('repriced', due);
+    } catch (err) {
+      this.stats.failures++;
+      console.error('[Repricer] Failed to reprice', due.map((i) => i.sku).join(', '), err);
+    } finally {
+      this.stats.batches++;
+      this.stats.lastBatchAt = new Date().toISOString();
+      this.running = false;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, pending: this.pending.size, running: this.running };
+  }
+}
+
+module.exports = Repricer;
@@ -0,0 +1,308 @@
+// Reputation scores for the steamids whose listings we price from. Scores run from 0 (ignore)
+// to 1 (trust fully) and are computed from observed behaviour:
+//  - how long their listings stay up (tf2.listing_history),
+//  - how often they delete a listing shortly after posting it,
+//  - how often their listings were thrown out as outliers (tf2.price_explanations),
+//  - whether they have completed trades with our bot (polldata.json).
+// Scores can be overridden by hand from the /reputation page.
+
+const fs = require('fs');
+
+// Score of a steamid we know nothing about.
+const DEFAULT_SCORE = 0.5;
+
+// How much each behaviour counts towards the score. Components without data are left out.
+const WEIGHTS = { longevity: 0.35, quickDeletes: 0.25, outliers: 0.4 };
+
+// Below this many listings seen in price explanations the outlier rate isn't trusted.
+const MIN_OUTLIER_SAMPLES = 5;
+
+// Each completed trade with us adds to the score, up to the maximum.
+const TRADE_BONUS = 0.05;
+const MAX_TRADE_BONUS = 0.2;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Scores a steamid from its observed behaviour.
+ * @param {object} metrics - listings, avgLifetimeSec, quickDeletes, outliers, outlierSamples
+ *   and trades of one steamid.
+ * @param {object} [options]
+ * @param {number} [options.longevityTargetHours=24] - Listing lifetime that earns a full
+ *   longevity component.
+ * @returns {number} - Score between 0 and 1.
+ */
+function computeScore(metrics, { longevityTargetHours = 24 } = {}) {
+  const components = {};
+  if (metrics.listings > 0) {
+    components.longevity = Math.min(1, metrics.avgLifetimeSec / (longevityTargetHours * 3600));
+    components.quickDeletes = 1 - metrics.quickDeletes / metrics.listings;
+  }
+  if (metrics.outlierSamples >= MIN_OUTLIER_SAMPLES) {
+    components.outliers = 1 - metrics.outliers / metrics.outlierSamples;
+  }
+
+  let score = DEFAULT_SCORE;
+  const weights = Object.keys(components).reduce((acc, key) => acc + WEIGHTS[key], 0);
+  if (weights > 0) {
+    score =
+      Object.entries(components).reduce((acc, [key, value]) => acc + value * WEIGHTS[key], 0) /
+      weights;
+  }
+  score += Math.min(MAX_TRADE_BONUS, (metrics.trades || 0) * TRADE_BONUS);
+  return Math.round(clamp(score) * 1000) / 1000;
+}
+
+// Number of accepted trades per partner steamid in a tf2autobot polldata.json.
+function loadTradePartners(pollDataPath) {
+  const partners = new Map();
+  if (!pollDataPath || !fs.existsSync(pollDataPath)) {
+    return partners;
+  }
+  try {
+    const offerData = JSON.parse(fs.readFileSync(pollDataPath, 'utf8')).offerData || {};
+    for (const trade of Object.values(offerData)) {
+      const accepted = trade.action?.action === 'accept' || trade.isAccepted;
+      if (accepted && trade.partner) {
+        const partner = String(trade.partner);
+        partners.set(partner, (partners.get(partner) || 0) + 1);
+      }
+    }
+  } catch (err) {
+    console.error('[Reputation] Failed to read polldata:', err.message);
+  }
+  return partners;
+}
+
+// Listing lifetimes per steamid. Events of a (steamid, name, intent) are split into
+// listings at every delete; listings still up count with their age so far. A listing starts
+// when bptf says it was listed (`listed_at`). Without that, the first listing of each
+// (steamid, name, intent) in the window is left out, as it may have been listed before the
+// window and its lifetime can't be told.
+async function getListingMetrics(db, lookbackDays, quickDeleteMinutes) {
+  return db.any(
+    `WITH ordered AS (
+       SELECT steamid, name, intent, event, event_time, listed_at,
+         COALESCE(SUM(CASE WHEN event = 'listing-delete' THEN 1 ELSE 0 END) OVER (
+           PARTITION BY steamid, name, intent ORDER BY event_time
+           ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+         ), 0) AS listing_no
+       FROM listing_history
+       WHERE event_time >= NOW() - $1 * INTERVAL '1 day'
+     ), lifetimes AS (
+       SELECT steamid,
+         COALESCE(
+           MIN(TO_TIMESTAMP(listed_at)) FILTER (WHERE event = 'listing-update'),
+           CASE WHEN listing_no > 0
+             THEN MIN(event_time) FILTER (WHERE event = 'listing-update') END
+         ) AS listed,
+         MAX(event_time) FILTER (WHERE event = 'listing-delete') AS deleted
+       FROM ordered
+       GROUP BY steamid, name, intent, listing_no
+     )
+     SELECT steamid,
+       COUNT(*)::int AS listings,
+       AVG(EXTRACT(EPOCH FROM COALESCE(deleted, NOW()) - listed)) AS avg_lifetime_sec,
+       COUNT(*) FILTER (
+         WHERE deleted IS NOT NULL AND deleted - listed < $2 * INTERVAL '1 minute'
+       )::int AS quick_deletes
+     FROM lifetimes
+     WHERE listed IS NOT NULL
+     GROUP BY steamid`,
+    [lookbackDays, quickDeleteMinutes]
+  );
+}
+
+// How often each steamid's listings were used or dropped as outliers by the pricer.
+async function getOutlierMetrics(db, lookbackDays) {
+  return db.any(
+    `WITH seen AS (
+       SELECT l->>'steamid' AS steamid, false AS outlier
+       FROM price_explanations,
+         jsonb_array_elements(explanation->'listings'->'buy'->'listings') AS l
+       WHERE created_at >= NOW() - $1 * INTERVAL '1 day'
+       UNION ALL
+       SELECT l->>'steamid', false
+       FROM price_explanations,
+         jsonb_array_elements(explanation->'listings'->'sell'->'listings') AS l
+       WHERE created_at >= NOW() - $1 * INTERVAL '1 day'
+       UNION ALL
+       SELECT l->>'steamid', true
+       FROM price_explanations,
+         jsonb_array_elements(explanation->'outliers'->'buy'->'listings') AS l
+       WHERE created_at >= NOW() - $1 * INTERVAL '1 day'
+       UNION ALL
+       SELECT l->>'steamid', true
+       FROM price_explanations,
+         jsonb_array_elements(explanation->'outliers'->'sell'->'listings') AS l
+       WHERE created_at >= NOW() - $1 * INTERVAL '1 day'
+     )
+     SELECT steamid, COUNT(*)::int AS samples, COUNT(*) FILTER (WHERE outlier)::int AS outliers
+     FROM seen
+     WHERE steamid IS NOT NULL
+     GROUP BY steamid`,
+    [lookbackDays]
+  );
+}
+
+/**
+ * Recomputes the score of every steamid seen in the lookback window and stores it in
+ * tf2.steamid_reputation. Manual overrides are left untouched.
+ * @param {object} pgp - pg-promise instance.
+ * @param {object} db - pg-promise database instance.
+ * @param {object} [options]
+ * @param {number} [options.lookbackDays=7] - Days of behaviour to score on.
+ * @param {number} [options.quickDeleteMinutes=10] - Listings deleted sooner count as quick deletes.
+ * @param {number} [options.longevityTargetHours=24] - See computeScore.
+ * @param {string} [options.pollDataPath] - polldata.json of our bot, for trade partners.
+ * @returns {Promise<number>} - Number of steamids scored.
+ */
+async function refreshReputation(
+  pgp,
+  db,
+  { lookbackDays = 7, quickDeleteMinutes = 10, longevityTargetHours = 24, pollDataPath } = {}
+) {
+  const metrics = new Map();
+  const get = (steamid) => {
+    if (!metrics.has(steamid)) {
+      metrics.set(steamid, {
+        listings: 0,
+        avgLifetimeSec: null,
+        quickDeletes: 0,
+        outliers: 0,
+        outlierSamples: 0,
+        trades: 0,
+      });
+    }
+    return metrics.get(steamid);
+  };
+
+  for (const row of await getListingMetrics(db, lookbackDays, quickDeleteMinutes)) {
+    const m = get(row.steamid);
+    m.listings = row.listings;
+    m.avgLifetimeSec = Number(row.avg_lifetime_sec);
+    m.quickDeletes = row.quick_deletes;
+  }
+  for (const row of await getOutlierMetrics(db, lookbackDays)) {
+    const m = get(row.steamid);
+    m.outliers = row.outliers;
+    m.outlierSamples = row.samples;
+  }
+  for (const [steamid, trades] of loadTradePartners(pollDataPath)) {
+    get(steamid).trades = trades;
+  }
+
+  const rows = Array.from(metrics.entries()).map(([steamid, m]) => ({
+    steamid,
+    score: computeScore(m, { longevityTargetHours }),
+    listings: m.listings,
+    avg_lifetime_sec: m.avgLifetimeSec,
+    quick_deletes: m.quickDeletes,
+    outliers: m.outliers,
+    outlier_samples: m.outlierSamples,
+    trades: m.trades,
+    updated_at: new Date(),
+  }));
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const cs = new pgp.helpers.ColumnSet(
+    [
+      'steamid',
+      'score',
+      'listings',
+      'avg_lifetime_sec',
+      'quick_deletes',
+      'outliers',
+      'outlier_samples',
+      'trades',
+      'updated_at',
+    ],
+    { table: 'steamid_reputation' }
+  );
+  const BATCH_SIZE = 1000;
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await db.none(
+      pgp.helpers.insert(rows.slice(i, i + BATCH_SIZE), cs) +
+        ' ON CONFLICT (steamid) DO UPDATE SET ' +
+        cs.assignColumns({ from: 'EXCLUDED', skip: 'steamid' })
+    );
+  }
+  console.log(`[Reputation] Scored ${rows.length} steamids.`);
+  return rows.length;
+}
+
+// Computed scores and overrides by steamid, for createScoreLookup.
+async function loadReputation(db) {
+  const rows = await db.any('SELECT steamid, score, override_score FROM steamid_reputation');
+  return new Map(
+    rows.map((r) => [
+      r.steamid,
+      {
+        score: Number(r.score),
+        override: r.override_score === null ? null : Number(r.override_score),
+      },
+    ])
+  );
+}
+
+/**
+ * Builds the score lookup used by the pricing pipeline. A manual override wins, then
+ * membership of trustedSteamIDs (score 1), then the computed score.
+ * @param {Map} reputation - Result of loadReputation.
+ * @param {string[]} [trustedSteamIds] - trustedSteamIDs from config.json.
+ * @returns {Function} - (steamid) => score.
+ */
+function createScoreLookup(reputation, trustedSteamIds = []) {
+  const trusted = new Set(trustedSteamIds);
+  return (steamid) => {
+    const entry = reputation.get(steamid);
+    if (entry && entry.override !== null) {
+      return entry.override;
+    }
+    if (trusted.has(steamid)) {
+      return 1;
+    }
+    return entry ? entry.score : DEFAULT_SCORE;
+  };
+}
+
+async function getReputationList(db, { search = '', limit = 100 } = {}) {
+  return db.any(
+    `SELECT * FROM steamid_reputation
+     WHERE steamid LIKE $1
+     ORDER BY (override_score IS NULL), listings DESC, steamid
+     LIMIT $2`,
+    [`${search}%`, limit]
+  );
+}
+
+async function setReputationOverride(db, steamid, score, note = null) {
+  await db.none(
+    `INSERT INTO steamid_reputation (steamid, score, override_score, override_note)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (steamid) DO UPDATE
+     SET override_score = EXCLUDED.override_score, override_note = EXCLUDED.override_note`,
+    [steamid, DEFAULT_SCORE, clamp(score), note]
+  );
+}
+
+async function clearReputationOverride(db, steamid) {
+  await db.none(
+    'UPDATE steamid_reputation SET override_score = NULL, override_note = NULL WHERE steamid = $1',
+    [steamid]
+  );
+}
+
+module.exports = {
+  DEFAULT_SCORE,
+  computeScore,
+  loadTradePartners,
+  refreshReputation,
+  loadReputation,
+  createScoreLookup,
+  getReputationList,
+  setReputationOverride,
+  clearReputationOverride,
+};
@@ -1,7 +1,10 @@
 const path = require('path');
 const renderPage = require('../layout');
-const { loadJson } = require('../utils');
+const { loadJson, escapeHtml } = require('../utils');
 const { db } = require('../dbInstance');
+const { getFallbackSkus, getListingCounts, summariseFallbacks } = require('../fallbackPromotion');
+const createItemListManager = require('../itemList');
+const { getBaseConfigManager } = require('../baseConfigManager');
 
 module.exports = function (app) {
   app.get('/dashboard', async (req, res) => {
@@ -87,6 +90,24 @@ module.exports = function (app) {
         console.log('Key price data not available');
       }
 
+      // Fallback coverage of the pricelist
+      let fallbackSummary = null;
+      try {
+        const pricelist = loadJson(path.resolve(__dirname, '../../files/pricelist.json'));
+        const counts = await getListingCounts(db, getFallbackSkus(pricelist.items));
+        const { getItemProfile } = createItemListManager(
+          path.resolve(__dirname, '../../files/item_list.json'),
+          getBaseConfigManager().getConfig()
+        );
+        fallbackSummary = summariseFallbacks(
+          pricelist.items,
+          counts,
+          (name) => getItemProfile(name).minListings
+        );
+      } catch (error) {
+        console.log('Fallback coverage not available');
+      }
+
       // Calculate top traded items
       const itemCounts = {};
       trades24h.forEach((trade) => {
@@ -160,6 +181,57 @@ module.exports = function (app) {
 
       html += '</div>';
 
+      // Fallback Coverage Panel
+      if (fallbackSummary) {
+        const coverage = Math.round(fallbackSummary.coverage * 100);
+        const coverageColor = coverage >= 90 ? '#28a745' : coverage >= 70 ? '#ffc107' : '#dc3545';
+        const sources = Object.entries(fallbackSummary.bySource)
+          .map(([source, count]) => `${escapeHtml(source)}: <strong>${count}</strong>`)
+          .join(' · ');
+        html +=
+          '<div style="background: white; border: 1px solid #ddd; border-radius: 12px; padding: 25px; margin-bottom: 30px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">';
+        html += '<h3 style="margin: 0 0 20px 0; color: #333;">↩️ Fallback Coverage</h3>';
+        html +=
+          '<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; text-align: center;">';
+        html += `<div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">
+          <div style="font-size: 1.1em; font-weight: bold; color: #333;">Priced From Listings</div>
+          <div style="font-size: 1.8em; font-weight: bold; color: ${coverageColor}; margin-top: 5px;">${coverage}%</div>
+          <div style="color: #666; font-size: 0.9em;">${fallbackSummary.fromListings} of ${fallbackSummary.total} items</div>
+        </div>`;
+        html += `<div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">
+          <div style="font-size: 1.1em; font-weight: bold; color: #333;">On Fallbacks</div>
+          <div style="font-size: 1.8em; font-weight: bold; color: #856404; margin-top: 5px;">${fallbackSummary.fallbacks.length}</div>
+          <div style="color: #666; font-size: 0.9em;">${sources || 'None'}</div>
+        </div>`;
+        html += `<div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">
+          <div style="font-size: 1.1em; font-weight: bold; color: #333;">Fallback Age</div>
+          <div style="font-size: 1.8em; font-weight: bold; color: #333; margin-top: 5px;">${fallbackSummary.medianAgeHours ?? '-'}h</div>
+          <div style="color: #666; font-size: 0.9em;">Median, oldest ${fallbackSummary.oldestAgeHours ?? '-'}h</div>
+        </div>`;
+        html += `<div style="padding: 15px; background: #f8f9fa; border-radius: 8px;">
+          <div style="font-size: 1.1em; font-weight: bold; color: #333;">Ready To Promote</div>
+          <div style="font-size: 1.8em; font-weight: bold; color: #28a745; margin-top: 5px;">${fallbackSummary.promotable}</div>
+          <div style="color: #666; font-size: 0.9em;">Enough listings for the next run</div>
+        </div>`;
+        html += '</div>';
+
+        const oldest = fallbackSummary.fallbacks.slice(0, 10);
+        if (oldest.length > 0) {
+          html +=
+            '<table style="width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 0.9em;">';
+          html +=
+            '<tr style="background: #f8f9fa;"><th style="padding: 8px; text-align: left;">Longest On Fallbacks</th><th style="padding: 8px;">Source</th><th style="padding: 8px;">Age</th><th style="padding: 8px;">Buy / Sell Listings</th></tr>';
+          oldest.forEach((f) => {
+            html += `<tr><td style="padding: 8px; border-bottom: 1px solid #eee;"><a href="/explain/${encodeURIComponent(f.sku)}">${escapeHtml(f.name)}</a></td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${escapeHtml(f.source)}</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${f.ageHours}h</td>`;
+            html += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center; color: ${f.promotable ? '#28a745' : '#666'};">${f.listings.buy} / ${f.listings.sell}</td></tr>`;
+          });
+          html += '</table>';
+        }
+        html += '</div>';
+      }
+
       // Charts and Details Row
       html +=
         '<div style="display: grid; grid-template-columns: 2fr 1fr; gap: 30px; margin-bottom: 30px;">';
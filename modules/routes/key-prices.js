@@ -1,8 +1,117 @@
 /* eslint-disable spellcheck/spell-checker */
 const { db } = require('../dbInstance');
 const renderPage = require('../layout');
+const { escapeHtml } = require('../utils');
+const { getBaseConfigManager } = require('../baseConfigManager');
+const { getLatestKeyPriceSources, getKeyPriceSourceHistory } = require('../keyPriceConsensus');
 
 module.exports = (app) => {
+  const SOURCE_LABELS = {
+    bptf: 'backpack.tf',
+    listings: 'Listings',
+    scm: 'Steam Market',
+    trades: 'Our Trades',
+    consensus: 'Consensus',
+  };
+  const SOURCE_COLOURS = {
+    bptf: '#007cba',
+    listings: '#fd7e14',
+    scm: '#6f42c1',
+    trades: '#20c997',
+    consensus: '#343a40',
+  };
+
+  function formatSide(value, used) {
+    if (value === null) {
+      return '—';
+    }
+    const metal = parseFloat(value).toFixed(2);
+    return used
+      ? metal
+      : `<span style="color: #999; text-decoration: line-through;">${metal}</span>`;
+  }
+
+  function buildSourcesCard(sources, consensusConfig) {
+    let html =
+      '<div style="background: white; border: 1px solid #ddd; border-radius: 8px; overflow: hidden; margin-bottom: 20px;">';
+    html += '<div style="background: #f8f9fa; padding: 15px; border-bottom: 1px solid #ddd;">';
+    html += '<h3 style="margin: 0;">🔑 Key Price Sources</h3>';
+    html += `<p style="margin: 5px 0 0 0; color: #666;">Each side is the weighted median of the sources, ignoring those more than ${((consensusConfig.maxDeviation ?? 0.05) * 100).toFixed(1)}% away from it (struck through).</p>`;
+    html += '</div>';
+
+    if (!consensusConfig.enabled) {
+      html +=
+        '<p style="padding: 15px; margin: 0;">⚠️ Key price consensus is disabled (<code>keyPriceConsensus.enabled</code> in config.json), the backpack.tf key price is used.</p>';
+      return html + '</div>';
+    }
+    if (sources.length === 0) {
+      html +=
+        '<p style="padding: 15px; margin: 0;">No consensus has been recorded yet, it is computed at start-up and every 30 minutes.</p>';
+      return html + '</div>';
+    }
+
+    html += '<table style="width: 100%; border-collapse: collapse;">';
+    html += '<thead><tr style="background: #f8f9fa;">';
+    html +=
+      '<th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Source</th>';
+    html +=
+      '<th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Weight</th>';
+    html +=
+      '<th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Buy</th>';
+    html +=
+      '<th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Sell</th>';
+    html +=
+      '<th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Status</th>';
+    html += '</tr></thead><tbody>';
+    for (const row of sources) {
+      const isConsensus = row.source === 'consensus';
+      const rowStyle = isConsensus ? 'background: #e8f4fd; font-weight: bold;' : '';
+      let status = '✅ Used';
+      if (row.error) {
+        status = `❌ ${escapeHtml(row.error)}`;
+      } else if (!row.buy_used && !row.sell_used) {
+        status = '⚠️ Rejected as an outlier';
+      } else if (!row.buy_used || !row.sell_used) {
+        status = `⚠️ ${row.buy_used ? 'Sell' : 'Buy'} side rejected or missing`;
+      }
+      html += `<tr style="${rowStyle}">`;
+      html += `<td style="padding: 10px; border-bottom: 1px solid #eee;">${escapeHtml(SOURCE_LABELS[row.source] || row.source)}</td>`;
+      html += `<td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${row.weight === null ? '—' : parseFloat(row.weight)}</td>`;
+      html += `<td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${formatSide(row.buy_metal, row.buy_used)}</td>`;
+      html += `<td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${formatSide(row.sell_metal, row.sell_used)}</td>`;
+      html += `<td style="padding: 10px; border-bottom: 1px solid #eee;">${isConsensus ? new Date(row.created_at).toLocaleString() : status}</td>`;
+      html += '</tr>';
+    }
+    html += '</tbody></table>';
+    return html + '</div>';
+  }
+
+  // One dataset per source, aligned on the time of each consensus run.
+  function buildSourceDatasets(history) {
+    const runs = [...new Set(history.map((r) => new Date(r.created_at).getTime()))];
+    const index = new Map(runs.map((time, i) => [time, i]));
+    const datasets = {};
+    for (const row of history) {
+      if (!datasets[row.source]) {
+        datasets[row.source] = {
+          label: SOURCE_LABELS[row.source] || row.source,
+          data: new Array(runs.length).fill(null),
+          borderColor: SOURCE_COLOURS[row.source] || '#999',
+          fill: false,
+          spanGaps: true,
+          tension: 0.3,
+          borderWidth: row.source === 'consensus' ? 3 : 1.5,
+        };
+      }
+      const value = row.sell_metal === null ? null : parseFloat(row.sell_metal);
+      datasets[row.source].data[index.get(new Date(row.created_at).getTime())] = value;
+    }
+    return {
+      labels: runs.map((time) => new Date(time).toLocaleString()),
+      datasets: Object.values(datasets),
+    };
+  }
+
   app.get('/key-prices', async (req, res) => {
     try {
       const data = await db.any(`
@@ -12,6 +121,18 @@ module.exports = (app) => {
         ORDER BY created_at ASC
       `);
 
+      const consensusConfig = getBaseConfigManager().get('keyPriceConsensus', {});
+      // The sources table is optional, older databases may not have it yet.
+      let sources = [];
+      let sourceHistory = [];
+      try {
+        sources = await getLatestKeyPriceSources(db);
+        sourceHistory = await getKeyPriceSourceHistory(db, 14);
+      } catch (err) {
+        console.warn('Could not load key price sources:', err.message);
+      }
+      const sourceChart = buildSourceDatasets(sourceHistory);
+
       const timestamps = data.map((p) => new Date(p.timestamp * 1000).toLocaleString());
       const buyPrices = data.map((p) => parseFloat(p.buy_price_metal));
       const sellPrices = data.map((p) => parseFloat(p.sell_price_metal));
@@ -67,6 +188,8 @@ module.exports = (app) => {
 
       html += '</div>';
 
+      html += buildSourcesCard(sources, consensusConfig);
+
       // Chart Container
       html +=
         '<div style="background: white; border: 1px solid #ddd; border-radius: 8px; overflow: hidden; margin-bottom: 20px;">';
@@ -80,6 +203,20 @@ module.exports = (app) => {
       html += '</div>';
       html += '</div>';
 
+      if (sourceChart.datasets.length > 0) {
+        html +=
+          '<div style="background: white; border: 1px solid #ddd; border-radius: 8px; overflow: hidden; margin-bottom: 20px;">';
+        html += '<div style="background: #f8f9fa; padding: 15px; border-bottom: 1px solid #ddd;">';
+        html += '<h3 style="margin: 0;">🔑 Sell Price by Source</h3>';
+        html +=
+          '<p style="margin: 5px 0 0 0; color: #666;">Key sell price reported by each source and the consensus</p>';
+        html += '</div>';
+        html += '<div style="padding: 20px;">';
+        html += '<canvas id="sourceChart" width="1000" height="300"></canvas>';
+        html += '</div>';
+        html += '</div>';
+      }
+
       // Data insights
       if (data.length > 0) {
         const latestBuy = buyPrices[buyPrices.length - 1];
@@ -174,6 +311,23 @@ module.exports = (app) => {
               }
             }
           });
+          const sourceCanvas = document.getElementById('sourceChart');
+          if (sourceCanvas) {
+            new Chart(sourceCanvas.getContext('2d'), {
+              type: 'line',
+              data: ${JSON.stringify(sourceChart)},
+              options: {
+                responsive: true,
+                scales: {
+                  y: {
+                    title: { display: true, text: 'Sell Price (Refined Metal)' },
+                    beginAtZero: false
+                  }
+                },
+                interaction: { intersect: false, mode: 'index' }
+              }
+            });
+          }
         </script>
       `;
 
@@ -0,0 +1,234 @@
+// routes/locks.js
+const express = require('express');
+const { db } = require('../dbInstance');
+const renderPage = require('../layout');
+const { escapeHtml } = require('../utils');
+const {
+  setPriceLock,
+  clearPriceLock,
+  getPriceLocks,
+  getPriceLock,
+  getPriceLockAudit,
+} = require('../priceLocks');
+
+module.exports = function (app) {
+  const router = express.Router();
+
+  const inputStyle = 'padding: 8px; border: 1px solid #ddd; border-radius: 4px;';
+
+  function formatPrice(price) {
+    if (!price) {
+      return '<span style="color: #666;">not locked</span>';
+    }
+    return `${price.keys || 0} keys, ${price.metal || 0} ref`;
+  }
+
+  function formatDate(date) {
+    return date ? new Date(date).toLocaleString() : 'never';
+  }
+
+  // Value for the expiry date input, in local time.
+  function toInputDate(date) {
+    if (!date) {
+      return '';
+    }
+    const d = new Date(date);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  function buildLockForm(values) {
+    const side = (name, label, price) => `
+      <div style="flex: 1; min-width: 200px;">
+        <label style="font-weight: bold;">${label}</label><br>
+        <input type="number" name="${name}Keys" min="0" step="1" placeholder="keys" value="${price ? price.keys : ''}" style="${inputStyle} width: 70px;">
+        <input type="number" name="${name}Metal" min="0" step="0.01" placeholder="ref" value="${price ? price.metal : ''}" style="${inputStyle} width: 90px;">
+      </div>`;
+
+    return `
+      <div style="background: #e8f4fd; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+        <h3 style="margin-top: 0;">🔒 Lock a Price</h3>
+        <p>Leave a side empty to keep pricing it automatically. Setting a lock on a SKU that is already locked replaces it.</p>
+        <form method="POST" action="/locks" style="display: flex; flex-direction: column; gap: 12px;">
+          <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+            <input type="text" name="name" placeholder="Item name" required value="${escapeHtml(values.name || '')}" style="${inputStyle} flex: 2; min-width: 250px;">
+            <input type="text" name="sku" placeholder="SKU, e.g. 5021;6" required value="${escapeHtml(values.sku || '')}" style="${inputStyle} flex: 1; min-width: 150px;">
+          </div>
+          <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+            ${side('buy', '🟢 Buy', values.buy)}
+            ${side('sell', '🔴 Sell', values.sell)}
+            <div style="flex: 1; min-width: 200px;">
+              <label style="font-weight: bold;">Until (optional)</label><br>
+              <input type="datetime-local" name="expiresAt" value="${toInputDate(values.expires_at)}" style="${inputStyle}">
+            </div>
+          </div>
+          <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+            <input type="text" name="note" placeholder="Reason (optional)" value="${escapeHtml(values.note || '')}" style="${inputStyle} flex: 2; min-width: 250px;">
+            <input type="text" name="actor" placeholder="Your name" required style="${inputStyle} flex: 1; min-width: 150px;">
+            <button type="submit" style="background: #28a745; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; font-weight: bold;">Save Lock</button>
+          </div>
+        </form>
+      </div>`;
+  }
+
+  function buildLocksTable(locks) {
+    if (locks.length === 0) {
+      return `
+        <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0;">
+          <h3>No Locked Prices</h3>
+          <p>Every item is priced automatically.</p>
+        </div>
+      `;
+    }
+
+    let tbl = `
+      <div style="background: white; border: 1px solid #ddd; border-radius: 8px; overflow-x: auto; margin: 20px 0;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="background: #f8f9fa;">
+              <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Item</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Buy</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Sell</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Until</th>
+              <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Note</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Set By</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Actions</th>
+            </tr>
+          </thead>
+          <tbody>`;
+
+    locks.forEach((lock, idx) => {
+      const rowStyle = idx % 2 === 0 ? 'background: #f9f9f9;' : '';
+      const sku = encodeURIComponent(lock.sku);
+      tbl += `
+        <tr style="${rowStyle}">
+          <td style="padding: 10px; border-bottom: 1px solid #eee;">
+            <a href="/locks?sku=${sku}">${escapeHtml(lock.name)}</a><br>
+            <small style="color: #666;">${escapeHtml(lock.sku)}</small>
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${formatPrice(lock.buy)}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${formatPrice(lock.sell)}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${formatDate(lock.expires_at)}</td>
+          <td style="padding: 10px; border-bottom: 1px solid #eee;">${escapeHtml(lock.note || '')}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">
+            ${escapeHtml(lock.created_by)}<br><small style="color: #666;">${formatDate(lock.updated_at)}</small>
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee; white-space: nowrap;">
+            <form method="POST" action="/locks/${sku}/clear" style="display: inline; margin: 0;">
+              <input type="text" name="actor" placeholder="Your name" required style="padding: 5px; border: 1px solid #ddd; border-radius: 3px; width: 100px;">
+              <button type="submit" style="background: #dc3545; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer;">🔓 Clear</button>
+            </form>
+          </td>
+        </tr>`;
+    });
+
+    tbl += `
+          </tbody>
+        </table>
+      </div>`;
+    return tbl;
+  }
+
+  function buildAuditTable(rows) {
+    if (rows.length === 0) {
+      return '<p style="color: #666; font-style: italic;">No lock changes yet.</p>';
+    }
+    const actionColours = { set: '#007cba', cleared: '#dc3545', expired: '#6c757d' };
+    let tbl = '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+    tbl +=
+      '<tr style="background: #f8f9fa;"><th style="padding: 8px; text-align: left;">Time</th><th style="padding: 8px; text-align: left;">Item</th><th style="padding: 8px;">Action</th><th style="padding: 8px;">Buy</th><th style="padding: 8px;">Sell</th><th style="padding: 8px;">Until</th><th style="padding: 8px; text-align: left;">Note</th><th style="padding: 8px;">By</th></tr>';
+    rows.forEach((row) => {
+      tbl += `<tr><td style="padding: 8px; border-bottom: 1px solid #eee;">${formatDate(row.created_at)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(row.name || '')} <small style="color: #666;">${escapeHtml(row.sku)}</small></td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center; color: ${actionColours[row.action] || '#495057'};">${escapeHtml(row.action)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${formatPrice(row.buy)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${formatPrice(row.sell)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${formatDate(row.expires_at)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(row.note || '')}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${escapeHtml(row.actor)}</td></tr>`;
+    });
+    tbl += '</table>';
+    return tbl;
+  }
+
+  function renderError(res, title, message) {
+    let html = '<div style="max-width: 800px; margin: 0 auto; padding: 20px;">';
+    html +=
+      '<div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 20px; border-radius: 8px; text-align: center;">';
+    html += `<h2>❌ ${title}</h2>`;
+    html += `<p>${escapeHtml(message)}</p>`;
+    html +=
+      '<p><a href="/locks" style="background: #007cba; color: white; padding: 10px 15px; text-decoration: none; border-radius: 4px;">← Back to Price Locks</a></p>';
+    html += '</div>';
+    html += '</div>';
+    res.status(400).send(renderPage('Error', html));
+  }
+
+  // Lists the active locks. With ?sku= the form is filled in with the lock of that SKU, or with
+  // ?name= for an item that isn't locked yet.
+  router.get('/locks', async (req, res) => {
+    try {
+      const sku = req.query.sku || '';
+      const [locks, audit, current] = await Promise.all([
+        getPriceLocks(db),
+        getPriceLockAudit(db, { sku: sku || null, limit: 50 }),
+        sku ? getPriceLock(db, sku) : null,
+      ]);
+
+      let html = '<div style="max-width: 1400px; margin: 0 auto; padding: 20px;">';
+
+      // Header
+      html +=
+        '<div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 20px;">';
+      html += '<h2>🔒 Price Locks</h2>';
+      html +=
+        '<p>A locked side keeps its price through every pricing run, fallback and key price adjustment until the lock expires or is cleared. New and changed locks are published within a minute; a cleared lock keeps its last price until the item is priced again.</p>';
+      html += '</div>';
+
+      html += buildLockForm(current || { sku, name: req.query.name });
+      html += buildLocksTable(locks);
+
+      html +=
+        '<div style="background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px;">';
+      html += `<h4 style="margin-top: 0;">📜 Lock History${sku ? ` of ${escapeHtml(sku)}` : ''}</h4>`;
+      html += buildAuditTable(audit);
+      html += '</div>';
+
+      html += '</div>';
+      res.send(renderPage('Price Locks', html));
+    } catch (error) {
+      console.error('Error in locks route:', error);
+      res.status(500).send(renderPage('Price Locks - Error', `<p>${error.message}</p>`));
+    }
+  });
+
+  router.post('/locks', async (req, res) => {
+    const body = req.body;
+    try {
+      await setPriceLock(db, {
+        sku: (body.sku || '').trim(),
+        name: (body.name || '').trim(),
+        buy: { keys: body.buyKeys, metal: body.buyMetal },
+        sell: { keys: body.sellKeys, metal: body.sellMetal },
+        expiresAt: body.expiresAt,
+        note: body.note,
+        actor: body.actor,
+      });
+      res.redirect('/locks');
+    } catch (error) {
+      renderError(res, 'Error Saving Lock', error.message);
+    }
+  });
+
+  router.post('/locks/:sku/clear', async (req, res) => {
+    try {
+      if (!(await clearPriceLock(db, req.params.sku, req.body.actor))) {
+        throw new Error('This SKU is not locked, it may have expired already.');
+      }
+      res.redirect('/locks');
+    } catch (error) {
+      renderError(res, 'Error Clearing Lock', error.message);
+    }
+  });
+
+  app.use('/', router);
+};
@@ -5,6 +5,7 @@ const express = require('express');
 const { loadJson } = require('../utils');
 const renderPage = require('../layout');
 const { getBaseConfigManager } = require('../baseConfigManager');
+const { Currency, SCRAP_PER_REFINED, scrapToRefined } = require('../currency');
 
 module.exports = function (app, config, configManager) {
   const router = express.Router();
@@ -19,7 +20,7 @@ module.exports = function (app, config, configManager) {
 
     return {
       pollDataPath: path.resolve(
-        selectedBot.tf2autobotPath+"/files/" || selectedBot.tf2AutobotDir+"/files/",
+        selectedBot.tf2autobotPath + '/files/' || selectedBot.tf2AutobotDir + '/files/',
         selectedBot.botDirectory || selectedBot.botTradingDir,
         'polldata.json'
       ),
@@ -55,6 +56,8 @@ module.exports = function (app, config, configManager) {
         // Use a reasonable default if key price is missing or seems wrong
         keyPrice = 52.22;
       }
+      // Trade values are added up in whole scrap, so totals don't drift
+      const toScrap = (value) => Currency.fromObject(value, { keyPrice }).toScrap(keyPrice);
 
       let parsed;
       try {
@@ -110,7 +113,7 @@ module.exports = function (app, config, configManager) {
       const itemTransactions = {}; // Track individual item buy/sell transactions
       const summary = {}; // Final summary of profit/loss per item
       const profitPoints = [];
-      let totalProfit = 0;
+      let totalProfitScrap = 0;
 
       // Sort history by timestamp ascending
       filteredHistory.sort((a, b) => {
@@ -156,21 +159,21 @@ module.exports = function (app, config, configManager) {
         const valueTheir = t.value?.their || { keys: 0, metal: 0 };
 
         // Handle different value formats
-        let ourTotalMetal, theirTotalMetal;
+        let ourTotalScrap, theirTotalScrap;
         if (valueOur.total !== undefined && valueTheir.total !== undefined) {
-          // Convert from scrap to refined (9 scrap = 1 refined)
-          ourTotalMetal = valueOur.total / 9;
-          theirTotalMetal = valueTheir.total / 9;
+          // Already in scrap
+          ourTotalScrap = valueOur.total;
+          theirTotalScrap = valueTheir.total;
         } else {
           // Fallback to keys + metal format
-          ourTotalMetal = (valueOur.keys || 0) * keyPrice + (valueOur.metal || 0);
-          theirTotalMetal = (valueTheir.keys || 0) * keyPrice + (valueTheir.metal || 0);
+          ourTotalScrap = toScrap(valueOur);
+          theirTotalScrap = toScrap(valueTheir);
         }
 
-        const tradeProfit = theirTotalMetal - ourTotalMetal;
-        totalProfit += tradeProfit;
+        const tradeProfit = theirTotalScrap - ourTotalScrap;
+        totalProfitScrap += tradeProfit;
 
-        profitPoints.push({ x: timeISO, y: parseFloat(totalProfit.toFixed(2)) });
+        profitPoints.push({ x: timeISO, y: scrapToRefined(Math.round(totalProfitScrap)) });
 
         // Track individual item transactions with ACTUAL prices from trade data
         const itemsWeGave = t.dict?.our || {};
@@ -194,12 +197,11 @@ module.exports = function (app, config, configManager) {
           // Use ACTUAL sell price from trade data when available
           let sellPricePerItem = 0;
           if (itemPrices[sku]?.sell) {
-            const sellPrice = itemPrices[sku].sell;
-            sellPricePerItem = (sellPrice.keys || 0) * keyPrice + (sellPrice.metal || 0);
+            sellPricePerItem = toScrap(itemPrices[sku].sell);
           } else {
             // If no individual price available, distribute trade value proportionally
             const ourItemCount = Object.values(itemsWeGave).reduce((sum, qty) => sum + qty, 0);
-            sellPricePerItem = ourItemCount > 0 ? ourTotalMetal / ourItemCount : 0;
+            sellPricePerItem = ourItemCount > 0 ? ourTotalScrap / ourItemCount : 0;
           }
 
           for (let i = 0; i < qty; i++) {
@@ -225,15 +227,14 @@ module.exports = function (app, config, configManager) {
           // Use ACTUAL buy price from trade data when available
           let buyPricePerItem = 0;
           if (itemPrices[sku]?.buy) {
-            const buyPrice = itemPrices[sku].buy;
-            buyPricePerItem = (buyPrice.keys || 0) * keyPrice + (buyPrice.metal || 0);
+            buyPricePerItem = toScrap(itemPrices[sku].buy);
           } else {
             // If no individual price available, distribute trade value proportionally
             const theirItemCount = Object.values(itemsWeReceived).reduce(
               (sum, qty) => sum + qty,
               0
             );
-            buyPricePerItem = theirItemCount > 0 ? theirTotalMetal / theirItemCount : 0;
+            buyPricePerItem = theirItemCount > 0 ? theirTotalScrap / theirItemCount : 0;
           }
 
           for (let i = 0; i < qty; i++) {
@@ -281,14 +282,18 @@ module.exports = function (app, config, configManager) {
             qty: netQty,
             totalBought: boughtCount,
             totalSold: transactions.totalSold, // Use actual total sold
-            profit: parseFloat(totalItemProfit.toFixed(2)), // This is only profit from FIFO matched items
+            profit: scrapToRefined(Math.round(totalItemProfit)), // This is only profit from FIFO matched items
             avgBuyPrice:
               buyQueue.length > 0
-                ? buyQueue.reduce((sum, buy) => sum + buy.price, 0) / buyQueue.length
+                ? buyQueue.reduce((sum, buy) => sum + buy.price, 0) /
+                  buyQueue.length /
+                  SCRAP_PER_REFINED
                 : 0,
             avgSellPrice:
               sellQueue.length > 0
-                ? sellQueue.reduce((sum, sell) => sum + sell.price, 0) / sellQueue.length
+                ? sellQueue.reduce((sum, sell) => sum + sell.price, 0) /
+                  sellQueue.length /
+                  SCRAP_PER_REFINED
                 : 0,
           };
         }
@@ -326,6 +331,7 @@ module.exports = function (app, config, configManager) {
       html += '</div>';
 
       // Summary Statistics
+      const totalProfit = scrapToRefined(Math.round(totalProfitScrap));
       html += '<div style="display: flex; gap: 20px; margin-bottom: 20px; flex-wrap: wrap;">';
 
       // Total Profit Card
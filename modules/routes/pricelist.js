@@ -1,7 +1,10 @@
 const path = require('path');
 const express = require('express');
-const { loadJson } = require('../utils');
+const { loadJson, escapeHtml } = require('../utils');
 const renderPage = require('../layout');
+const { db } = require('../dbInstance');
+const { getExplanations } = require('../priceExplanations');
+const { getActiveLocks } = require('../priceLocks');
 
 module.exports = function (app, config, configManager) {
   const router = express.Router();
@@ -38,7 +41,17 @@ module.exports = function (app, config, configManager) {
     };
   }
 
-  function buildTable(items, showAge, sell) {
+  function confidenceColour(score) {
+    if (score >= 0.7) {
+      return '#28a745';
+    }
+    if (score < 0.4) {
+      return '#dc3545';
+    }
+    return '#fd7e14';
+  }
+
+  function buildTable(items, showAge, sell, locks) {
     items.sort((a, b) => a.name.localeCompare(b.name));
 
     let tbl =
@@ -79,6 +92,11 @@ module.exports = function (app, config, configManager) {
       const currentSell = sell[sku];
       const defaultMin = currentSell?.min || 1;
       const defaultMax = currentSell?.max || 1;
+      const lock = locks.get(sku);
+      const lockBadge = (side) =>
+        lock?.[side]
+          ? ` <span title="Locked by ${escapeHtml(lock.created_by)}${lock.expires_at ? ` until ${new Date(lock.expires_at).toLocaleString()}` : ''}">🔒</span>`
+          : '';
 
       // Determine row background based on age and bot status
       let rowClass = '';
@@ -135,12 +153,28 @@ module.exports = function (app, config, configManager) {
                            style="background: #28a745; color: white; border: none; padding: 6px 8px; border-radius: 3px; cursor: pointer; font-size: 12px;" 
                            title="Add to bot">✅</button>`
             }
+            <a href="/explain/${encodeURIComponent(sku)}" 
+               style="background: #17a2b8; color: white; text-decoration: none; padding: 6px 8px; border-radius: 3px; font-size: 12px;" 
+               title="Explain price">🔍</a>
+            <a href="/locks?sku=${encodeURIComponent(sku)}&name=${encodeURIComponent(item.name)}" 
+               style="background: #6c757d; color: white; text-decoration: none; padding: 6px 8px; border-radius: 3px; font-size: 12px;" 
+               title="${lock ? 'Edit price lock' : 'Lock price'}">${lock ? '🔓' : '🔒'}</a>
           </div>
         </div>
       `;
 
-      tbl += `<tr class="${rowClass}" data-age="${item.age}" data-inbot="${inBot}" style="${rowStyle}">`;
-      tbl += `<td class="name" style="padding: 12px; border-bottom: 1px solid #eee; font-weight: bold;">${item.name}</td>`;
+      const confidence = item.confidence?.score ?? '';
+      tbl += `<tr class="${rowClass}" data-age="${item.age}" data-inbot="${inBot}" data-confidence="${confidence}" style="${rowStyle}">`;
+      const derivedBadge = item.derived
+        ? ` <span title="Derived from ${escapeHtml(item.derived.baseSku)} plus the ${item.derived.type === 'paint' ? 'paint' : 'kit'} premium" style="background: #e2e3e5; color: #383d41; padding: 2px 6px; border-radius: 3px; font-size: 11px; font-weight: normal;">derived</span>`
+        : '';
+      const fallbackBadge = item.fallback
+        ? ` <span title="Priced from the ${escapeHtml(item.fallback.source)} fallback" style="background: #fff3cd; color: #856404; padding: 2px 6px; border-radius: 3px; font-size: 11px; font-weight: normal;">${escapeHtml(item.fallback.source)}</span>`
+        : '';
+      const confidenceBadge = item.confidence
+        ? ` <span title="Confidence of this ${escapeHtml(item.confidence.source)} price" style="background: ${confidenceColour(item.confidence.score)}; color: white; padding: 2px 6px; border-radius: 3px; font-size: 11px; font-weight: normal;">${item.confidence.score.toFixed(2)}</span>`
+        : '';
+      tbl += `<td class="name" style="padding: 12px; border-bottom: 1px solid #eee; font-weight: bold;">${item.name}${derivedBadge}${fallbackBadge}${confidenceBadge}</td>`;
       tbl += `<td class="sku" style="padding: 12px; border-bottom: 1px solid #eee;"><code style="background: #f8f9fa; padding: 2px 4px; border-radius: 3px; font-size: 11px;">${sku}</code></td>`;
       tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; font-size: 12px;">${last}</td>`;
 
@@ -150,8 +184,8 @@ module.exports = function (app, config, configManager) {
         tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; font-weight: bold; color: ${ageColor};">${ageH}</td>`;
       }
 
-      tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; color: #28a745; font-weight: bold;">${item.buy.keys} ${buyUnit} + ${item.buy.metal} Ref</td>`;
-      tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; color: #dc3545; font-weight: bold;">${item.sell.keys} ${sellUnit} + ${item.sell.metal} Ref</td>`;
+      tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; color: #28a745; font-weight: bold;">${item.buy.keys} ${buyUnit} + ${item.buy.metal} Ref${lockBadge('buy')}</td>`;
+      tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; color: #dc3545; font-weight: bold;">${item.sell.keys} ${sellUnit} + ${item.sell.metal} Ref${lockBadge('sell')}</td>`;
       tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center; font-size: 16px;">${inBot ? '✅' : '❌'}</td>`;
       tbl += `<td style="padding: 12px; border-bottom: 1px solid #eee; text-align: center;">${actionControls}</td>`;
       tbl += '</tr>';
@@ -223,7 +257,7 @@ module.exports = function (app, config, configManager) {
     return { outdated, current, missing, sell };
   }
 
-  router.get('/', (req, res) => {
+  router.get('/', async (req, res) => {
     try {
       // Check if bot is configured
       const selectedBot = configManager.getSelectedBot();
@@ -242,6 +276,12 @@ module.exports = function (app, config, configManager) {
       }
 
       const { outdated, current, missing, sell } = loadData();
+      let locks = new Map();
+      try {
+        locks = await getActiveLocks(db);
+      } catch (err) {
+        console.error('Failed to load price locks:', err.message);
+      }
 
       let html = '<div style="max-width: 1400px; margin: 0 auto; padding: 20px;">';
 
@@ -301,6 +341,10 @@ module.exports = function (app, config, configManager) {
       html += '<div style="display: flex; gap: 10px; flex-wrap: wrap;">';
       html +=
         '<label style="display: flex; align-items: center; gap: 5px;"><input type="checkbox" class="filter" id="filter-notinbot"> Not In Bot</label>';
+      html +=
+        '<label style="display: flex; align-items: center; gap: 5px;"><input type="checkbox" class="filter" id="filter-uncraftable"> Non-Craftable</label>';
+      html +=
+        '<label style="display: flex; align-items: center; gap: 5px;"><input type="checkbox" class="filter" id="filter-lowconfidence"> Confidence &lt; 0.5</label>';
       html +=
         '<label style="display: flex; align-items: center; gap: 5px;"><input type="checkbox" class="filter" id="filter-2h"> Age ≥ 2h</label>';
       html +=
@@ -350,7 +394,7 @@ module.exports = function (app, config, configManager) {
           '<p style="margin: 5px 0 0 0; color: #721c24;">Items with prices older than threshold - may need attention</p>';
         html += '</div>';
         html += '<div style="overflow-x: auto;">';
-        html += buildTable(outdated, true, sell);
+        html += buildTable(outdated, true, sell, locks);
         html += '</div>';
         html += '</div>';
       }
@@ -365,7 +409,7 @@ module.exports = function (app, config, configManager) {
           '<p style="margin: 5px 0 0 0; color: #155724;">Items with recent price updates - ready for trading</p>';
         html += '</div>';
         html += '<div style="overflow-x: auto;">';
-        html += buildTable(current, false, sell);
+        html += buildTable(current, false, sell, locks);
         html += '</div>';
         html += '</div>';
       }
@@ -592,6 +636,8 @@ module.exports = function (app, config, configManager) {
           function filterRows() {
             const s = document.getElementById('search').value.toLowerCase();
             const fNot = document.getElementById('filter-notinbot').checked;
+            const fUncraft = document.getElementById('filter-uncraftable').checked;
+            const fLow = document.getElementById('filter-lowconfidence').checked;
             const f2h = document.getElementById('filter-2h').checked;
             const f1d = document.getElementById('filter-1d').checked;
             const f3d = document.getElementById('filter-3d').checked;
@@ -602,9 +648,12 @@ module.exports = function (app, config, configManager) {
               const sku = (row.querySelector('.sku')?.innerText || '').toLowerCase();
               const inb = row.dataset.inbot === 'true';
               const age = parseInt(row.dataset.age) || 0;
+              const confidence = row.dataset.confidence === '' ? null : parseFloat(row.dataset.confidence);
               
               let ok = name.includes(s) || sku.includes(s);
               if (ok && fNot && inb) ok = false;
+              if (ok && fUncraft && !sku.includes(';uncraftable') && !name.startsWith('non-craftable')) ok = false;
+              if (ok && fLow && !(confidence < 0.5)) ok = false;
               if (ok && f2h && age < 3600 * 2) ok = false;
               if (ok && f1d && age < 3600 * 24) ok = false;
               if (ok && f3d && age < 3600 * 72) ok = false;
@@ -641,5 +690,177 @@ module.exports = function (app, config, configManager) {
       res.status(500).send(renderPage('Pricelist Status - Error', html));
     }
   });
+  function formatPrice(price) {
+    if (!price) {
+      return '-';
+    }
+    return `${price.keys} Keys + ${price.metal} Ref`;
+  }
+
+  function buildListingsTable(side) {
+    if (!side || side.count === 0) {
+      return '<p style="color: #666; font-style: italic;">None</p>';
+    }
+    let tbl = '<table style="width: 100%; border-collapse: collapse; font-size: 12px;">';
+    tbl +=
+      '<tr style="background: #f8f9fa;"><th style="padding: 6px; text-align: left;">Steam ID</th><th style="padding: 6px; text-align: center;">Price</th><th style="padding: 6px; text-align: center;">Age (min)</th></tr>';
+    side.listings.forEach((l) => {
+      const age = l.ageSec === null ? '-' : Math.round(l.ageSec / 60);
+      tbl += `<tr><td style="padding: 6px; border-bottom: 1px solid #eee;"><code>${l.steamid}</code></td>`;
+      tbl += `<td style="padding: 6px; border-bottom: 1px solid #eee; text-align: center;">${formatPrice({ keys: l.currencies.keys || 0, metal: l.currencies.metal || 0 })}</td>`;
+      tbl += `<td style="padding: 6px; border-bottom: 1px solid #eee; text-align: center;">${age}</td></tr>`;
+    });
+    tbl += '</table>';
+    if (side.count > side.listings.length) {
+      tbl += `<p style="color: #666; font-size: 12px;">...and ${side.count - side.listings.length} more</p>`;
+    }
+    return tbl;
+  }
+
+  const outcomeColours = { priced: '#28a745', rejected: '#ffc107', failed: '#dc3545' };
+
+  // Detailed view of how the autopricer reached the latest prices for a SKU.
+  router.get('/explain/:sku', async (req, res) => {
+    const sku = req.params.sku;
+    try {
+      const rows = await getExplanations(db, sku, 10);
+      let html = '<div style="max-width: 1200px; margin: 0 auto; padding: 20px;">';
+      html += '<p><a href="/">← Back to pricelist</a></p>';
+
+      if (rows.length === 0) {
+        html +=
+          '<div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 20px; border-radius: 8px; text-align: center;">';
+        html += `<h2>No Price Explanations for ${sku}</h2>`;
+        html += '<p>This item has not been priced since price explanations were enabled.</p>';
+        html += '</div></div>';
+        return res.send(renderPage(`Price Explanation - ${sku}`, html));
+      }
+
+      const latest = rows[0].explanation;
+      const colour = outcomeColours[latest.outcome] || '#495057';
+      html +=
+        '<div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 20px;">';
+      html += `<h2>🔍 ${latest.name} <code style="font-size: 14px;">${sku}</code></h2>`;
+      html += `<p>Last priced ${new Date(rows[0].created_at).toLocaleString()}: <strong style="color: ${colour};">${latest.outcome}</strong></p>`;
+      if (latest.reason) {
+        html += `<p>${latest.reason.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`;
+      }
+      html += '</div>';
+
+      // Summary cards: baseline, fallback, strategy and final price.
+      html += '<div style="display: flex; gap: 20px; margin-bottom: 20px; flex-wrap: wrap;">';
+      const cards = [
+        [
+          '📘 bptf Baseline',
+          latest.baseline
+            ? `Buy: ${formatPrice(latest.baseline.buy)}<br>Sell: ${formatPrice(latest.baseline.sell)}`
+            : '-',
+        ],
+        [
+          '🧮 Strategy',
+          latest.strategy
+            ? `${latest.strategy.name} ${JSON.stringify(latest.strategy.options)}` +
+              (latest.outlierMethod
+                ? `<br><small>Outliers: ${latest.outlierMethod.name} ${JSON.stringify(latest.outlierMethod.options)}</small>`
+                : '')
+            : 'Not used',
+        ],
+        latest.derived
+          ? [
+              '🔗 Derived',
+              `From ${latest.derived.baseSku}: buy ${formatPrice(latest.derived.base.buy)}, sell ${formatPrice(latest.derived.base.sell)}<br><small>Plus the ${latest.derived.type === 'paint' ? 'paint' : 'kit'} premium of ${latest.derived.premium.buy} / ${latest.derived.premium.sell} ref, from ${latest.derived.premium.samples} ${latest.derived.type === 'paint' ? 'listings' : 'variants'}</small>`,
+            ]
+          : latest.unusual?.price
+            ? [
+                '💎 Unusual Comparables',
+                `bptf ${formatPrice(latest.unusual.bptf)}, buy ×${latest.unusual.ratios.buy}, sell ×${latest.unusual.ratios.sell}<br><small>Band ${formatPrice(latest.unusual.band.low)} to ${formatPrice(latest.unusual.band.high)}, confidence ${latest.unusual.confidence}, from ${latest.unusual.evidence.own ? 'its own and ' : ''}${latest.unusual.evidence.comparables} comparable unusuals and ${latest.unusual.evidence.trades} trades</small>`,
+              ]
+            : [
+                '↩️ Fallback',
+                latest.fallback
+                  ? `${latest.fallback.source}${latest.fallback.margins ? ` (-${latest.fallback.margins.buy ?? 0} / +${latest.fallback.margins.sell ?? 0})` : ''}<br><small>${latest.fallback.reason}${latest.fallback.details ? `, SCM ${latest.fallback.details.basis.buy} / ${latest.fallback.details.basis.sell} of ${latest.fallback.details.volume} sales in ${latest.fallback.details.window}` : ''}${latest.fallback.pricedAt ? `, last priced from listings ${new Date(latest.fallback.pricedAt * 1000).toLocaleString()}` : ''}</small>`
+                  : 'None',
+              ],
+        [
+          '✅ Final Price',
+          latest.final
+            ? `Buy: ${formatPrice(latest.final.buy)}<br>Sell: ${formatPrice(latest.final.sell)}`
+            : '-',
+        ],
+        [
+          '📶 Confidence',
+          latest.confidence
+            ? `${latest.confidence.score.toFixed(2)} from ${latest.confidence.source}${
+                latest.confidence.factors
+                  ? `<br><small>${Object.entries(latest.confidence.factors)
+                      .map(([factor, value]) => `${factor} ${value}`)
+                      .join(', ')}</small>`
+                  : ''
+              }`
+            : '-',
+        ],
+      ];
+      cards.forEach(([title, body]) => {
+        html +=
+          '<div style="flex: 1; min-width: 220px; background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px;">';
+        html += `<h4 style="margin-top: 0;">${title}</h4><p style="margin: 0;">${body}</p></div>`;
+      });
+      html += '</div>';
+
+      // Bounds clamping and price swing check.
+      html +=
+        '<div style="background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+      html += '<h4 style="margin-top: 0;">📏 Bounds, Swing Check & Lock</h4>';
+      html += latest.clamping?.before
+        ? `<p>Clamped by bounds: buy ${formatPrice(latest.clamping.before.buy)} → ${formatPrice(latest.clamping.after.buy)}, sell ${formatPrice(latest.clamping.before.sell)} → ${formatPrice(latest.clamping.after.sell)}</p>`
+        : '<p>Not clamped by bounds.</p>';
+      html += latest.swingCheck
+        ? `<p>Swing check against recent history: <strong>${latest.swingCheck.acceptable ? 'passed' : 'failed'}</strong> (max buy increase ${latest.swingCheck.limits.maxBuyIncrease}, max sell decrease ${latest.swingCheck.limits.maxSellDecrease}${latest.swingCheck.average ? `, recent average ${latest.swingCheck.average.buy} / ${latest.swingCheck.average.sell} ref` : ''})</p>`
+        : '<p>Swing check not run.</p>';
+      if (latest.lock) {
+        html += `<p>🔒 Locked by ${escapeHtml(latest.lock.setBy)}${latest.lock.expiresAt ? ` until ${new Date(latest.lock.expiresAt).toLocaleString()}` : ''}: buy ${latest.lock.buy ? formatPrice(latest.lock.buy) : 'not locked'}, sell ${latest.lock.sell ? formatPrice(latest.lock.sell) : 'not locked'}${latest.lock.note ? ` (${escapeHtml(latest.lock.note)})` : ''}. <a href="/locks?sku=${encodeURIComponent(sku)}">Manage lock</a></p>`;
+      }
+      html += '</div>';
+
+      // Listings used and outliers removed, per side.
+      html += '<div style="display: flex; gap: 20px; margin-bottom: 20px; flex-wrap: wrap;">';
+      ['buy', 'sell'].forEach((side) => {
+        html +=
+          '<div style="flex: 1; min-width: 300px; background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px;">';
+        html += `<h4 style="margin-top: 0;">${side === 'buy' ? '🟢 Buy' : '🔴 Sell'} Listings Used (${latest.listings[side]?.count || 0})</h4>`;
+        html += buildListingsTable(latest.listings[side]);
+        html += `<h5>Outliers Removed (${latest.outliers[side]?.count || 0})</h5>`;
+        html += buildListingsTable(latest.outliers[side]);
+        html += '</div>';
+      });
+      html += '</div>';
+
+      // Earlier decisions.
+      html +=
+        '<div style="background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px;">';
+      html += '<h4 style="margin-top: 0;">🕑 Recent Decisions</h4>';
+      html += '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+      html +=
+        '<tr style="background: #f8f9fa;"><th style="padding: 8px; text-align: left;">Time</th><th style="padding: 8px;">Outcome</th><th style="padding: 8px;">Buy</th><th style="padding: 8px;">Sell</th><th style="padding: 8px; text-align: left;">Fallback</th></tr>';
+      rows.forEach((row) => {
+        const e = row.explanation;
+        html += `<tr><td style="padding: 8px; border-bottom: 1px solid #eee;">${new Date(row.created_at).toLocaleString()}</td>`;
+        html += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center; color: ${outcomeColours[e.outcome] || '#495057'};">${e.outcome}</td>`;
+        html += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${formatPrice(e.final?.buy)}</td>`;
+        html += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${formatPrice(e.final?.sell)}</td>`;
+        html += `<td style="padding: 8px; border-bottom: 1px solid #eee;">${e.fallback ? e.fallback.source : '-'}</td></tr>`;
+      });
+      html += '</table>';
+      html += `<p style="font-size: 12px; color: #666;">Raw records: <code>GET /items/${sku}/explain</code> on the API server.</p>`;
+      html += '</div>';
+
+      html += '</div>';
+      res.send(renderPage(`Price Explanation - ${latest.name}`, html));
+    } catch (error) {
+      console.error('Error in explain route:', error);
+      res.status(500).send(renderPage('Price Explanation - Error', `<p>${error.message}</p>`));
+    }
+  });
+
   app.use('/', router); // Mount the router to root path
 };
@@ -0,0 +1,176 @@
+// routes/quarantine.js
+const express = require('express');
+const { db } = require('../dbInstance');
+const renderPage = require('../layout');
+const { escapeHtml } = require('../utils');
+const { getBaseConfigManager } = require('../baseConfigManager');
+const { getQuarantine, resolveQuarantined } = require('../priceQuarantine');
+
+const STATUSES = ['pending', 'approved', 'applied', 'rejected', 'superseded', 'all'];
+
+module.exports = function (app) {
+  const router = express.Router();
+
+  function formatPrice(price) {
+    if (!price) {
+      return '—';
+    }
+    return `${price.keys || 0} keys, ${price.metal || 0} ref`;
+  }
+
+  // Relative change of the proposed price from the recent average, coloured by direction.
+  function formatChange(proposed, average) {
+    if (average === null || Number(average) === 0) {
+      return '';
+    }
+    const change = ((Number(proposed) - Number(average)) / Number(average)) * 100;
+    const colour = change >= 0 ? '#28a745' : '#dc3545';
+    return `<br><small style="color: ${colour};">${change >= 0 ? '+' : ''}${change.toFixed(1)}% vs ${Number(average)} ref</small>`;
+  }
+
+  function buildQuarantineTable(rows, autoApproveRuns) {
+    if (rows.length === 0) {
+      return `
+        <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0;">
+          <h3>✅ Nothing Quarantined</h3>
+          <p>Prices rejected by the swing check show up here for review.</p>
+        </div>
+      `;
+    }
+
+    let tbl = `
+      <div style="background: white; border: 1px solid #ddd; border-radius: 8px; overflow-x: auto; margin: 20px 0;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="background: #f8f9fa;">
+              <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Item</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Current Price</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Proposed Buy</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Proposed Sell</th>
+              <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Reason</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Runs</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Updated</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Status</th>
+            </tr>
+          </thead>
+          <tbody>`;
+
+    rows.forEach((row, idx) => {
+      const rowStyle = idx % 2 === 0 ? 'background: #f9f9f9;' : '';
+      const runs =
+        autoApproveRuns > 0 ? `${row.confirmations} / ${autoApproveRuns}` : row.confirmations;
+      let status =
+        escapeHtml(row.status) + (row.resolved_by ? ` (${escapeHtml(row.resolved_by)})` : '');
+      if (row.status === 'pending') {
+        status = `
+            <form method="POST" action="/quarantine/${row.id}/approve" style="display: inline; margin: 0;">
+              <button type="submit" style="background: #28a745; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer;">✅ Approve</button>
+            </form>
+            <form method="POST" action="/quarantine/${row.id}/reject" style="display: inline; margin: 0;">
+              <button type="submit" style="background: #dc3545; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer;">❌ Reject</button>
+            </form>`;
+      }
+
+      tbl += `
+        <tr style="${rowStyle}">
+          <td style="padding: 10px; border-bottom: 1px solid #eee;">
+            <a href="/explain/${encodeURIComponent(row.sku)}">${escapeHtml(row.name)}</a><br>
+            <small style="color: #666;">${escapeHtml(row.sku)}</small>
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">
+            ${formatPrice(row.previous?.buy)}<br>${formatPrice(row.previous?.sell)}
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">
+            ${formatPrice(row.proposed.buy)}${formatChange(row.proposed_buy_metal, row.avg_buy_metal)}
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">
+            ${formatPrice(row.proposed.sell)}${formatChange(row.proposed_sell_metal, row.avg_sell_metal)}
+          </td>
+          <td style="padding: 10px; border-bottom: 1px solid #eee;">${escapeHtml(row.reason)}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${runs}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${new Date(row.updated_at).toLocaleString()}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee; white-space: nowrap;">${status}</td>
+        </tr>`;
+    });
+
+    tbl += `
+          </tbody>
+        </table>
+      </div>`;
+    return tbl;
+  }
+
+  router.get('/quarantine', async (req, res) => {
+    const status = STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    try {
+      const quarantine = getBaseConfigManager().get('priceQuarantine', {});
+      const rows = await getQuarantine(db, { status });
+
+      let html = '<div style="max-width: 1400px; margin: 0 auto; padding: 20px;">';
+
+      // Header
+      html +=
+        '<div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 20px;">';
+      html += '<h2>🚧 Price Quarantine</h2>';
+      html +=
+        "<p>Prices that moved further from the recent average than the item's swing limits allow are held here instead of being published. Approved prices are published within a minute; rejected ones leave the current price in place.</p>";
+      html += '</div>';
+
+      if (!quarantine.enabled) {
+        html +=
+          '<div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+        html +=
+          '<p style="margin: 0;">⚠️ The quarantine is disabled (<code>priceQuarantine.enabled</code> in config.json), so rejected prices are dropped.</p>';
+        html += '</div>';
+      } else if (quarantine.autoApproveRuns > 0) {
+        html +=
+          '<div style="background: #d1ecf1; border: 1px solid #bee5eb; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+        html += `<p style="margin: 0;">💡 A price proposed by ${quarantine.autoApproveRuns} consecutive pricing runs, each within ${(quarantine.confirmTolerance ?? 0.02) * 100}% of the last, is approved automatically.</p>`;
+        html += '</div>';
+      }
+
+      // Status filter
+      html += '<div style="display: flex; gap: 10px; flex-wrap: wrap;">';
+      for (const s of STATUSES) {
+        const active = s === status;
+        html += `<a href="/quarantine?status=${s}" style="padding: 6px 12px; border-radius: 3px; text-decoration: none; ${active ? 'background: #007cba; color: white;' : 'background: #e9ecef; color: #333;'}">${s}</a>`;
+      }
+      html += '</div>';
+
+      html += buildQuarantineTable(rows, quarantine.autoApproveRuns);
+      html += '</div>';
+      res.send(renderPage('Price Quarantine', html));
+    } catch (error) {
+      console.error('Error in quarantine route:', error);
+      res.status(500).send(renderPage('Price Quarantine - Error', `<p>${error.message}</p>`));
+    }
+  });
+
+  router.post('/quarantine/:id/:decision', async (req, res) => {
+    const decisions = { approve: 'approved', reject: 'rejected' };
+    try {
+      const decision = decisions[req.params.decision];
+      const id = parseInt(req.params.id, 10);
+      if (!decision || isNaN(id)) {
+        throw new Error('Unknown quarantine action.');
+      }
+      if (!(await resolveQuarantined(db, id, decision))) {
+        throw new Error('This price is no longer pending, it may have been superseded.');
+      }
+      res.redirect('/quarantine');
+    } catch (error) {
+      let html = '<div style="max-width: 800px; margin: 0 auto; padding: 20px;">';
+      html +=
+        '<div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 20px; border-radius: 8px; text-align: center;">';
+      html += '<h2>❌ Error Updating Quarantine</h2>';
+      html += `<p>${escapeHtml(error.message)}</p>`;
+      html +=
+        '<p><a href="/quarantine" style="background: #007cba; color: white; padding: 10px 15px; text-decoration: none; border-radius: 4px;">← Back to Quarantine</a></p>';
+      html += '</div>';
+      html += '</div>';
+      res.status(400).send(renderPage('Error', html));
+    }
+  });
+
+  app.use('/', router);
+};
@@ -0,0 +1,199 @@
+// routes/reputation.js
+const express = require('express');
+const { db } = require('../dbInstance');
+const renderPage = require('../layout');
+const { escapeHtml } = require('../utils');
+const { getBaseConfigManager } = require('../baseConfigManager');
+const {
+  DEFAULT_SCORE,
+  getReputationList,
+  setReputationOverride,
+  clearReputationOverride,
+} = require('../reputation');
+
+module.exports = function (app) {
+  const router = express.Router();
+
+  function scoreColour(score) {
+    if (score >= 0.8) {
+      return '#28a745';
+    }
+    if (score < 0.2) {
+      return '#dc3545';
+    }
+    return '#333';
+  }
+
+  function buildReputationTable(rows) {
+    if (rows.length === 0) {
+      return `
+        <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 20px; border-radius: 8px; text-align: center; margin: 20px 0;">
+          <h3>👤 No Steam IDs Found</h3>
+          <p>Scores are computed every hour from the listing history archive, price explanations and your bot's trades.</p>
+        </div>
+      `;
+    }
+
+    let tbl = `
+      <div style="background: white; border: 1px solid #ddd; border-radius: 8px; overflow-x: auto; margin: 20px 0;">
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="background: #f8f9fa;">
+              <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Steam ID</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Score</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Computed</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Listings</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Avg Lifetime</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Quick Deletes</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Outliers</th>
+              <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Trades</th>
+              <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Override</th>
+            </tr>
+          </thead>
+          <tbody>`;
+
+    rows.forEach((row, idx) => {
+      const rowStyle = idx % 2 === 0 ? 'background: #f9f9f9;' : '';
+      const overridden = row.override_score !== null;
+      const score = Number(overridden ? row.override_score : row.score);
+      const lifetime =
+        row.avg_lifetime_sec !== null
+          ? `${(Number(row.avg_lifetime_sec) / 3600).toFixed(1)}h`
+          : '—';
+      const outliers = row.outlier_samples > 0 ? `${row.outliers} / ${row.outlier_samples}` : '—';
+      const steamid = escapeHtml(row.steamid);
+
+      tbl += `
+        <tr style="${rowStyle}">
+          <td style="padding: 10px; border-bottom: 1px solid #eee;">
+            <a href="https://steamcommunity.com/profiles/${steamid}" target="_blank">${steamid}</a>
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee; font-weight: bold; color: ${scoreColour(score)};">
+            ${score.toFixed(2)}${overridden ? ' ✋' : ''}
+          </td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${Number(row.score).toFixed(2)}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${row.listings}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${lifetime}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${row.quick_deletes}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${outliers}</td>
+          <td style="padding: 10px; text-align: center; border-bottom: 1px solid #eee;">${row.trades}</td>
+          <td style="padding: 10px; border-bottom: 1px solid #eee;">
+            <form method="POST" action="/reputation/override" style="display: flex; gap: 5px; align-items: center; margin: 0;">
+              <input type="hidden" name="steamid" value="${steamid}">
+              <input type="number" name="score" min="0" max="1" step="0.05" value="${overridden ? Number(row.override_score) : ''}"
+                     style="width: 70px; padding: 4px; border: 1px solid #ddd; border-radius: 3px;" placeholder="auto">
+              <input type="text" name="note" value="${escapeHtml(row.override_note)}"
+                     style="width: 140px; padding: 4px; border: 1px solid #ddd; border-radius: 3px;" placeholder="Note">
+              <button type="submit" style="background: #007cba; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer;">Save</button>
+            </form>
+          </td>
+        </tr>`;
+    });
+
+    tbl += `
+          </tbody>
+        </table>
+      </div>`;
+    return tbl;
+  }
+
+  router.get('/reputation', async (req, res) => {
+    const search = String(req.query.search || '').trim();
+    try {
+      const reputation = getBaseConfigManager().get('reputation', {});
+      const rows = await getReputationList(db, { search, limit: 200 });
+
+      let html = '<div style="max-width: 1400px; margin: 0 auto; padding: 20px;">';
+
+      // Header
+      html +=
+        '<div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 20px;">';
+      html += '<h2>👤 Steam ID Reputation</h2>';
+      html +=
+        '<p>Listings are weighted by the score of the steamid that posted them. Scores are computed from how long listings stay up, how often they are deleted shortly after posting, how often they are outliers and whether the steamid has traded with your bot.</p>';
+      html += '</div>';
+
+      if (!reputation.enabled) {
+        html +=
+          '<div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+        html +=
+          '<p style="margin: 0;">⚠️ Reputation scoring is disabled (<code>reputation.enabled</code> in config.json), so scores are not used for pricing.</p>';
+        html += '</div>';
+      }
+
+      // How scores are used
+      html +=
+        '<div style="background: #d1ecf1; border: 1px solid #bee5eb; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+      html += '<h4>💡 How Scores Are Used</h4>';
+      html += '<ul style="margin: 10px 0;">';
+      html += `<li><strong>${reputation.priorityScore ?? 0.8} and above:</strong> listings are used ahead of others, like <code>trustedSteamIDs</code></li>`;
+      html += `<li><strong>Below ${reputation.minScore ?? 0.2}:</strong> listings are ignored</li>`;
+      html += `<li><strong>Unknown steamids:</strong> score ${DEFAULT_SCORE}</li>`;
+      html +=
+        '<li><strong>Overrides (✋):</strong> replace the computed score until cleared. Leave the score blank and save to clear one.</li>';
+      html += '</ul>';
+      html += '</div>';
+
+      // Search and override any steamid
+      html +=
+        '<div style="display: flex; gap: 20px; flex-wrap: wrap; background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px;">';
+      html +=
+        '<form method="GET" action="/reputation" style="display: flex; gap: 10px; align-items: center; margin: 0;">';
+      html += `<input type="text" name="search" value="${escapeHtml(search)}" placeholder="Steam ID starts with..." style="padding: 6px; border: 1px solid #ddd; border-radius: 3px;">`;
+      html +=
+        '<button type="submit" style="background: #6c757d; color: white; border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer;">🔎 Search</button>';
+      html += '</form>';
+      html +=
+        '<form method="POST" action="/reputation/override" style="display: flex; gap: 10px; align-items: center; margin: 0;">';
+      html +=
+        '<input type="text" name="steamid" placeholder="Steam ID" required style="padding: 6px; border: 1px solid #ddd; border-radius: 3px;">';
+      html +=
+        '<input type="number" name="score" min="0" max="1" step="0.05" placeholder="Score" required style="width: 80px; padding: 6px; border: 1px solid #ddd; border-radius: 3px;">';
+      html +=
+        '<input type="text" name="note" placeholder="Note" style="padding: 6px; border: 1px solid #ddd; border-radius: 3px;">';
+      html +=
+        '<button type="submit" style="background: #28a745; color: white; border: none; padding: 6px 12px; border-radius: 3px; cursor: pointer;">✋ Set Override</button>';
+      html += '</form>';
+      html += '</div>';
+
+      html += buildReputationTable(rows);
+      html += '</div>';
+      res.send(renderPage('Steam ID Reputation', html));
+    } catch (error) {
+      console.error('Error in reputation route:', error);
+      res.status(500).send(renderPage('Steam ID Reputation - Error', `<p>${error.message}</p>`));
+    }
+  });
+
+  router.post('/reputation/override', async (req, res) => {
+    const steamid = String(req.body.steamid || '').trim();
+    const score =
+      req.body.score === undefined || req.body.score === '' ? null : Number(req.body.score);
+    try {
+      if (!/^\d{17}$/.test(steamid)) {
+        throw new Error('Steam IDs must be 17 digit SteamID64s.');
+      }
+      if (score === null) {
+        await clearReputationOverride(db, steamid);
+      } else if (isNaN(score) || score < 0 || score > 1) {
+        throw new Error('Scores must be between 0 and 1.');
+      } else {
+        await setReputationOverride(db, steamid, score, req.body.note?.trim() || null);
+      }
+      res.redirect(`/reputation?search=${encodeURIComponent(steamid)}`);
+    } catch (error) {
+      let html = '<div style="max-width: 800px; margin: 0 auto; padding: 20px;">';
+      html +=
+        '<div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 20px; border-radius: 8px; text-align: center;">';
+      html += '<h2>❌ Error Saving Override</h2>';
+      html += `<p>${escapeHtml(error.message)}</p>`;
+      html +=
+        '<p><a href="/reputation" style="background: #007cba; color: white; padding: 10px 15px; text-decoration: none; border-radius: 4px;">← Back to Reputation</a></p>';
+      html += '</div>';
+      html += '</div>';
+      res.status(400).send(renderPage('Error', html));
+    }
+  });
+
+  app.use('/', router);
+};
@@ -1,6 +1,7 @@
 const path = require('path');
 const fs = require('fs');
 const renderPage = require('../layout');
+const { Currency, scrapToRefined } = require('../currency');
 
 function loadJson(file) {
   return JSON.parse(fs.readFileSync(file, 'utf8'));
@@ -25,7 +26,7 @@ module.exports = function (app, config, configManager) {
       }
 
       const pollDataPath = path.resolve(
-        selectedBot.tf2autobotPath+"/files/" || selectedBot.tf2AutobotDir+"/files/",
+        selectedBot.tf2autobotPath + '/files/' || selectedBot.tf2AutobotDir + '/files/',
         selectedBot.botDirectory || selectedBot.botTradingDir,
         'polldata.json'
       );
@@ -45,7 +46,7 @@ module.exports = function (app, config, configManager) {
       };
 
       let trades = [];
-      let cumulativeProfit = 0;
+      let cumulativeProfitScrap = 0;
       try {
         const raw = fs.readFileSync(pollDataPath, 'utf8');
         const parsed = JSON.parse(raw);
@@ -67,12 +68,13 @@ module.exports = function (app, config, configManager) {
             const valueOur = trade.value?.our || { keys: 0, metal: 0 };
             const valueTheir = trade.value?.their || { keys: 0, metal: 0 };
 
-            const metalOut = valueOur.keys * keyPrice + valueOur.metal;
-            const metalIn = valueTheir.keys * keyPrice + valueTheir.metal;
-            const profit = metalIn - metalOut;
+            // Profit in whole scrap, converted to refined for display
+            const scrapOut = Currency.fromObject(valueOur, { keyPrice }).toScrap(keyPrice);
+            const scrapIn = Currency.fromObject(valueTheir, { keyPrice }).toScrap(keyPrice);
+            const profit = scrapToRefined(scrapIn - scrapOut);
 
             if (accepted) {
-              cumulativeProfit += profit;
+              cumulativeProfitScrap += scrapIn - scrapOut;
             }
 
             const statusFlags = [];
@@ -156,6 +158,7 @@ module.exports = function (app, config, configManager) {
       html += '</div>';
 
       // Cumulative Profit Card
+      const cumulativeProfit = scrapToRefined(cumulativeProfitScrap);
       const profitColor = cumulativeProfit >= 0 ? '#28a745' : '#dc3545';
       const profitIcon = cumulativeProfit >= 0 ? '📈' : '📉';
       html +=
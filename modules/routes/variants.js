@@ -0,0 +1,85 @@
+// routes/variants.js
+const path = require('path');
+const express = require('express');
+const { db } = require('../dbInstance');
+const renderPage = require('../layout');
+const { loadJson, escapeHtml } = require('../utils');
+const { getBaseConfigManager } = require('../baseConfigManager');
+const { getVariantPremiums } = require('../variants');
+
+const TYPES = { paint: '🎨 Paints', spell: '🔮 Spells', part: '📈 Strange Parts' };
+
+module.exports = function (app) {
+  const router = express.Router();
+  const pricelistPath = path.resolve(__dirname, '../../files/pricelist.json');
+
+  function formatPremium(premium, samples) {
+    return premium === null
+      ? `<span style="color: #666;">— <small>(${samples} listings)</small></span>`
+      : `+${premium} ref <small style="color: #666;">(${samples} listings)</small>`;
+  }
+
+  function buildPremiumsTable(premiums) {
+    if (premiums.length === 0) {
+      return '<p style="color: #666; font-style: italic;">None seen yet.</p>';
+    }
+    let tbl = '<table style="width: 100%; border-collapse: collapse;">';
+    tbl +=
+      '<tr style="background: #f8f9fa;"><th style="padding: 8px; text-align: left;">Attribute</th><th style="padding: 8px;">Buy Premium</th><th style="padding: 8px;">Sell Premium</th></tr>';
+    premiums.forEach((p) => {
+      tbl += `<tr><td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(p.name)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center; color: #28a745;">${formatPremium(p.buy, p.samples.buy)}</td>`;
+      tbl += `<td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center; color: #dc3545;">${formatPremium(p.sell, p.samples.sell)}</td></tr>`;
+    });
+    tbl += '</table>';
+    return tbl;
+  }
+
+  router.get('/variants', async (req, res) => {
+    try {
+      const variantPricing = getBaseConfigManager().get('variantPricing', {});
+      const pricelist = loadJson(pricelistPath);
+      const prices = new Map(pricelist.items.map((item) => [item.sku, item]));
+      const key = await db.oneOrNone(
+        'SELECT sell_price_metal FROM key_prices ORDER BY created_at DESC LIMIT 1'
+      );
+      const keyMetal = Number(key?.sell_price_metal) || prices.get('5021;6')?.sell.metal || 0;
+      const premiums = [
+        ...(await getVariantPremiums(db, prices, keyMetal, variantPricing)).values(),
+      ].sort((a, b) => (b.sell ?? -1) - (a.sell ?? -1));
+
+      let html = '<div style="max-width: 1400px; margin: 0 auto; padding: 20px;">';
+
+      // Header
+      html +=
+        '<div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin-bottom: 20px;">';
+      html += '<h2>🎨 Variant Premiums</h2>';
+      html += `<p>What a paint, spell or strange part adds over the clean item's price: the median difference between the listings of items with only that attribute and the price of the clean item. A side needs ${variantPricing.minSamples ?? 5} listings for a premium.</p>`;
+      html += '</div>';
+
+      if (!variantPricing.enabled) {
+        html +=
+          '<div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+        html +=
+          '<p style="margin: 0;">⚠️ Variant listings are not stored (<code>variantPricing.enabled</code> in config.json), so these premiums are not updated.</p>';
+        html += '</div>';
+      }
+
+      for (const [type, title] of Object.entries(TYPES)) {
+        html +=
+          '<div style="background: white; border: 1px solid #ddd; padding: 15px; border-radius: 8px; margin-bottom: 20px;">';
+        html += `<h4 style="margin-top: 0;">${title}</h4>`;
+        html += buildPremiumsTable(premiums.filter((p) => p.type === type));
+        html += '</div>';
+      }
+
+      html += '</div>';
+      res.send(renderPage('Variant Premiums', html));
+    } catch (error) {
+      console.error('Error in variants route:', error);
+      res.status(500).send(renderPage('Variant Premiums - Error', `<p>${error.message}</p>`));
+    }
+  });
+
+  app.use('/', router);
+};
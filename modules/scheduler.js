@@ -2,6 +2,12 @@ function scheduleTasks({
   updateExternalPricelist,
   calculateAndEmitPrices,
   cleanupOldKeyPrices,
+  refreshKeyPrice,
+  cleanupOldExplanations,
+  publishApprovedPrices,
+  publishPriceLocks,
+  maintainListingHistory,
+  refreshReputation,
   checkKeyPriceStability,
   updateMovingAverages,
   db,
@@ -10,6 +16,12 @@ function scheduleTasks({
   setInterval(updateExternalPricelist, 30 * 60 * 1000);
   setInterval(calculateAndEmitPrices, 15 * 60 * 1000);
   setInterval(() => cleanupOldKeyPrices(db), 30 * 60 * 1000);
+  setInterval(refreshKeyPrice, 30 * 60 * 1000);
+  setInterval(() => cleanupOldExplanations(db), 60 * 60 * 1000);
+  setInterval(publishApprovedPrices, 60 * 1000);
+  setInterval(publishPriceLocks, 60 * 1000);
+  setInterval(() => maintainListingHistory(db), 60 * 60 * 1000);
+  setInterval(() => refreshReputation(db, pgp), 60 * 60 * 1000);
   setInterval(checkKeyPriceStability, 30 * 60 * 1000);
   setInterval(() => updateMovingAverages(db, pgp), 15 * 60 * 1000);
 }
@@ -1,152 +1,152 @@
-const Methods = require('../methods');
-const { getSCMPrice, getSCMKeyPrice } = require('./steamMarketFetcher');
-const EFFECTS = require('./unusualEffects');
-const methods = new Methods();
+const { getSCMOverview, getSCMSaleHistory } = require('./steamMarketFetcher');
+const { marketHashNameFromSku } = require('./marketHashNames');
+const { Currency } = require('./currency');
 
-function getEffectName(effectId) {
-  return EFFECTS[effectId] || `Effect ${effectId}`;
-}
+const KEY_HASH_NAME = 'Mann Co. Supply Crate Key';
+
+// Steam's cut of a sale: 5% for Steam and 10% for the game, each rounded down but at least a
+// cent.
+const STEAM_FEE = 0.05;
+const PUBLISHER_FEE = 0.1;
 
 /**
- * Converts a SKU or item name to a Steam Market hash name.
- * This is a placeholder; you may want to improve this for unusuals, skins, etc.
- * @param {string} name - The item name.
- * @param nameOrSku
- * @param schema
- * @returns {string} - The market hash name.
+ * Converts a SKU or item name to a Steam Market hash name, see modules/marketHashNames.js.
+ * @param {string} nameOrSku - A SKU, or an item name the schema knows.
+ * @param {object} schema - The tf2-schema Schema.
+ * @returns {string|null} - The market hash name, or null for an item the schema doesn't know.
  */
 function toMarketHashName(nameOrSku, schema) {
   if (nameOrSku.includes(';')) {
-    const skuObj = parseSku(nameOrSku);
-    return skuToMarketHashName(skuObj, schema);
+    return marketHashNameFromSku(nameOrSku, schema);
+  }
+  let sku = null;
+  try {
+    sku = schema.getSkuFromName(nameOrSku);
+  } catch {
+    return null;
+  }
+  return sku ? marketHashNameFromSku(sku, schema) : null;
+}
+
+/**
+ * What the seller receives of a sale at the given price, after Steam's fees.
+ * @param {number} price - Price the buyer pays.
+ * @returns {number}
+ */
+function netOfSteamFees(price) {
+  const gross = Math.round(price * 100);
+  const fees = (net) =>
+    Math.max(1, Math.floor(net * STEAM_FEE)) + Math.max(1, Math.floor(net * PUBLISHER_FEE));
+  let net = Math.max(0, Math.floor(gross / (1 + STEAM_FEE + PUBLISHER_FEE)));
+  while (net > 0 && net + fees(net) > gross) {
+    net--;
+  }
+  while (net + 1 + fees(net + 1) <= gross) {
+    net++;
   }
-  return nameOrSku;
+  return net / 100;
 }
 
 /**
- * Gets a price object for an item using SCM prices.
+ * The SCM prices of an item each basis of scmPricing refers to: `lowest`, the lowest listing;
+ * `median`, the median sale price; and `net`, the median less Steam's fees. The median and its
+ * volume are from the last 24 hours, in `currency`, or from the sale history (see
+ * steamMarketFetcher.js) in the wallet's currency when `history` is passed.
+ * @param {{lowest: number|null, median: number|null, volume: number}|null} overview
+ * @param {{median: number, volume: number, days: number}|null} [history]
+ * @returns {{lowest: number|null, median: number|null, net: number|null, volume: number,
+ *   window: string}|null}
+ */
+function toMarket(overview, history = null) {
+  if (!overview && !history) {
+    return null;
+  }
+  const median = history ? history.median : (overview?.median ?? null);
+  return {
+    lowest: overview?.lowest ?? null,
+    median,
+    net: median ? netOfSteamFees(median) : null,
+    volume: history ? history.volume : (overview?.volume ?? 0),
+    window: history ? `${history.days}d` : '24h',
+  };
+}
+
+/**
+ * Gets a price object for an item using SCM prices. Each side is the item's price on the
+ * basis scmPricing sets for it, in keys from the key's price on the same basis, or its median
+ * for `net`, as keys are bought at the full price. The medians of the item and the key both
+ * come from the sale history, when both have one in the same currency, or both from the last
+ * 24 hours, so the ratio never mixes currencies or windows.
  * @param {object} opts
- * @param {string} opts.name - The item name (market hash name).
+ * @param {string} opts.name - The item's market hash name, see toMarketHashName.
  * @param {string} [opts.sku] - The SKU (optional, for future use).
  * @param {number} opts.keyMetal - The current key price in metal.
  * @param {string} [opts.currency] - The currency code (default: 'USD').
- * @param {number} [opts.scmMarginBuy] - Optional buy margin (default: 0).
- * @param {number} [opts.scmMarginSell] - Optional sell margin (default: 0).
- * @returns {Promise<{buy: {keys: number, metal: number}, sell: {keys: number, metal: number}}|null>}
+ * @param {object} [opts.pricing] - The scmPricing section of config.json. Without it both sides
+ *   are the lowest listing.
+ * @param {boolean} [opts.cacheOnly] - Only read the SCM cache, see steamMarketFetcher.js.
+ * @returns {Promise<{buy: {keys: number, metal: number}, sell: {keys: number, metal: number},
+ *   details: object}|null>} - Null when SCM has no price on either basis, or the item sold
+ *   less than `minVolume` times.
  */
 async function getSCMPriceObject({
   name,
   keyMetal,
   currency = 'USD',
-  scmMarginBuy = 0,
-  scmMarginSell = 0,
+  pricing = {},
+  cacheOnly = false,
 }) {
-  const marketHashName = toMarketHashName(name);
-  const [itemSCM, keySCM] = await Promise.all([
-    getSCMPrice(marketHashName, currency),
-    getSCMKeyPrice(currency),
+  const {
+    buy: buyBasis = 'lowest',
+    sell: sellBasis = 'lowest',
+    minVolume = 0,
+    historyDays = 0,
+  } = pricing;
+  const fetchBoth = (get) =>
+    Promise.all([name, KEY_HASH_NAME].map((marketHashName) => get(marketHashName)));
+  const [overviews, histories] = await Promise.all([
+    fetchBoth((marketHashName) => getSCMOverview(marketHashName, currency, { cacheOnly })),
+    historyDays > 0
+      ? fetchBoth((marketHashName) => getSCMSaleHistory(marketHashName, historyDays, { cacheOnly }))
+      : [null, null],
   ]);
-  if (!itemSCM || !keySCM || keySCM === 0) {
+  const useHistory =
+    histories[0] && histories[1] && histories[0].currency === histories[1].currency;
+  const [item, key] = overviews.map((overview, i) =>
+    toMarket(overview, useHistory ? histories[i] : null)
+  );
+  if (!item || !key) {
     return null;
   }
-  let priceInKeys = itemSCM / keySCM;
-  let priceInMetal = priceInKeys * keyMetal;
-  // Apply margin
-  let buyMetal = priceInMetal * (1 - scmMarginBuy);
-  let sellMetal = priceInMetal * (1 + scmMarginSell);
-  // Always round to nearest scrap using getRight
-  buyMetal = methods.getRight(buyMetal);
-  sellMetal = methods.getRight(sellMetal);
-  return {
-    buy: { keys: 0, metal: buyMetal },
-    sell: { keys: 0, metal: sellMetal },
-  };
-}
-
-/**
- * Parses a SKU string into its components.
- * @param {string} sku
- * @returns {object}
- */
-function parseSku(sku) {
-  // Example SKU: 5021;6;kt-3;u-3001;australium;festive
-  const parts = sku.split(';');
-  const out = { defindex: parts[0], quality: parts[1] };
-  for (let i = 2; i < parts.length; i++) {
-    if (parts[i].startsWith('kt-')) {
-      out.killstreak = parseInt(parts[i].slice(3));
-    } else if (parts[i].startsWith('u-')) {
-      out.effect = parseInt(parts[i].slice(2));
-    } else if (parts[i] === 'australium') {
-      out.australium = true;
-    } else if (parts[i] === 'festive') {
-      out.festivized = true;
-    }
-    // Add more as needed (paint, wear, etc)
-  }
-  return out;
-}
-
-/**
- * Converts a parsed SKU to a Steam Market hash name.
- * @param {object} skuObj - Output of parseSku
- * @param {object} [schema] - Optional TF2 schema for defindex->name
- * @returns {string}
- */
-function skuToMarketHashName(skuObj, schema) {
-  // This is a simplified version. For full accuracy, use the schema for defindex->name.
-  let name = `Item ${skuObj.defindex}`;
-  if (schema && schema.getItemBySKU) {
-    // Reconstruct a minimal SKU for lookup
-    const minimalSku = `${skuObj.defindex};${skuObj.quality}`;
-    const item = schema.getItemBySKU(minimalSku);
-    if (item && item.item_name) {
-      name = item.item_name;
-    }
-  }
-  // Quality
-  if (skuObj.quality === '1') {
-    name = `Genuine ${name}`;
-  } else if (skuObj.quality === '3') {
-    name = `Vintage ${name}`;
-  } else if (skuObj.quality === '5') {
-    name = `Unusual ${name}`;
-  } else if (skuObj.quality === '11') {
-    name = `Strange ${name}`;
-  } else if (skuObj.quality === '13') {
-    name = `Haunted ${name}`;
-  } else if (skuObj.quality === '14') {
-    name = `Collector's ${name}`;
-  }
-  // Note: Quality 6 (Unique) and 0 (Normal) don't get prefixes
-  // Killstreak
-  if (skuObj.killstreak === 1) {
-    name = `Killstreak ${name}`;
-  } else if (skuObj.killstreak === 2) {
-    name = `Specialized Killstreak ${name}`;
-  } else if (skuObj.killstreak === 3) {
-    name = `Professional Killstreak ${name}`;
-  }
-  // Australium
-  if (skuObj.australium) {
-    name = `Australium ${name}`;
-  }
-  // Festivized
-  if (skuObj.festivized) {
-    name = `Festivized ${name}`;
+  // A thinly traded item's price is whatever its last few sales or its one listing were.
+  if (item.volume < minVolume) {
+    return null;
   }
-  // Unusual effect (SCM: "Unusual Effect Name Item Name")
-  if (skuObj.effect) {
-    name = `${getEffectName(skuObj.effect)} ${name}`;
+  // Price in pure metal, rounded to the nearest scrap. The fallback chain applies the margins.
+  const side = (basis) => {
+    const keyPrice = key[basis === 'net' ? 'median' : basis];
+    return item[basis] && keyPrice
+      ? Currency.fromKeys(item[basis] / keyPrice, keyMetal).toObject()
+      : null;
+  };
+  const buy = side(buyBasis);
+  const sell = side(sellBasis);
+  if (!buy || !sell) {
+    return null;
   }
-  // TODO: handle skins, wear, paint, etc.
-  return name;
+  return {
+    buy,
+    sell,
+    details: {
+      basis: { buy: buyBasis, sell: sellBasis },
+      volume: item.volume,
+      window: item.window,
+    },
+  };
 }
 
 module.exports = {
   getSCMPriceObject,
+  netOfSteamFees,
   toMarketHashName,
-  parseSku,
-  skuToMarketHashName,
-  getEffectName,
 };
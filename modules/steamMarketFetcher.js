@@ -1,43 +1,452 @@
+// Steam Community Market prices, from `priceoverview` and, with a Steam session, the sale
+// history from `pricehistory`. Steam rate limits both hard, so every request goes through one
+// client:
+//  - answers are cached in memory and in tf2.scm_prices and tf2.scm_sale_history for
+//    `ttlHours`, and answers without a price for `emptyTtlHours`, so restarts and repeated
+//    fallbacks don't ask again,
+//  - concurrent requests for the same item share one request,
+//  - every request takes a token from a bucket of `burst` tokens refilled at
+//    `requestsPerMinute`,
+//  - a 429 pauses every request for an exponential backoff (or Steam's Retry-After), after
+//    which the request is retried, up to `maxRetries` times.
+// configureSCMClient sets the database and the scmCache section of config.json. Until then the
+// cache is kept in memory only. The sale history needs a Steam session, whose steamLoginSecure
+// cookie is read from the STEAM_LOGIN_SECURE environment variable rather than config.json, so
+// it can't be committed with the config. With `cacheOnly`, as in a dry run, only the cache is read: no
+// request is sent and nothing is written.
+
 // Use built-in fetch (Node.js 18+) or fall back to node-fetch for older versions
 const fetch = globalThis.fetch || require('node-fetch');
+const { weightedMedian } = require('./pricingStrategies');
+
+// Steam currency codes: 1 = USD, 3 = EUR, etc.
+// See https://wiki.teamfortress.com/wiki/Steam_Web_API#GetAssetPrices_.28v1.29
+const CURRENCY_IDS = { USD: 1, GBP: 2, EUR: 3 };
+
+const DEFAULT_OPTIONS = {
+  ttlHours: 6,
+  emptyTtlHours: 24,
+  requestsPerMinute: 20,
+  burst: 5,
+  maxRetries: 4,
+  backoffMs: 5000,
+  maxBackoffMs: 300000,
+  timeoutMs: 5000,
+};
+
+let db = null;
+let options = { ...DEFAULT_OPTIONS };
+
+// Currency of the Steam session's wallet, which the sale history is in. Learned from the last
+// sale history fetched, or cached, as Steam doesn't let it be chosen.
+let walletCurrency = null;
+
+// Wallet currencies by the price prefix and suffix pricehistory gives. Others are named by
+// their symbols, which still tells them apart.
+const WALLET_CURRENCIES = { $: 'USD', '£': 'GBP', '€': 'EUR' };
+
+// `${kind}|${marketHashName}|${currency}[|${days}]` -> { value, fetchedAt }.
+const cache = new Map();
+const inflight = new Map();
+const bucket = { tokens: DEFAULT_OPTIONS.burst, refilledAt: Date.now() };
+let pausedUntil = 0;
+let backoffStep = 0;
+
+const stats = {
+  requests: 0,
+  memoryHits: 0,
+  dbHits: 0,
+  misses: 0,
+  coalesced: 0,
+  rateLimited: 0,
+  retries: 0,
+  failures: 0,
+  waiting: 0,
+  lastRateLimitedAt: null,
+  lastError: null,
+};
 
 /**
- * Fetches the lowest Steam Community Market price for a given item.
- * @param {string} marketHashName - The market hash name of the item.
- * @param {string} currency - The currency code (default: 'USD').
- * @returns {Promise<number|null>} - The lowest price in the given currency, or null if unavailable.
+ * Sets the database the cache is kept in and the client's options.
+ * @param {object} opts
+ * @param {object} [opts.db] - pg-promise database instance.
+ * @param {object} [opts.options] - The scmCache section of config.json.
  */
-async function getSCMPrice(marketHashName, currency = 'USD') {
-  // Steam currency codes: 1 = USD, 3 = EUR, etc.
-  // See https://wiki.teamfortress.com/wiki/Steam_Web_API#GetAssetPrices_.28v1.29
-  const currencyMap = { USD: 1, EUR: 3, GBP: 2 };
-  const currencyId = currencyMap[currency] || 1;
-  const url = `https://steamcommunity.com/market/priceoverview/?appid=440&currency=${currencyId}&market_hash_name=${encodeURIComponent(marketHashName)}`;
+function configureSCMClient({ db: database = null, options: scmOptions = {} } = {}) {
+  db = database;
+  options = { ...DEFAULT_OPTIONS, ...scmOptions };
+  bucket.tokens = Math.min(bucket.tokens, options.burst);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function refillBucket() {
+  const now = Date.now();
+  const perMs = options.requestsPerMinute / 60000;
+  bucket.tokens = Math.min(options.burst, bucket.tokens + (now - bucket.refilledAt) * perMs);
+  bucket.refilledAt = now;
+}
+
+// Waits out a backoff pause, then until a token is available, and takes it.
+async function takeToken() {
+  stats.waiting++;
   try {
-    const res = await fetch(url, { timeout: 5000 });
+    for (;;) {
+      const pause = pausedUntil - Date.now();
+      if (pause > 0) {
+        await sleep(pause);
+        continue;
+      }
+      refillBucket();
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - bucket.tokens) * 60000) / options.requestsPerMinute);
+    }
+  } finally {
+    stats.waiting--;
+  }
+}
+
+// What is cached: priceoverview answers, and summaries of the sale history over a number of
+// days. A null value means SCM has nothing for the item.
+const STORES = {
+  overview: {
+    select: `SELECT price AS lowest, median_price AS median, volume, fetched_at FROM scm_prices
+             WHERE market_hash_name = $1 AND currency = $2`,
+    upsert: `INSERT INTO scm_prices (market_hash_name, currency, price, median_price, volume, fetched_at)
+             VALUES ($1, $2, $3, $4, $5, NOW())
+             ON CONFLICT (market_hash_name, currency)
+             DO UPDATE SET price = EXCLUDED.price, median_price = EXCLUDED.median_price,
+               volume = EXCLUDED.volume, fetched_at = EXCLUDED.fetched_at`,
+    toRow: (value) => [value?.lowest ?? null, value?.median ?? null, value?.volume ?? null],
+    fromRow: (row) =>
+      row.lowest === null && row.median === null
+        ? null
+        : {
+            lowest: row.lowest === null ? null : Number(row.lowest),
+            median: row.median === null ? null : Number(row.median),
+            volume: row.volume === null ? null : Number(row.volume),
+          },
+  },
+  history: {
+    select: `SELECT median, volume, currency, fetched_at FROM scm_sale_history
+             WHERE market_hash_name = $1 AND currency = $2 AND days = $3`,
+    upsert: `INSERT INTO scm_sale_history (market_hash_name, currency, days, median, volume, fetched_at)
+             VALUES ($1, $2, $4, $5, $6, NOW())
+             ON CONFLICT (market_hash_name, currency, days)
+             DO UPDATE SET median = EXCLUDED.median, volume = EXCLUDED.volume,
+               fetched_at = EXCLUDED.fetched_at`,
+    toRow: (value, days) => [days, value?.median ?? null, value?.volume ?? 0],
+    fromRow: (row, days) =>
+      row.median === null
+        ? null
+        : { median: Number(row.median), volume: Number(row.volume), days, currency: row.currency },
+    // Stored under the currency the history came in, whatever currency was asked for, and
+    // not at all while the wallet currency is unknown.
+    keyParams: (params, value) => {
+      const currency = value?.currency ?? walletCurrency;
+      return currency ? [params[0], currency, params[2]] : null;
+    },
+  },
+};
+
+function isFresh(entry) {
+  const ttlHours = entry.value === null ? options.emptyTtlHours : options.ttlHours;
+  return Date.now() - entry.fetchedAt < ttlHours * 3600 * 1000;
+}
+
+async function readCache(kind, key, params) {
+  const entry = cache.get(key);
+  if (entry && isFresh(entry)) {
+    stats.memoryHits++;
+    return entry;
+  }
+  if (!db) {
+    return null;
+  }
+  try {
+    const row = await db.oneOrNone(STORES[kind].select, params);
+    if (row) {
+      const stored = {
+        value: STORES[kind].fromRow(row, params[2]),
+        fetchedAt: new Date(row.fetched_at).getTime(),
+      };
+      cache.set(key, stored);
+      if (isFresh(stored)) {
+        stats.dbHits++;
+        return stored;
+      }
+    }
+  } catch (err) {
+    console.warn(`Failed to read the SCM price cache: ${err.message}`);
+  }
+  return null;
+}
+
+async function writeCache(kind, key, params, value) {
+  cache.set(key, { value, fetchedAt: Date.now() });
+  if (!db) {
+    return;
+  }
+  try {
+    await db.none(STORES[kind].upsert, [
+      params[0],
+      params[1],
+      ...STORES[kind].toRow(value, params[2]),
+    ]);
+  } catch (err) {
+    console.warn(`Failed to write the SCM price cache: ${err.message}`);
+  }
+}
+
+// One request to the market, retried after a backoff while Steam rate limits us. Resolves to
+// the parsed answer, or null when Steam has nothing for the item, and throws when there is no
+// answer.
+async function requestJson(url, headers = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await takeToken();
+    stats.requests++;
+    const res = await fetch(url, {
+      headers,
+      signal: globalThis.AbortSignal.timeout(options.timeoutMs),
+    });
+    if (res.status === 429) {
+      stats.rateLimited++;
+      stats.lastRateLimitedAt = new Date().toISOString();
+      const retryAfter = Number(res.headers.get('retry-after')) * 1000;
+      const delay =
+        retryAfter > 0
+          ? retryAfter
+          : Math.min(options.maxBackoffMs, options.backoffMs * 2 ** backoffStep);
+      backoffStep++;
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      if (attempt >= options.maxRetries) {
+        throw new Error(`rate limited by Steam after ${attempt + 1} attempts`);
+      }
+      stats.retries++;
+      continue;
+    }
+    backoffStep = 0;
+    // Steam answers unknown items with an error status as well.
     if (!res.ok) {
       return null;
     }
     const data = await res.json();
-    if (!data.success || !data.lowest_price) {
+    return data && data.success ? data : null;
+  }
+}
+
+// Steam formats prices the way their currency does, as "$1,234.56", "1.234,56€" or "1,--€".
+// The last separator followed by one or two digits is the decimal one, the others group
+// thousands.
+function parsePrice(priceText) {
+  if (!priceText) {
+    return null;
+  }
+  const digits = String(priceText)
+    .replace(/[^\d.,]/g, '')
+    .replace(/[.,]+$/, '');
+  const decimal = digits.match(/^(.*)[.,](\d{1,2})$/);
+  const price = decimal
+    ? parseFloat(`${decimal[1].replace(/[.,]/g, '')}.${decimal[2]}`)
+    : parseFloat(digits.replace(/[.,]/g, ''));
+  return isNaN(price) ? null : price;
+}
+
+async function requestOverview(marketHashName, currency) {
+  const currencyId = CURRENCY_IDS[currency] || 1;
+  const data = await requestJson(
+    `https://steamcommunity.com/market/priceoverview/?appid=440&currency=${currencyId}&market_hash_name=${encodeURIComponent(marketHashName)}`
+  );
+  if (!data || (!data.lowest_price && !data.median_price)) {
+    return null;
+  }
+  return {
+    lowest: parsePrice(data.lowest_price),
+    median: parsePrice(data.median_price),
+    volume: data.volume ? parseInt(String(data.volume).replace(/\D/g, ''), 10) : 0,
+  };
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Sale history dates look like "Oct 19 2026 01: +0".
+function parseSaleDate(text) {
+  const [month, day, year, hour] = text.split(' ');
+  return Date.UTC(Number(year), MONTHS.indexOf(month), Number(day), parseInt(hour, 10) || 0);
+}
+
+const steamLoginSecure = () => process.env.STEAM_LOGIN_SECURE || '';
+
+// pricehistory needs a logged in session, and answers in the session's wallet currency.
+async function requestSaleHistory(marketHashName, days) {
+  const data = await requestJson(
+    `https://steamcommunity.com/market/pricehistory/?appid=440&market_hash_name=${encodeURIComponent(marketHashName)}`,
+    { Cookie: `steamLoginSecure=${steamLoginSecure()}` }
+  );
+  if (data) {
+    const symbol = `${data.price_prefix || ''}${data.price_suffix || ''}`.trim();
+    walletCurrency = WALLET_CURRENCIES[symbol] || symbol || walletCurrency;
+  }
+  const since = Date.now() - days * 24 * 3600 * 1000;
+  const sales = (data?.prices || [])
+    .map(([date, price, volume]) => ({
+      time: parseSaleDate(date),
+      metal: Number(price),
+      weight: parseInt(volume, 10) || 0,
+    }))
+    .filter((sale) => sale.time >= since && sale.metal > 0 && sale.weight > 0);
+  if (sales.length === 0) {
+    return null;
+  }
+  return {
+    median: weightedMedian(sales),
+    volume: sales.reduce((acc, sale) => acc + sale.weight, 0),
+    days,
+    currency: walletCurrency,
+  };
+}
+
+// The wallet currency of the most recently cached sale history, until a fetch tells it.
+async function getWalletCurrency() {
+  if (walletCurrency || !db) {
+    return walletCurrency;
+  }
+  try {
+    const row = await db.oneOrNone(
+      'SELECT currency FROM scm_sale_history ORDER BY fetched_at DESC LIMIT 1'
+    );
+    walletCurrency = walletCurrency || row?.currency || null;
+  } catch (err) {
+    console.warn(`Failed to read the SCM price cache: ${err.message}`);
+  }
+  return walletCurrency;
+}
+
+// The cached value of `kind`, loaded once however many callers want it at the same time.
+function getCached(kind, params, load, { cacheOnly = false } = {}) {
+  const key = `${kind}|${params.join('|')}`;
+  if (cacheOnly) {
+    return readCache(kind, key, params).then((cached) => cached?.value ?? null);
+  }
+  if (inflight.has(key)) {
+    stats.coalesced++;
+    return inflight.get(key);
+  }
+  const request = (async () => {
+    const cached = await readCache(kind, key, params);
+    if (cached) {
+      return cached.value;
+    }
+    stats.misses++;
+    try {
+      const value = await load();
+      const stored = STORES[kind].keyParams ? STORES[kind].keyParams(params, value) : params;
+      if (stored) {
+        await writeCache(kind, `${kind}|${stored.join('|')}`, stored, value);
+      }
+      return value;
+    } catch (err) {
+      // Not cached, so the next request asks again.
+      stats.failures++;
+      stats.lastError = `${params[0]}: ${err.message}`;
+      console.warn(`Failed to fetch the SCM ${kind} of ${params[0]}: ${err.message}`);
       return null;
     }
-    // Remove currency symbol and commas, convert to float
-    const priceStr = data.lowest_price.replace(/[^\d.,]/g, '').replace(',', '.');
-    const price = parseFloat(priceStr);
-    return isNaN(price) ? null : price;
-  } catch {
+  })().finally(() => inflight.delete(key));
+  inflight.set(key, request);
+  return request;
+}
+
+/**
+ * The priceoverview of an item: its lowest listing, and the median price and volume of its
+ * sales in the last 24 hours.
+ * @param {string} marketHashName - The market hash name of the item.
+ * @param {string} currency - The currency code (default: 'USD').
+ * @param {object} [opts]
+ * @param {boolean} [opts.cacheOnly] - Only read the cache.
+ * @returns {Promise<{lowest: number|null, median: number|null, volume: number}|null>}
+ */
+function getSCMOverview(marketHashName, currency = 'USD', opts = {}) {
+  return getCached(
+    'overview',
+    [marketHashName, currency],
+    () => requestOverview(marketHashName, currency),
+    opts
+  );
+}
+
+/**
+ * The volume weighted median and the volume of an item's sales over the last `days` days, in
+ * the currency of the Steam session's wallet. Cached by that currency, so a change of wallet
+ * never mixes currencies.
+ * @param {string} marketHashName - The market hash name of the item.
+ * @param {number} days
+ * @param {object} [opts]
+ * @param {boolean} [opts.cacheOnly] - Only read the cache.
+ * @returns {Promise<{median: number, volume: number, days: number, currency: string}|null>} -
+ *   Null as well without a Steam session.
+ */
+async function getSCMSaleHistory(marketHashName, days, opts = {}) {
+  if (!steamLoginSecure()) {
     return null;
   }
+  return getCached(
+    'history',
+    [marketHashName, await getWalletCurrency(), days],
+    () => requestSaleHistory(marketHashName, days),
+    opts
+  );
+}
+
+/**
+ * Fetches the lowest Steam Community Market price for a given item.
+ * @param {string} marketHashName - The market hash name of the item.
+ * @param {string} currency - The currency code (default: 'USD').
+ * @param {object} [opts]
+ * @param {boolean} [opts.cacheOnly] - Only read the cache.
+ * @returns {Promise<number|null>} - The lowest price in the given currency, or null if unavailable.
+ */
+async function getSCMPrice(marketHashName, currency = 'USD', opts = {}) {
+  const overview = await getSCMOverview(marketHashName, currency, opts);
+  return overview?.lowest ?? null;
 }
 
 /**
  * Fetches the lowest SCM price for a Mann Co. Supply Crate Key.
  * @param {string} currency - The currency code (default: 'USD').
+ * @param {object} [opts]
+ * @param {boolean} [opts.cacheOnly] - Only read the cache.
  * @returns {Promise<number|null>} - The lowest key price in the given currency, or null if unavailable.
  */
-async function getSCMKeyPrice(currency = 'USD') {
-  return getSCMPrice('Mann Co. Supply Crate Key', currency);
+async function getSCMKeyPrice(currency = 'USD', opts = {}) {
+  return getSCMPrice('Mann Co. Supply Crate Key', currency, opts);
+}
+
+/**
+ * Counters of the SCM client, for the /scm-status endpoint.
+ * @returns {object}
+ */
+function getSCMStats() {
+  refillBucket();
+  return {
+    ...stats,
+    cached: cache.size,
+    inflight: inflight.size,
+    tokens: Math.floor(bucket.tokens * 100) / 100,
+    pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+    persistent: db !== null,
+    options,
+  };
 }
 
-module.exports = { getSCMPrice, getSCMKeyPrice };
+module.exports = {
+  getSCMPrice,
+  getSCMKeyPrice,
+  getSCMOverview,
+  getSCMSaleHistory,
+  configureSCMClient,
+  getSCMStats,
+};
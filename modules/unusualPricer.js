@@ -0,0 +1,308 @@
+// Unusual pricing from comparables. Most unusuals have too few listings for getAverages, and
+// the bptf suggested value alone is too coarse to trade on, so an unusual is priced from the
+// evidence of its own market and of comparable ones:
+//  - its own listings, and the copies our bot bought and sold for keys and metal,
+//  - the same effect on other hats, and the same hat with other effects, of a similar tier:
+//    a bptf value within `tierRange` times the item's own.
+// Each piece of evidence is taken as a ratio to the bptf value of the item it comes from, so a
+// Burning Flames Team Captain says something about a Burning Flames Anger. The weighted median
+// ratio of each side times the item's own bptf value is its price, and the spread of the
+// ratios is its confidence band.
+
+const fs = require('fs');
+const { Currency } = require('./currency');
+const { weightedMedian } = require('./pricingStrategies');
+const { getBptfItemPrice } = require('./bptfPriceFetcher');
+
+const KEY_SKU = '5021;6';
+
+// Refined value of the metal SKUs an unusual can be traded for.
+const METAL_SKUS = { '5002;6': 1, '5001;6': 1 / 3, '5000;6': 1 / 9 };
+
+/**
+ * Splits an unusual SKU into its hat, its effect and the rest (strange, killstreak, ...).
+ * Only unusuals with the same rest are compared with each other.
+ * @param {string} sku
+ * @returns {{defindex: string, effect: string, rest: string}|null} - Null if not an unusual.
+ */
+function parseUnusualSku(sku) {
+  const parts = sku?.split(';') || [];
+  const effect = parts.find((p) => /^u\d+$/.test(p));
+  if (parts[1] !== '5' || !effect) {
+    return null;
+  }
+  return {
+    defindex: parts[0],
+    effect: effect.slice(1),
+    rest: parts
+      .slice(2)
+      .filter((p) => p !== effect)
+      .join(';'),
+  };
+}
+
+const isUnusualSku = (sku) => parseUnusualSku(sku) !== null;
+
+// Refined value of one side of a trade that is only keys and metal, or null.
+function pureValue(dict, keyMetal) {
+  let metal = 0;
+  for (const [sku, qty] of Object.entries(dict)) {
+    if (sku === KEY_SKU) {
+      metal += qty * keyMetal;
+    } else if (METAL_SKUS[sku]) {
+      metal += METAL_SKUS[sku] * qty;
+    } else {
+      return null;
+    }
+  }
+  return metal;
+}
+
+// The unusual SKU of a side of a trade that is a single unusual, or null.
+function singleUnusual(dict) {
+  const entries = Object.entries(dict);
+  return entries.length === 1 && entries[0][1] === 1 && isUnusualSku(entries[0][0])
+    ? entries[0][0]
+    : null;
+}
+
+// Unusuals our bot bought and sold on their own for pure, by SKU, in refined at today's key
+// price.
+function loadUnusualTrades(pollDataPath, keyMetal, lookbackDays) {
+  const trades = new Map();
+  if (!pollDataPath || !fs.existsSync(pollDataPath)) {
+    return trades;
+  }
+  const offerData = JSON.parse(fs.readFileSync(pollDataPath, 'utf8')).offerData || {};
+  const since = Date.now() - lookbackDays * 24 * 60 * 60 * 1000;
+  const add = (sku, side, metal) => {
+    if (!trades.has(sku)) {
+      trades.set(sku, { bought: [], sold: [] });
+    }
+    trades.get(sku)[side].push(metal);
+  };
+  for (const trade of Object.values(offerData)) {
+    const accepted = trade.action?.action === 'accept' || trade.isAccepted;
+    let time = trade.time || trade.actionTimestamp || 0;
+    if (time < 1e12) {
+      time *= 1000;
+    }
+    if (!accepted || time < since) {
+      continue;
+    }
+    const our = trade.dict?.our || {};
+    const their = trade.dict?.their || {};
+    const sold = singleUnusual(our);
+    const bought = singleUnusual(their);
+    if (sold) {
+      const metal = pureValue(their, keyMetal);
+      if (metal > 0) {
+        add(sold, 'sold', metal);
+      }
+    } else if (bought) {
+      const metal = pureValue(our, keyMetal);
+      if (metal > 0) {
+        add(bought, 'bought', metal);
+      }
+    }
+  }
+  return trades;
+}
+
+// SKUs of the unusuals with listings.
+async function getListedUnusualSkus(db) {
+  const rows = await db.any("SELECT DISTINCT sku FROM listings WHERE sku LIKE '%;5;u%'");
+  return rows.map((r) => r.sku).filter(isUnusualSku);
+}
+
+/**
+ * Loads the unusual market once for a pricing pass: the best buy and sell listing of every
+ * listed unusual, our unusual trades and the bptf values to compare them by.
+ * @param {object} opts
+ * @param {object} opts.db - pg-promise database instance.
+ * @param {object} opts.externalPricelist - Cached backpack.tf IGetPrices response.
+ * @param {string} [opts.pollDataPath] - polldata.json of our bot.
+ * @param {number} opts.keyMetal - Key price in refined.
+ * @param {object} opts.options - unusualPricing from config.json.
+ * @returns {Promise<object>} - Input of priceUnusual.
+ */
+async function loadUnusualMarket({ db, externalPricelist, pollDataPath, keyMetal, options }) {
+  const rows = await db.any("SELECT sku, intent, currencies FROM listings WHERE sku LIKE '%;5;u%'");
+  const trades = loadUnusualTrades(pollDataPath, keyMetal, options.tradeLookbackDays ?? 90);
+  const skus = new Map();
+  const entryOf = (sku) => {
+    if (!skus.has(sku)) {
+      skus.set(sku, {
+        parsed: parseUnusualSku(sku),
+        bestBuy: null,
+        bestSell: null,
+        bought: trades.get(sku)?.bought || [],
+        sold: trades.get(sku)?.sold || [],
+      });
+    }
+    return skus.get(sku);
+  };
+  for (const row of rows) {
+    if (!isUnusualSku(row.sku)) {
+      continue;
+    }
+    const entry = entryOf(row.sku);
+    const metal = Currency.fromObject(row.currencies, { keyPrice: keyMetal }).toMetal(keyMetal);
+    if (row.intent === 'buy') {
+      entry.bestBuy = Math.max(entry.bestBuy ?? 0, metal);
+    } else if (metal > 0) {
+      entry.bestSell = Math.min(entry.bestSell ?? Infinity, metal);
+    }
+  }
+  for (const sku of trades.keys()) {
+    entryOf(sku);
+  }
+
+  const values = new Map();
+  const bptfValue = (sku) => {
+    if (!values.has(sku)) {
+      const price = getBptfItemPrice(externalPricelist, sku);
+      let value = null;
+      if (price && typeof price.value === 'number') {
+        const mid = (price.value + (price.value_high || price.value)) / 2;
+        value = price.currency === 'keys' ? mid * keyMetal : mid;
+      }
+      values.set(sku, value > 0 ? value : null);
+    }
+    return values.get(sku);
+  };
+
+  return { keyMetal, skus, bptfValue };
+}
+
+function weightedQuantile(entries, q) {
+  const sorted = [...entries].sort((a, b) => a.metal - b.metal);
+  const total = sorted.reduce((acc, e) => acc + e.weight, 0);
+  let cumulative = 0;
+  for (const entry of sorted) {
+    cumulative += entry.weight;
+    if (cumulative >= total * q) {
+      return entry.metal;
+    }
+  }
+  return sorted[sorted.length - 1].metal;
+}
+
+/**
+ * Prices an unusual from its own and comparable markets.
+ * @param {string} sku
+ * @param {object} market - From loadUnusualMarket.
+ * @param {object} [options] - unusualPricing from config.json.
+ * @param {number} [options.tierRange=2] - Largest factor between the bptf values of comparables.
+ * @param {number} [options.minSamples=3] - Pieces of evidence needed for a price.
+ * @param {number} [options.spread=0.1] - Buy below sell when a side has no evidence.
+ * @param {number} [options.maxBaselineDeviation=0.5] - Furthest a side may be from the bptf value.
+ * @param {object} [options.weights] - Weight of the item's own listings, of comparables and
+ *   the factor trades are weighed with.
+ * @returns {object} - `price` ([buy, sell]), `band` ({low, high}), `confidence` (0 to 1) and
+ *   what they were based on, or `reason` when the item can't be priced this way.
+ */
+function priceUnusual(
+  sku,
+  market,
+  {
+    tierRange = 2,
+    minSamples = 3,
+    spread = 0.1,
+    maxBaselineDeviation = 0.5,
+    weights = { own: 3, comparable: 1, trades: 2 },
+  } = {}
+) {
+  const target = parseUnusualSku(sku);
+  const value = target && market.bptfValue(sku);
+  if (!value) {
+    return { reason: 'No bptf value to compare with.' };
+  }
+
+  const evidence = { buy: [], sell: [] };
+  const used = { own: 0, comparables: 0, trades: 0 };
+  for (const [other, entry] of market.skus) {
+    const { parsed } = entry;
+    if (parsed.rest !== target.rest) {
+      continue;
+    }
+    let base = value;
+    let weight = weights.own;
+    if (other !== sku) {
+      if (parsed.effect !== target.effect && parsed.defindex !== target.defindex) {
+        continue;
+      }
+      base = market.bptfValue(other);
+      // Closer tiers weigh more, down to half at the edge of the range.
+      const distance = base ? Math.abs(Math.log(base / value)) / Math.log(tierRange) : Infinity;
+      if (distance > 1) {
+        continue;
+      }
+      weight = weights.comparable * (1 - distance / 2);
+    }
+    const add = (side, metal, w) => evidence[side].push({ metal: metal / base, weight: w });
+    const before = evidence.buy.length + evidence.sell.length;
+    if (entry.bestBuy) {
+      add('buy', entry.bestBuy, weight);
+    }
+    if (entry.bestSell && entry.bestSell !== Infinity) {
+      add('sell', entry.bestSell, weight);
+    }
+    entry.bought.forEach((metal) => add('buy', metal, weight * weights.trades));
+    entry.sold.forEach((metal) => add('sell', metal, weight * weights.trades));
+    if (evidence.buy.length + evidence.sell.length > before) {
+      used[other === sku ? 'own' : 'comparables']++;
+      used.trades += entry.bought.length + entry.sold.length;
+    }
+  }
+
+  const all = [...evidence.buy, ...evidence.sell];
+  if (all.length < minSamples) {
+    return {
+      reason: `Only ${all.length} listings and trades of it and comparable unusuals, ${minSamples} needed.`,
+    };
+  }
+
+  const clampRatio = (ratio) =>
+    Math.min(1 + maxBaselineDeviation, Math.max(1 - maxBaselineDeviation, ratio));
+  let buyRatio = evidence.buy.length > 0 ? weightedMedian(evidence.buy) : null;
+  let sellRatio = evidence.sell.length > 0 ? weightedMedian(evidence.sell) : null;
+  sellRatio = clampRatio(sellRatio ?? buyRatio / (1 - spread));
+  buyRatio = clampRatio(buyRatio ?? sellRatio * (1 - spread));
+  if (buyRatio >= sellRatio) {
+    buyRatio = sellRatio * (1 - spread);
+  }
+
+  const q1 = weightedQuantile(all, 0.25);
+  const q2 = weightedMedian(all);
+  const q3 = weightedQuantile(all, 0.75);
+  // More evidence and closer agreement mean more confidence.
+  const dispersion = q2 > 0 ? (q3 - q1) / q2 : 1;
+  const confidence =
+    Math.round(Math.min(1, all.length / (minSamples * 3)) * Math.max(0, 1 - dispersion) * 100) /
+    100;
+
+  const toPrice = (ratio) =>
+    Currency.fromMetal(ratio * value)
+      .normalise(market.keyMetal)
+      .toObject();
+  return {
+    price: [toPrice(buyRatio), toPrice(sellRatio)],
+    band: { low: toPrice(q1), high: toPrice(q3) },
+    confidence,
+    bptf: toPrice(1),
+    ratios: {
+      buy: Math.round(buyRatio * 1000) / 1000,
+      sell: Math.round(sellRatio * 1000) / 1000,
+    },
+    evidence: { buy: evidence.buy.length, sell: evidence.sell.length, ...used },
+  };
+}
+
+module.exports = {
+  parseUnusualSku,
+  isUnusualSku,
+  getListedUnusualSkus,
+  loadUnusualMarket,
+  priceUnusual,
+};
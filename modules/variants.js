@@ -0,0 +1,260 @@
+// Painted, spelled and strange part variants. Listings of items with a paint, spells or strange
+// parts are worth more than the clean item and would skew its price, so they are kept apart in
+// tf2.variant_listings instead of tf2.listings. From these the premium each paint, spell and
+// part adds over the clean price is learned: the median difference between a variant's listing
+// and the clean item's price, over the listings with that one attribute and nothing else.
+// Painted variants have a SKU of their own (`;p<paint>`), so they can be priced as their clean
+// item plus the paint premium. Spells and parts are not part of a SKU, so their premiums are
+// only reported.
+
+const { Currency } = require('./currency');
+
+// Attribute holding the paint colour, as a decimal.
+const PAINT_ATTRIBUTE = 142;
+
+// Variant listings older than this are deleted, as the premiums are learned over this window.
+const MAX_AGE_SECONDS = 14 * 24 * 60 * 60;
+
+// Words of excludedListingDescriptions that name spells. A spelled listing is expected to
+// mention its spells, so these don't exclude variant listings; every other one still does.
+const SPELL_DESCRIPTION_WORDS = new Set([
+  'exorcism',
+  'ex',
+  'spell',
+  'spells',
+  'spelled',
+  'spelt',
+  'footsteps',
+  'footprints',
+  'hh',
+  'horseshoes/rotten orange',
+  'headless horse',
+  'pumpkin bombs',
+  'voices from below',
+  'halloween fire',
+]);
+
+/**
+ * The excludedListingDescriptions that apply to variant listings: all but the spell words.
+ * @param {string[]} descriptions - excludedListingDescriptions in config.json.
+ * @returns {string[]}
+ */
+function variantExcludedDescriptions(descriptions) {
+  return descriptions.filter(
+    (description) => !SPELL_DESCRIPTION_WORDS.has(String(description).toLowerCase().trim())
+  );
+}
+
+/**
+ * The paint, spells and strange parts of a bptf listing item.
+ * @param {object} item - `payload.item` of a bptf websocket event.
+ * @param {object} paints - Paint names by decimal value, blockedAttributes in config.json.
+ * @returns {{paint: {name: string, decimal: number}|null, spells: string[], parts: string[]}|null}
+ *   - Null for a clean item.
+ */
+function describeVariant(item, paints) {
+  let paint = null;
+  // Paint cans carry their own colour.
+  if (!Object.keys(paints).some((name) => item.name.includes(name))) {
+    const attribute = (item.attributes || []).find(
+      (a) => typeof a === 'object' && Number(a.defindex) === PAINT_ATTRIBUTE && a.float_value
+    );
+    const decimal = attribute
+      ? Number(attribute.float_value)
+      : item.paint?.name
+        ? paints[item.paint.name]
+        : null;
+    const name =
+      item.paint?.name ||
+      Object.keys(paints).find((key) => String(paints[key]) === String(decimal));
+    if (name && decimal) {
+      paint = { name, decimal };
+    }
+  }
+  const spells = (Array.isArray(item.spells) ? item.spells : [])
+    .map((spell) => spell.name)
+    .filter(Boolean);
+  const parts = (Array.isArray(item.strangeParts) ? item.strangeParts : [])
+    .map((part) => part.killEater?.name || part.name)
+    .filter(Boolean);
+  return paint || spells.length > 0 || parts.length > 0 ? { paint, spells, parts } : null;
+}
+
+// The attributes of a variant as `paint:`, `spell:` and `part:` keys, sorted.
+function variantAttributes({ paint, spells, parts }) {
+  return [
+    ...(paint ? [`paint:${paint.name}`] : []),
+    ...spells.map((s) => `spell:${s}`),
+    ...parts.map((p) => `part:${p}`),
+  ].sort();
+}
+
+/**
+ * Stores variant listings, replacing earlier ones of the same variant by the same steamid.
+ * @param {object} pgp - pg-promise instance.
+ * @param {object} db - pg-promise database instance.
+ * @param {Array} listings - [item, sku, currencies, intent, steamid, variant] of each listing,
+ *   `sku` being the clean item's SKU.
+ */
+async function insertVariantListingsBatch(pgp, db, listings) {
+  const rows = new Map();
+  const updated = Math.floor(Date.now() / 1000);
+  for (const [item, sku, currencies, intent, steamid, variant] of listings) {
+    const attributes = variantAttributes(variant);
+    const row = {
+      name: item.name,
+      sku,
+      variant: attributes.join(';'),
+      attributes,
+      paint: variant.paint?.decimal ?? null,
+      currencies: JSON.stringify(currencies),
+      intent,
+      steamid,
+      updated,
+    };
+    rows.set(`${row.name}|${row.variant}|${intent}|${steamid}`, row);
+  }
+  if (rows.size === 0) {
+    return;
+  }
+  const cs = new pgp.helpers.ColumnSet(
+    [
+      'name',
+      'sku',
+      'variant',
+      { name: 'attributes', cast: 'text[]' },
+      'paint',
+      'currencies',
+      'intent',
+      'steamid',
+      'updated',
+    ],
+    { table: 'variant_listings' }
+  );
+  await db.none(
+    pgp.helpers.insert([...rows.values()], cs) +
+      ` ON CONFLICT (name, variant, intent, steamid)
+        DO UPDATE SET currencies = EXCLUDED.currencies, updated = EXCLUDED.updated`
+  );
+}
+
+async function deleteVariantListing(db, steamid, name, intent, variant) {
+  await db.none(
+    'DELETE FROM variant_listings WHERE steamid = $1 AND name = $2 AND intent = $3 AND variant = $4',
+    [steamid, name, intent, variantAttributes(variant).join(';')]
+  );
+}
+
+async function deleteOldVariantListings(db) {
+  const result = await db.result(
+    'DELETE FROM variant_listings WHERE updated <= EXTRACT(EPOCH FROM NOW()) - $1',
+    [MAX_AGE_SECONDS]
+  );
+  return result.rowCount;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Learns the premium of every paint, spell and part over the clean price.
+ * @param {object} db - pg-promise database instance.
+ * @param {Map<string, object>} prices - Pricelist items by SKU.
+ * @param {number} keyMetal - Key price in refined.
+ * @param {object} [options]
+ * @param {number} [options.minSamples=5] - Listings a side needs for a premium.
+ * @returns {Promise<Map<string, object>>} - By attribute key (e.g. `paint:Pink as Hell`): its
+ *   `type`, `name`, `decimal` for paints, `buy` and `sell` premium in refined (null without
+ *   enough listings) and the number of listings of each side.
+ */
+async function getVariantPremiums(db, prices, keyMetal, { minSamples = 5 } = {}) {
+  const rows = await db.any(
+    'SELECT sku, attributes, paint, currencies, intent FROM variant_listings WHERE cardinality(attributes) = 1'
+  );
+  const differences = new Map();
+  for (const row of rows) {
+    const base = prices.get(row.sku);
+    if (!base || base.derived) {
+      continue;
+    }
+    const metal = (price) => Currency.fromObject(price, { keyPrice: keyMetal }).toMetal(keyMetal);
+    const key = row.attributes[0];
+    if (!differences.has(key)) {
+      differences.set(key, { decimal: row.paint, buy: [], sell: [] });
+    }
+    const side = row.intent === 'buy' ? 'buy' : 'sell';
+    differences.get(key)[side].push(metal(row.currencies) - metal(base[side]));
+  }
+
+  const premiums = new Map();
+  for (const [key, { decimal, buy, sell }] of differences) {
+    // An attribute never makes an item worth less.
+    const premium = (values) =>
+      values.length >= minSamples ? Currency.fromMetal(Math.max(0, median(values))).metal : null;
+    const [type, ...name] = key.split(':');
+    premiums.set(key, {
+      type,
+      name: name.join(':'),
+      decimal: type === 'paint' ? Number(decimal) : null,
+      buy: premium(buy),
+      sell: premium(sell),
+      samples: { buy: buy.length, sell: sell.length },
+    });
+  }
+  return premiums;
+}
+
+/**
+ * The painted variants seen in listings of the given clean items.
+ * @param {object} db - pg-promise database instance.
+ * @param {string[]} baseSkus - SKUs of clean items.
+ * @returns {Promise<Array<{sku: string, baseSku: string, paint: string, decimal: number}>>}
+ */
+async function getListedPaintedVariants(db, baseSkus) {
+  if (baseSkus.length === 0) {
+    return [];
+  }
+  const rows = await db.any(
+    `SELECT DISTINCT sku, paint, attributes[1] AS attribute FROM variant_listings
+     WHERE sku = ANY($1) AND paint IS NOT NULL AND cardinality(attributes) = 1`,
+    [baseSkus]
+  );
+  return rows.map((row) => ({
+    sku: `${row.sku};p${row.paint}`,
+    baseSku: row.sku,
+    paint: row.attribute,
+    decimal: Number(row.paint),
+  }));
+}
+
+/**
+ * The price of a painted variant as its clean item's price plus the paint's premium.
+ * @param {object} base - Pricelist item of the clean item.
+ * @param {{buy: number, sell: number}} premium - From getVariantPremiums.
+ * @param {number} keyMetal - Key price in refined.
+ * @returns {Array<{keys: number, metal: number}>} - [buy, sell], as determinePrice returns.
+ */
+function deriveVariantPrice(base, premium, keyMetal) {
+  const side = (price, extra) =>
+    Currency.fromObject(price, { keyPrice: keyMetal })
+      .toPureMetal(keyMetal)
+      .add(Currency.fromMetal(extra))
+      .normalise(keyMetal)
+      .toObject();
+  return [side(base.buy, premium.buy), side(base.sell, premium.sell)];
+}
+
+module.exports = {
+  describeVariant,
+  variantExcludedDescriptions,
+  variantAttributes,
+  insertVariantListingsBatch,
+  deleteVariantListing,
+  deleteOldVariantListings,
+  getVariantPremiums,
+  getListedPaintedVariants,
+  deriveVariantPrice,
+};
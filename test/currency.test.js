@@ -0,0 +1,63 @@
+// Prices in modules/currency.js are whole keys and scrap, and refined values are written the
+// way traders write them, with .11 per scrap. The key price in these tests is 60 refined, or
+// 540 scrap.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Currency, refinedToScrap, scrapToRefined } = require('../modules/currency');
+
+const KEY_PRICE = 60;
+
+test('refined and scrap round trip', () => {
+  for (let scrap = 0; scrap <= 2 * 9; scrap++) {
+    assert.equal(refinedToScrap(scrapToRefined(scrap)), scrap);
+  }
+  assert.equal(refinedToScrap(0.11), 1);
+  assert.equal(refinedToScrap(0.88), 8);
+  assert.equal(refinedToScrap(12.11), 109);
+  assert.equal(scrapToRefined(1), 0.11);
+  assert.equal(scrapToRefined(8), 0.88);
+  assert.equal(scrapToRefined(109), 12.11);
+});
+
+test('rounding to scrap allows for the .11 notation', () => {
+  assert.equal(refinedToScrap(0.88, 'down'), 8);
+  assert.equal(refinedToScrap(0.88, 'up'), 8);
+  assert.equal(refinedToScrap(0.5, 'down'), 4);
+  assert.equal(refinedToScrap(0.5, 'up'), 5);
+  assert.throws(() => refinedToScrap(1, 'sideways'), /Unknown rounding policy/);
+});
+
+test('fromObject keeps the value of fractional keys with a key price', () => {
+  const price = Currency.fromObject({ keys: 1.5, metal: 0.11 }, { keyPrice: KEY_PRICE });
+  assert.deepEqual(price.toObject(), { keys: 1, metal: 30.11 });
+  assert.equal(price.toScrap(KEY_PRICE), 540 + 271);
+
+  const truncated = Currency.fromObject({ keys: 1.5, metal: 0.11 });
+  assert.deepEqual(truncated.toObject(), { keys: 1, metal: 0.11 });
+});
+
+test('normalise turns whole keys worth of metal into keys', () => {
+  const price = Currency.fromScrap(2 * 540 + 10).normalise(KEY_PRICE);
+  assert.deepEqual(price.toObject(), { keys: 2, metal: 1.11 });
+
+  const byCurrency = Currency.fromScrap(2 * 540 + 10).normalise(Currency.fromMetal(KEY_PRICE));
+  assert.deepEqual(byCurrency.toObject(), price.toObject());
+
+  assert.deepEqual(Currency.fromMetal(59.88).normalise(KEY_PRICE).toObject(), {
+    keys: 0,
+    metal: 59.88,
+  });
+});
+
+test('multiply applies a factor to the total value', () => {
+  assert.deepEqual(Currency.fromMetal(10).multiply(1.1).toObject(), { keys: 0, metal: 11 });
+  assert.equal(Currency.fromMetal(10).multiply(1.05).toScrap(), 95);
+  assert.equal(Currency.fromMetal(10).multiply(1.05, undefined, 'down').toScrap(), 94);
+
+  const doubled = new Currency({ keys: 1 }).multiply(2, KEY_PRICE);
+  assert.deepEqual(doubled.toObject(), { keys: 0, metal: 120 });
+  assert.deepEqual(doubled.normalise(KEY_PRICE).toObject(), { keys: 2, metal: 0 });
+  assert.throws(() => new Currency({ keys: 1 }).multiply(2), /Invalid key price/);
+});
@@ -0,0 +1,31 @@
+// Round trips SKUs and market hash names through modules/marketHashNames.js against a cached
+// schema. fixtures/schema.json is an excerpt of a schema.json the pricer caches, holding only
+// the items the corpus in fixtures/marketHashNames.json names. Each corpus entry is a SKU and
+// its market hash name, and the market SKU the name reads back as when SCM drops part of it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Schema } = require('@tf2autobot/tf2-schema');
+
+const {
+  marketHashNameFromSku,
+  skuFromMarketHashName,
+  toMarketSku,
+} = require('../modules/marketHashNames');
+const corpus = require('./fixtures/marketHashNames.json');
+
+const schema = new Schema(require('./fixtures/schema.json'));
+
+for (const { kind, sku, name, marketSku = sku } of corpus) {
+  test(`${kind}: ${sku} <-> ${name}`, () => {
+    assert.equal(marketHashNameFromSku(sku, schema), name);
+    assert.equal(toMarketSku(sku), marketSku);
+    assert.equal(skuFromMarketHashName(name, schema), marketSku);
+    assert.equal(marketHashNameFromSku(marketSku, schema), name);
+  });
+}
+
+test('names the schema does not know have no SKU', () => {
+  assert.equal(skuFromMarketHashName('Not An Item', schema), null);
+  assert.equal(marketHashNameFromSku('99999;6', schema), null);
+});
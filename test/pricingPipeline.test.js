@@ -0,0 +1,97 @@
+// Prices an item through modules/pricingPipeline.js with the price history, the pricelist and
+// the item profile stubbed in, the way the backtest feeds it replayed listings. The key price
+// is 60 refined.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Methods = require('../methods');
+const { createPricingPipeline } = require('../modules/pricingPipeline');
+const { createExplanation } = require('../modules/priceExplanations');
+
+const NAME = 'Team Captain';
+const SKU = '378;6';
+const NOW = Date.UTC(2026, 9, 19);
+
+const profile = {
+  strategy: { name: 'median' },
+  outlierMethod: { name: 'zscore' },
+  minListings: { buy: 3, sell: 1 },
+  minSellMargin: 0.11,
+  margins: { buy: 0, sell: 0 },
+  priceSwingLimits: { maxBuyIncrease: 0.1, maxSellDecrease: 0.1 },
+};
+
+const listing = (steamid, metal) => ({ steamid, currencies: { keys: 0, metal } });
+
+// A pipeline whose previous price and recent price history are the given ones.
+function createPipeline({ previous, history }) {
+  return createPricingPipeline({
+    Methods: new Methods(),
+    getKeyMetal: () => 60,
+    getItemProfile: () => profile,
+    getItemBounds: () => new Map(),
+    prioritySteamIds: [],
+    getSellPriceHistory: async () => [],
+    getRecentPrices: async () => history,
+    getPreviousPrice: async () => previous,
+    now: () => NOW,
+  });
+}
+
+test('a price within the swing limits is accepted', async () => {
+  const pipeline = createPipeline({
+    previous: { buy: { keys: 0, metal: 10 }, sell: { keys: 0, metal: 11 } },
+    history: [{ buy_metal: '10', sell_metal: '11' }],
+  });
+  const explain = createExplanation(NAME, SKU);
+  const arr = await pipeline.getAverages(
+    NAME,
+    [listing('1', 10.22), listing('2', 10.11), listing('3', 10)],
+    [listing('4', 11), listing('5', 11.11), listing('6', 11.22)],
+    SKU,
+    null,
+    profile,
+    explain
+  );
+  const result = await pipeline.finalisePrice(arr, NAME, SKU, explain);
+
+  assert.deepEqual(result.item, {
+    name: NAME,
+    sku: SKU,
+    source: 'bptf',
+    time: NOW / 1000,
+    buy: { keys: 0, metal: 10.11 },
+    sell: { keys: 0, metal: 11.11 },
+  });
+  assert.deepEqual(result.priceHistory, { sku: SKU, buy: 10.11, sell: 11.11 });
+  assert.equal(explain.outcome, 'priced');
+  assert.equal(explain.swingCheck.acceptable, true);
+});
+
+test('a buy price far above the recent average is rejected', async () => {
+  const pipeline = createPipeline({
+    previous: { buy: { keys: 0, metal: 5 }, sell: { keys: 0, metal: 6 } },
+    history: [
+      { buy_metal: '5', sell_metal: '6' },
+      { buy_metal: '5', sell_metal: '6' },
+    ],
+  });
+  const explain = createExplanation(NAME, SKU);
+  const result = await pipeline.finalisePrice(
+    [
+      { keys: 0, metal: 10.11 },
+      { keys: 0, metal: 11.11 },
+    ],
+    NAME,
+    SKU,
+    explain
+  );
+
+  assert.equal(result.item, undefined);
+  assert.deepEqual(result.rejected.item.buy, { keys: 0, metal: 10.11 });
+  assert.deepEqual(result.rejected.average, { buy: 5, sell: 6 });
+  assert.match(result.rejected.reason, /^Buy price rose 102\.2% above the recent average/);
+  assert.equal(explain.outcome, 'rejected');
+  assert.equal(explain.swingCheck.acceptable, false);
+});
@@ -3,11 +3,20 @@ const { clearInterval, setInterval } = require('timers');
 const ReconnectingWebSocket = require('reconnecting-websocket');
 const ws = require('ws');
 const { WebSocket } = require('ws');
+const { describeVariant, variantExcludedDescriptions } = require('../modules/variants');
 
 let insertQueue = [];
 let insertTimer = null;
 const INSERT_BATCH_INTERVAL = 10000; // ms
 
+// Events waiting to be written to the listing history archive.
+let archiveQueue = [];
+let archiveTimer = null;
+
+// Painted, spelled and strange part listings waiting to be written to tf2.variant_listings.
+let variantQueue = [];
+let variantTimer = null;
+
 // Connection health monitoring
 let lastMessageTime = Date.now();
 let messageCount = 0;
@@ -20,6 +29,14 @@ function logWebSocketEvent(logFile, message) {
   fs.appendFileSync(logFile, `[${timestamp}] ${message}\n`);
 }
 
+// Uncraftable listings are stored and priced under their "Non-Craftable ..." name, the name
+// the schema and item list use, even when bptf only flags them.
+function normaliseItemName(item) {
+  if (item.craftable === false && !item.name.includes('Non-Craftable')) {
+    item.name = `Non-Craftable ${item.name}`;
+  }
+}
+
 function initBptfWebSocket({
   getAllowedItemNames,
   allowAllItems,
@@ -32,6 +49,9 @@ function initBptfWebSocket({
   blockedAttributes,
   logFile,
   onListingUpdate,
+  archiveListingEvents,
+  insertVariantListingsBatch,
+  deleteVariantListing,
 }) {
   // Enhanced reconnection options
   const reconnectOptions = {
@@ -88,17 +108,22 @@ function initBptfWebSocket({
     }
   }
 
+  // Listing updates are reported once they are written, so repricing reads them.
   async function flushInsertQueue() {
-    if (insertQueue.length === 0) {
+    const batch = insertQueue;
+    insertQueue = [];
+    insertTimer = null;
+    if (batch.length === 0) {
       return;
     }
     try {
-      await insertListingsBatch(insertQueue);
+      await insertListingsBatch(batch);
     } catch (err) {
       console.error('[WebSocket] Batch insert error:', err);
     }
-    insertQueue = [];
-    insertTimer = null;
+    for (const [item, sku] of batch) {
+      onListingUpdate(sku, item.name);
+    }
   }
 
   function queueInsertListing(...args) {
@@ -108,90 +133,204 @@ function initBptfWebSocket({
     }
   }
 
+  async function flushArchiveQueue() {
+    const events = archiveQueue;
+    archiveQueue = [];
+    archiveTimer = null;
+    try {
+      await archiveListingEvents(events);
+    } catch (err) {
+      console.error('[WebSocket] Listing archive error:', err);
+    }
+  }
+
+  // Archive an event, unless the listing history archive is disabled.
+  function queueArchiveEvent(event) {
+    if (!archiveListingEvents) {
+      return;
+    }
+    archiveQueue.push({ time: Date.now(), ...event });
+    if (!archiveTimer) {
+      archiveTimer = setTimeout(flushArchiveQueue, INSERT_BATCH_INTERVAL);
+    }
+  }
+
+  async function flushVariantQueue() {
+    const batch = variantQueue;
+    variantQueue = [];
+    variantTimer = null;
+    try {
+      await insertVariantListingsBatch(batch);
+    } catch (err) {
+      console.error('[WebSocket] Variant listing insert error:', err);
+    }
+  }
+
+  // Store a variant listing, unless variant listings are disabled.
+  function queueVariantListing(...args) {
+    variantQueue.push(args);
+    if (!variantTimer) {
+      variantTimer = setTimeout(flushVariantQueue, INSERT_BATCH_INTERVAL);
+    }
+  }
+
+  // The paint, spells and parts of a listing that is stored as a variant, or null.
+  function getVariant(item) {
+    return insertVariantListingsBatch ? describeVariant(item, blockedAttributes) : null;
+  }
+
+  // Whether a listing's description mentions any of the given excluded descriptions.
+  function mentionsExcluded(details, descriptions) {
+    const text = details.normalize('NFKD').toLowerCase().trim();
+    return descriptions.some((detail) => new RegExp(`\\b${detail}\\b`, 'i').test(text));
+  }
+
+  const variantExclusions = variantExcludedDescriptions(excludedListingDescriptions);
+
+  // Whether a listing has an attribute of blockedAttributes, unless its name allows it.
+  function hasBlockedAttribute(item) {
+    return (
+      Array.isArray(item.attributes) &&
+      item.attributes.some((attribute) => {
+        return (
+          typeof attribute === 'object' &&
+          attribute.float_value &&
+          Object.values(blockedAttributes).map(String).includes(String(attribute.float_value)) &&
+          !Object.keys(blockedAttributes).some((key) => item.name.includes(key))
+        );
+      })
+    );
+  }
+
+  // Why a listing update is left out of the listings we price from, or null if it is not.
+  // Archived with the event, so the backtest only replays what the pricer saw.
+  function updateDropReason(payload, variant) {
+    if (!payload.userAgent) {
+      return 'noUserAgent';
+    }
+    if (!Methods.validateObject(payload.currencies)) {
+      return 'invalidCurrencies';
+    }
+    if (variant) {
+      return 'variant';
+    }
+    if (Array.isArray(payload.item.spells) && payload.item.spells.length > 0) {
+      return 'spells';
+    }
+    if (hasBlockedAttribute(payload.item)) {
+      return 'blockedAttribute';
+    }
+    if (excludedSteamIds.includes(payload.steamid)) {
+      return 'excludedSteamId';
+    }
+    if (!payload.details) {
+      return 'noDescription';
+    }
+    if (mentionsExcluded(payload.details, excludedListingDescriptions)) {
+      return 'excludedDescription';
+    }
+    return null;
+  }
+
   function handleEvent(e) {
     if (!e.payload || !e.payload.item || !e.payload.item.name) {
       // Optionally log ignored events for debugging:
       console.log('[WebSocket] Ignored event:', e);
       return;
     }
+    normaliseItemName(e.payload.item);
     if (allowAllItems() || getAllowedItemNames().has(e.payload.item.name)) {
       let response_item = e.payload.item;
-      let spells = e.payload.item.spells;
       let steamid = e.payload.steamid;
       let intent = e.payload.intent;
+
+      let sku = null;
+      try {
+        sku = schemaManager.schema.getSkuFromName(response_item.name) ?? null;
+      } catch {
+        // Archived without a SKU.
+      }
+      const variant = getVariant(response_item);
+
       switch (e.event) {
         case 'listing-update': {
           //          console.log('[WebSocket] Received a socket listing update for : ' + response_item.name);
 
-          let currencies = e.payload.currencies;
-          let listingDetails = e.payload.details;
-          let listingItemObject = e.payload.item;
+          const currencies = Methods.validateObject(e.payload.currencies)
+            ? Methods.createCurrencyObject(e.payload.currencies)
+            : null;
+          const dropped = updateDropReason(e.payload, variant);
+          queueArchiveEvent({
+            event: 'listing-update',
+            name: response_item.name,
+            sku,
+            intent,
+            steamid,
+            currencies,
+            listedAt: e.payload.listedAt,
+            dropped,
+          });
 
-          if (!e.payload.userAgent) {
-            return;
-          }
-          if (!Methods.validateObject(currencies)) {
+          if (dropped === 'variant') {
+            // Variants are kept apart. Their description may mention their spells, but not
+            // anything else that excludes a listing.
+            const listingDetails = e.payload.details;
+            if (
+              sku &&
+              !excludedSteamIds.includes(steamid) &&
+              !(listingDetails && mentionsExcluded(listingDetails, variantExclusions))
+            ) {
+              queueVariantListing(response_item, sku, currencies, intent, steamid, variant);
+            }
             return;
           }
-          if (spells && Array.isArray(spells) && spells.length > 0) {
+          if (dropped === 'spells') {
             console.log(
-              `[WebSocket] Ignored listing update for item with spells, as they are not supported. ${response_item.name} has spells: ${spells.map((spell) => spell.name).join(', ')}`
+              `[WebSocket] Ignored listing update for item with spells, as they are not supported. ${response_item.name} has spells: ${response_item.spells.map((spell) => spell.name).join(', ')}`
             );
             return;
           }
-
-          if (
-            listingItemObject.attributes &&
-            listingItemObject.attributes.some((attribute) => {
-              return (
-                typeof attribute === 'object' &&
-                attribute.float_value &&
-                Object.values(blockedAttributes)
-                  .map(String)
-                  .includes(String(attribute.float_value)) &&
-                !Object.keys(blockedAttributes).some((key) => response_item.name.includes(key))
-              );
-            })
-          ) {
+          if (dropped) {
             return;
           }
-
-          currencies = Methods.createCurrencyObject(currencies);
-
-          if (!excludedSteamIds.some((id) => steamid === id)) {
-            if (
-              listingDetails &&
-              !excludedListingDescriptions.some((detail) =>
-                new RegExp(`\\b${detail}\\b`, 'i').test(
-                  listingDetails.normalize('NFKD').toLowerCase().trim()
-                )
-              )
-            ) {
-              try {
-                var sku = schemaManager.schema.getSkuFromName(response_item.name);
-                if (sku === null || sku === undefined) {
-                  throw new Error(
-                    `| UPDATING PRICES |: Couldn't price ${response_item.name}. Issue with retrieving this items defindex.`
-                  );
-                }
-                queueInsertListing(response_item, sku, currencies, intent, steamid);
-                onListingUpdate(sku);
-              } catch (e) {
-                console.log(e);
-                console.log("Couldn't create a price for " + response_item.name);
-              }
-            }
+          if (!sku) {
+            console.log(
+              `| UPDATING PRICES |: Couldn't price ${response_item.name}. Issue with retrieving this items defindex.`
+            );
+            return;
           }
+          queueInsertListing(response_item, sku, currencies, intent, steamid);
           break;
         }
         case 'listing-delete': {
           //          console.log('[WebSocket] Received a socket listing delete for : ' + response_item.name);
 
-          try {
-            deleteRemovedListing(steamid, response_item.name, intent);
-          } catch {
-            return;
+          queueArchiveEvent({
+            event: 'listing-delete',
+            name: response_item.name,
+            sku,
+            intent,
+            steamid,
+            dropped: variant ? 'variant' : null,
+          });
+
+          if (variant) {
+            deleteVariantListing(steamid, response_item.name, intent, variant).catch((err) =>
+              console.error('[WebSocket] Variant listing delete error:', err.message)
+            );
+            break;
           }
+
+          // Reported once the listing is gone, like updates.
+          Promise.resolve()
+            .then(() => deleteRemovedListing(steamid, response_item.name, intent))
+            .then(() => {
+              if (sku) {
+                onListingUpdate(sku, response_item.name);
+              }
+              return null;
+            })
+            .catch((err) => console.error('[WebSocket] Listing delete error:', err.message));
           break;
         }
       }